@@ -0,0 +1,250 @@
+// scripts/test-recurrence-timezones.js
+//
+// Property checks for recurrence expansion across time zones and DST transitions.
+// Generates random rules and start times in the major zones, expands each series across
+// DST changes and checks that occurrences keep their local time of day, land on the days
+// the rule asks for, and come out the same whatever the server's own time zone is.
+//
+// Run with: node scripts/test-recurrence-timezones.js [seed] [runs]
+//
+
+const { spawnSync } = require('child_process');
+const recurrenceParserService = require('../src/services/recurrenceParserService');
+
+const ZONES = [
+    'America/New_York',
+    'America/Los_Angeles',
+    'Europe/London',
+    'Europe/Paris',
+    'Australia/Sydney',
+    'Pacific/Auckland',
+    'Asia/Kolkata',
+    'Asia/Tokyo'
+];
+
+// Server time zones the whole check is repeated under
+const PROCESS_ZONES = ['UTC', 'Asia/Kolkata', 'America/New_York', 'Australia/Lord_Howe'];
+
+const OCCURRENCES_PER_SERIES = 40;
+const HOUR_MS = 60 * 60 * 1000;
+
+const seed = parseInt(process.argv[2]) || Date.now() % 100000;
+const runs = parseInt(process.argv[3]) || 300;
+
+// Small seeded PRNG (mulberry32) so a failing seed can be replayed
+function createRandom(initialSeed) {
+    let state = initialSeed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const random = createRandom(seed);
+const pick = (items) => items[Math.floor(random() * items.length)];
+const randomInt = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+// Local wall-clock fields of an instant, as { year, month, day, hour, minute, weekday }
+function wallClock(date, timeZone) {
+    const wall = recurrenceParserService.toWallClock(date, timeZone);
+    return {
+        year: wall.getUTCFullYear(),
+        month: wall.getUTCMonth(),
+        day: wall.getUTCDate(),
+        hour: wall.getUTCHours(),
+        minute: wall.getUTCMinutes(),
+        weekday: wall.getUTCDay(),
+        time: wall.getTime()
+    };
+}
+
+function randomSeries() {
+    const timeZone = pick(ZONES);
+
+    // Start times bunch up around 1-3 AM, where DST changes happen
+    const hour = random() < 0.5 ? randomInt(0, 3) : randomInt(0, 23);
+    const minute = pick([0, 15, 30, 45]);
+    const start = recurrenceParserService.fromWallClock(
+        new Date(Date.UTC(randomInt(2024, 2026), randomInt(0, 11), randomInt(1, 28), hour, minute)),
+        timeZone
+    );
+
+    const interval = randomInt(1, 3);
+    const kind = pick(['daily', 'weekly', 'monthly']);
+    let rrule;
+
+    if (kind === 'daily') {
+        rrule = `FREQ=DAILY;INTERVAL=${interval}`;
+    } else if (kind === 'weekly') {
+        const days = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'].filter(() => random() < 0.4);
+        rrule = `FREQ=WEEKLY;INTERVAL=${interval}` + (days.length > 0 ? `;BYDAY=${days.join(',')}` : '');
+    } else {
+        rrule = `FREQ=MONTHLY;INTERVAL=${interval};BYMONTHDAY=${randomInt(1, 28)}`;
+    }
+
+    // A start inside a DST gap has itself moved forward, and the series follows it
+    const startWall = wallClock(start, timeZone);
+
+    return { timeZone, start, rrule, kind, interval, hour: startWall.hour, minute: startWall.minute };
+}
+
+/**
+ * Expand a series and return the problems found
+ */
+function checkSeries(series) {
+    const problems = [];
+    const occurrences = [];
+    const startWall = wallClock(series.start, series.timeZone);
+    const rule = recurrenceParserService.parseRRule(series.rrule);
+    const byDay = rule.byDay.map(({ weekday }) => weekday);
+
+    let previous = series.start;
+
+    for (let i = 0; i < OCCURRENCES_PER_SERIES; i++) {
+        const next = recurrenceParserService.calculateNextOccurrence(
+            previous,
+            { rrule: series.rrule },
+            null,
+            series.start,
+            series.timeZone
+        );
+
+        if (!next) {
+            problems.push(`series ended after ${i} occurrences`);
+            break;
+        }
+
+        occurrences.push(next.toISOString());
+        const wall = wallClock(next, series.timeZone);
+
+        // Property: strictly increasing
+        if (next <= previous) {
+            problems.push(`${next.toISOString()} is not after ${previous.toISOString()}`);
+        }
+
+        // Property: the local time of day is kept, unless it doesn't exist that day, in which
+        // case it moves forward by the length of the DST gap
+        if (wall.hour !== series.hour || wall.minute !== series.minute) {
+            const gapMs = recurrenceParserService.getUtcOffset(next.getTime(), series.timeZone) -
+                recurrenceParserService.getUtcOffset(next.getTime() - 3 * HOUR_MS, series.timeZone);
+            const shiftMs = (wall.hour * 60 + wall.minute - series.hour * 60 - series.minute) * 60 * 1000;
+
+            if (gapMs <= 0 || shiftMs !== gapMs) {
+                problems.push(`${next.toISOString()} is ${wall.hour}:${wall.minute} local, expected ${series.hour}:${series.minute}`);
+            }
+        }
+
+        // Property: a local time that happens twice resolves to the first of the two
+        for (const earlierMs of [30 * 60 * 1000, HOUR_MS, 2 * HOUR_MS]) {
+            const earlier = wallClock(new Date(next.getTime() - earlierMs), series.timeZone);
+            if (earlier.time === wall.time) {
+                problems.push(`${next.toISOString()} is the second of two ${wall.hour}:${wall.minute}s`);
+            }
+        }
+
+        // Property: occurrences land on the local days the rule asks for
+        if (series.kind === 'weekly') {
+            const weekdays = byDay.length > 0 ? byDay : [startWall.weekday];
+            if (!weekdays.includes(wall.weekday)) {
+                problems.push(`${next.toISOString()} falls on weekday ${wall.weekday} locally`);
+            }
+        } else if (series.kind === 'monthly') {
+            const months = (wall.year - startWall.year) * 12 + wall.month - startWall.month;
+            if (wall.day !== rule.byMonthDay[0] || months % series.interval !== 0) {
+                problems.push(`${next.toISOString()} falls on ${wall.year}-${wall.month + 1}-${wall.day} locally`);
+            }
+        } else {
+            const days = Math.round((Date.UTC(wall.year, wall.month, wall.day) -
+                Date.UTC(startWall.year, startWall.month, startWall.day)) / (24 * HOUR_MS));
+            if (days !== (i + 1) * series.interval) {
+                problems.push(`${next.toISOString()} is ${days} local days after the start`);
+            }
+        }
+
+        previous = next;
+    }
+
+    return { problems, occurrences };
+}
+
+function runChecks() {
+    let failures = 0;
+    const results = [];
+
+    for (let run = 0; run < runs; run++) {
+        const series = randomSeries();
+        const { problems, occurrences } = checkSeries(series);
+
+        results.push(occurrences.join(','));
+
+        if (problems.length > 0) {
+            failures++;
+            console.error(`✗ ${series.rrule} from ${series.start.toISOString()} in ${series.timeZone}`);
+            problems.slice(0, 3).forEach(problem => console.error(`    ${problem}`));
+        }
+    }
+
+    return { failures, results };
+}
+
+/**
+ * Repeat the checks under each server time zone and compare the results
+ */
+function main() {
+    console.log(`Checking ${runs} random series with seed ${seed}`);
+
+    let totalFailures = 0;
+    let baseline = null;
+
+    for (const processZone of PROCESS_ZONES) {
+        const child = spawnSync(process.execPath, [__filename, String(seed), String(runs)], {
+            env: { ...process.env, TZ: processZone, RECURRENCE_CHECK_CHILD: '1' },
+            encoding: 'utf8',
+            timeout: 5 * 60 * 1000,
+            maxBuffer: 64 * 1024 * 1024
+        });
+
+        if (child.status !== 0) {
+            console.error(`✗ Check run under TZ=${processZone} did not finish`);
+            console.error(child.stderr);
+            totalFailures++;
+            continue;
+        }
+
+        process.stderr.write(child.stderr);
+        const { failures, results } = JSON.parse(child.stdout);
+        totalFailures += failures;
+
+        // Property: the server's own time zone makes no difference
+        if (baseline === null) {
+            baseline = results;
+        } else {
+            const differing = results.filter((result, index) => result !== baseline[index]).length;
+            if (differing > 0) {
+                console.error(`✗ ${differing} series expand differently under TZ=${processZone} than under TZ=${PROCESS_ZONES[0]}`);
+                totalFailures += differing;
+            }
+        }
+
+        console.log(`${failures === 0 ? '✓' : '✗'} TZ=${processZone}: ${runs - failures}/${runs} series passed`);
+    }
+
+    if (totalFailures > 0) {
+        console.error(`\n${totalFailures} failures (replay with: node scripts/test-recurrence-timezones.js ${seed} ${runs})`);
+        process.exit(1);
+    }
+
+    console.log('\nAll recurrence time zone properties hold');
+}
+
+if (process.env.RECURRENCE_CHECK_CHILD) {
+    // Child run: report the occurrences so the parent can compare server time zones.
+    // Left to exit on its own so the output isn't cut short.
+    const { failures, results } = runChecks();
+    process.stdout.write(JSON.stringify({ failures, results }));
+} else {
+    main();
+}
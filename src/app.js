@@ -11,6 +11,7 @@ require('dotenv').config();
 // Import routes
 const webhookRoutes = require('./routes/webhookRoutes');
 const voiceRoutes = require('./routes/voiceRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 // Import services
 const audioStorageService = require('./services/audioStorageService');
@@ -58,6 +59,7 @@ streamingService.setupStreamingEndpoints(app);
 // Routes
 app.use('/api', webhookRoutes);
 app.use('/api/voice', voiceRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,127 @@
+// src/controllers/adminController.js
+
+const mongoose = require('mongoose');
+const deliveryRetryService = require('../services/deliveryRetryService');
+const rateLimiterService = require('../services/rateLimiterService');
+const schedulerService = require('../services/schedulerService');
+
+/**
+ * Rejects requests that don't carry the admin token
+ * The admin API is disabled entirely when ADMIN_API_TOKEN isn't set.
+ */
+const requireAdminToken = (req, res, next) => {
+    const adminToken = process.env.ADMIN_API_TOKEN;
+
+    if (!adminToken) {
+        return res.status(503).json({ error: 'Admin API is not configured' });
+    }
+
+    if (req.get('Authorization') !== `Bearer ${adminToken}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+};
+
+/**
+ * Lists dead-lettered reminders
+ * Query: status (open, replayed, discarded or all; default open), limit (default 50, max 200)
+ */
+const listDeadLetters = async (req, res) => {
+    try {
+        const status = req.query.status || 'open';
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+        const deadLetters = await deliveryRetryService.listDeadLetters({ status, limit });
+
+        res.status(200).json({ count: deadLetters.length, deadLetters });
+    } catch (error) {
+        console.error('Error listing dead letters:', error);
+        res.status(500).json({ error: 'Could not list dead letters' });
+    }
+};
+
+/**
+ * Shows a single dead letter with its reminder
+ */
+const getDeadLetter = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid dead letter ID' });
+        }
+
+        const deadLetter = await deliveryRetryService.getDeadLetter(req.params.id);
+
+        if (!deadLetter) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+
+        res.status(200).json(deadLetter);
+    } catch (error) {
+        console.error('Error fetching dead letter:', error);
+        res.status(500).json({ error: 'Could not fetch dead letter' });
+    }
+};
+
+/**
+ * Sends a dead-lettered reminder again right away
+ */
+const replayDeadLetter = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid dead letter ID' });
+        }
+
+        const deadLetter = await deliveryRetryService.replayDeadLetter(req.params.id);
+
+        if (!deadLetter) {
+            return res.status(409).json({ error: 'Dead letter not found or already handled' });
+        }
+
+        res.status(200).json(deadLetter);
+    } catch (error) {
+        console.error('Error replaying dead letter:', error);
+        res.status(500).json({ error: 'Could not replay dead letter' });
+    }
+};
+
+/**
+ * Closes a dead letter without replaying it
+ */
+const discardDeadLetter = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid dead letter ID' });
+        }
+
+        const deadLetter = await deliveryRetryService.discardDeadLetter(req.params.id);
+
+        if (!deadLetter) {
+            return res.status(409).json({ error: 'Dead letter not found or already handled' });
+        }
+
+        res.status(200).json(deadLetter);
+    } catch (error) {
+        console.error('Error discarding dead letter:', error);
+        res.status(500).json({ error: 'Could not discard dead letter' });
+    }
+};
+
+/**
+ * Shows how many reminders and outbound sends are waiting
+ */
+const getQueueStats = (req, res) => {
+    res.status(200).json({
+        scheduler: schedulerService.getStats(),
+        outbound: rateLimiterService.getStats()
+    });
+};
+
+module.exports = {
+    requireAdminToken,
+    getQueueStats,
+    listDeadLetters,
+    getDeadLetter,
+    replayDeadLetter,
+    discardDeadLetter
+};
@@ -2,11 +2,14 @@
 
 const VoiceResponse = require('twilio').twiml.VoiceResponse;
 const Reminder = require('../models/reminder');
-const User = require('../models/USER.JS');
+const User = require('../models/user');
 const voiceService = require('../services/voiceService');
 const reminderService = require('../services/reminderService');
 const dateParserService = require('../services/dateParserService');
 const whatsappService = require('../services/whatsappService');
+const deliveryLogService = require('../services/deliveryLogService');
+const rateLimiterService = require('../services/rateLimiterService');
+const routineService = require('../services/routineService');
 const mongoose = require('mongoose');
 
 /**
@@ -726,29 +729,43 @@ const processResponse = async (req, res) => {
         switch (analysis.intent) {
             case 'completed':
                 // User has completed the task
-                await reminderService.updateReminderStatus(reminder._id, 'acknowledged');
+                const completed = await reminderService.transitionReminder(reminder._id, 'completed', { reason: 'voice_reply' });
                 responseText = createCompletionResponse(reminder.content);
 
                 // Add WhatsApp confirmation message
                 whatsappMessage = `✅ *Voice Call Update*: I've marked your reminder "${reminder.content}" as complete as per our phone conversation.`;
+
+                // Acknowledging a routine step schedules the next one (once, if the call repeats it)
+                const nextStep = completed && reminder.status !== 'completed'
+                    ? await routineService.continueRoutine(completed)
+                    : null;
+                if (nextStep) {
+                    whatsappMessage += `\n\nNext in your ${nextStep.routine.displayName}: "${nextStep.reminder.content}" at ${dateParserService.formatDateForDisplay(nextStep.reminder.scheduledFor)}.`;
+                }
                 break;
 
             case 'delay':
-                // User wants to delay the reminder
+                // User wants to delay the reminder, either until a time they named ("after lunch")
+                // or by a number of minutes
                 const delayMinutes = analysis.minutes || 30;
-                const newReminderTime = new Date(Date.now() + delayMinutes * 60 * 1000);
-
-                // Create a new delayed reminder
-                const delayedReminder = await reminderService.createReminder({
-                    user: reminder.user._id,
-                    content: reminder.content,
-                    scheduledFor: newReminderTime,
-                    recurrence: 'none',
-                    notificationMethod: reminder.notificationMethod
-                });
+                const newReminderTime = await dateParserService.parseSnoozeTarget(
+                    speechResult,
+                    reminder.user._id,
+                    reminder.user.timeZone
+                ) || new Date(Date.now() + delayMinutes * 60 * 1000);
+
+                try {
+                    // Snooze the reminder itself; it is delivered again at the new time
+                    await reminderService.snoozeReminder(reminder, newReminderTime, { channel: 'voice' });
+                } catch (error) {
+                    if (error.message !== 'Snooze limit reached') {
+                        throw error;
+                    }
 
-                // Mark the original as acknowledged
-                await reminderService.updateReminderStatus(reminder._id, 'acknowledged');
+                    responseText = `<speak>You've already snoozed this reminder ${reminder.snoozeCount} times, <break time="200ms"/> so I'll leave it as it is. <break time="300ms"/> Please take care of it when you can.</speak>`;
+                    whatsappMessage = `🚫 *Voice Call Update*: "${reminder.content}" has reached its snooze limit, so I didn't move it.`;
+                    break;
+                }
 
                 // Format time for speech
                 const timeDisplay = dateParserService.formatDateForDisplay(newReminderTime);
@@ -760,7 +777,7 @@ const processResponse = async (req, res) => {
 
             case 'cancel':
                 // User wants to cancel the reminder
-                await reminderService.updateReminderStatus(reminder._id, 'cancelled');
+                await reminderService.transitionReminder(reminder._id, 'cancelled', { reason: 'voice_reply' });
                 responseText = createCancellationResponse();
 
                 // Add WhatsApp confirmation message
@@ -1012,6 +1029,40 @@ const handleStatusCallback = async (req, res) => {
     console.log(`Call ${callSid} status for reminder ${reminderId}: ${callStatus}`);
 
     try {
+        // Free the concurrent call slot once the call has ended
+        if (callSid && ['completed', 'busy', 'no-answer', 'failed', 'canceled'].includes(callStatus)) {
+            rateLimiterService.releaseCall(callSid);
+        }
+
+        const deliveryStatus = deliveryLogService.mapCallStatus(callStatus);
+        if (deliveryStatus && callSid) {
+            try {
+                await deliveryLogService.recordStatus(callSid, deliveryStatus, callStatus);
+            } catch (logError) {
+                console.error('Error recording call status:', logError);
+            }
+        }
+
+        // Escalation calls don't get an automatic retry; the next step of the chain takes over
+        if (req.query.escalation === 'true' && ['busy', 'no-answer', 'failed', 'canceled'].includes(callStatus)) {
+            console.log(`Escalation call for reminder ${reminderId} ended with status ${callStatus}, leaving follow-up to the escalation chain`);
+
+            const reminder = await Reminder.findById(reminderId).populate('user');
+
+            if (reminder && reminder.user) {
+                try {
+                    await whatsappService.sendMessage(
+                        reminder.user.phoneNumber,
+                        whatsappService.formatReminderStatusMessage('missed_call', reminder.content, 'Reply "done" once you\'ve taken care of it.')
+                    );
+                } catch (whatsappError) {
+                    console.error('Error sending missed call notification:', whatsappError);
+                }
+            }
+
+            return res.status(200).send('Status processed');
+        }
+
         // Handle failed or unanswered calls
         if (['busy', 'no-answer', 'failed', 'canceled'].includes(callStatus)) {
             console.log(`Call failed with status ${callStatus}, scheduling retry`);
@@ -1,11 +1,13 @@
 // src/controllers/webhookController.js
 
 const { processUserMessage } = require('../services/nlpService');
-const User = require('../models/USER.JS');
+const User = require('../models/user');
 const Reminder = require('../models/reminder');
 const reminderService = require('../services/reminderService'); // Added missing import
 const whatsappService = require('../services/whatsappService');
 const dateParserService = require('../services/dateParserService');
+const deliveryLogService = require('../services/deliveryLogService');
+const routineService = require('../services/routineService');
 
 /**
  * Verifies the webhook endpoint for Whapi.cloud
@@ -20,12 +22,41 @@ const verifyWebhook = (req, res) => {
     res.status(403).send('Verification failed');
 };
 
+/**
+ * Applies Whapi.cloud status events to the delivery log
+ * @param {Array} statuses - Status events, each with the message id and new status
+ */
+const handleStatusUpdates = async (statuses) => {
+    for (const statusEvent of statuses) {
+        try {
+            const status = deliveryLogService.mapWhatsAppStatus(statusEvent.status);
+
+            if (!status || !statusEvent.id) {
+                continue;
+            }
+
+            const log = await deliveryLogService.recordStatus(statusEvent.id, status, statusEvent.status);
+
+            if (log) {
+                console.log(`Message ${statusEvent.id} is now ${log.status}`);
+            }
+        } catch (error) {
+            console.error('Error processing status update:', error);
+        }
+    }
+};
+
 /**
  * Handles incoming WhatsApp messages from Whapi.cloud
  */
 const handleIncomingMessage = async (req, res) => {
     try {
-        const { messages } = req.body;
+        const { messages, statuses } = req.body;
+
+        // Delivery/read receipts for messages we sent
+        if (statuses && statuses.length) {
+            await handleStatusUpdates(statuses);
+        }
 
         // Return early if no messages
         if (!messages || !messages.length) {
@@ -86,7 +117,7 @@ const handleIncomingMessage = async (req, res) => {
             const recentReminders = await reminderService.getRecentSentReminders(user._id, 1);
             const pendingReminders = await Reminder.find({
                 user: user._id,
-                status: 'pending'
+                status: { $in: reminderService.DUE_STATUSES }
             }).sort({ scheduledFor: 1 }).limit(1);
 
             // If we have recent reminders or pending reminders, try to process as a response
@@ -115,6 +146,24 @@ const handleIncomingMessage = async (req, res) => {
     }
 };
 
+/**
+ * Describe the routine step scheduled after a completed one, for the confirmation message
+ * @param {Object|null} nextStep - Result of routineService.continueRoutine
+ * @returns {String} - Line to append, or an empty string if nothing follows
+ */
+const describeNextRoutineStep = (nextStep) => {
+    if (!nextStep) {
+        return '';
+    }
+
+    const { routine, reminder } = nextStep;
+    const when = reminder.scheduledFor.getTime() - Date.now() < 60 * 1000
+        ? 'now'
+        : `at ${dateParserService.formatDateForDisplay(reminder.scheduledFor)}`;
+
+    return `\n\nNext in your ${routine.displayName}: "${reminder.content}" ${when}.`;
+};
+
 /**
  * Handle user responses to reminders
  * @param {Object} user - User document
@@ -156,15 +205,76 @@ const handleReminderResponse = async (user, messageText) => {
         const isExactMatch = completionKeywords.some(keyword => lowerMessage === keyword);
         const isPatternMatch = completionPatterns.some(pattern => pattern.test(lowerMessage));
 
+        // A time to snooze until, e.g. "after lunch" or "tomorrow morning"
+        const snoozeTarget = await dateParserService.parseSnoozeTarget(messageText, user._id, user.timeZone);
+
         // We now have a context-aware approach, so we're more confident this is a delay request
-        // if we get to this point (we've already verified we have existing reminders)
-        const isDelayRequest = delayPatterns.some(pattern => pattern.test(lowerMessage));
+        // if we get to this point (we've already verified we have existing reminders).
+        // A short reply that only names a time ("tomorrow morning", "at 5pm") counts as one too.
+        const isDelayRequest = delayPatterns.some(pattern => pattern.test(lowerMessage)) ||
+            (snoozeTarget !== null && /^(?:tomorrow|tonight|after|at|next|on|this)\b/.test(lowerMessage) &&
+                lowerMessage.split(/\s+/).length <= 3);
 
         console.log('Is delay request:', isDelayRequest);
 
+        // "got 1 and 3" ticks items off the latest checklist reminder, unless the user is
+        // answering another question (e.g. picking a reminder by number)
+        const inConversation = user.conversationState && user.conversationState.stage &&
+            user.conversationState.stage !== 'initial';
+        const checklistReminder = inConversation ? null : await reminderService.getLatestChecklistReminder(user._id);
+        const tickedItems = checklistReminder ? parseChecklistReply(messageText, checklistReminder.checklist) : [];
+
+        if (tickedItems.length > 0) {
+            console.log('Ticking off checklist items:', tickedItems);
+            const { reminder: updated, remaining } = await reminderService.checkOffItems(checklistReminder, tickedItems);
+
+            let reply;
+            if (remaining.length === 0) {
+                reply = `✅ That's everything for "${checklistReminder.content}" - marked as complete.`;
+            } else {
+                const ticked = tickedItems.map(index => checklistReminder.checklist[index].text).join(', ');
+                const left = updated.checklist
+                    .map((item, index) => (item.done ? null : `${index + 1}. ${item.text}`))
+                    .filter(Boolean)
+                    .join('\n');
+
+                reply = `✅ Ticked off: ${ticked}\n\nStill left:\n${left}\n\nI'll remind you about the rest at ${dateParserService.formatDateForDisplay(updated.scheduledFor)}.`;
+            }
+
+            await whatsappService.sendMessage(user.phoneNumber, reply);
+
+            user.conversationState = { stage: 'initial' };
+            await user.save();
+
+            return true;
+        }
+
         // Attempt to find the most recent reminder sent to the user
         const recentReminders = await reminderService.getRecentSentReminders(user._id, 1);
 
+        // "done" after a deadline nudge completes the deadline early, which stops its other nudges
+        if (isExactMatch || isPatternMatch) {
+            const deadline = await reminderService.getLatestNudgedDeadline(user._id);
+            const lastSent = recentReminders.length > 0
+                ? recentReminders[0].deliveredAt || recentReminders[0].scheduledFor
+                : null;
+
+            if (deadline && (!lastSent || deadline.lastAdvanceNoticeAt > lastSent)) {
+                console.log('Completing deadline early:', deadline.content);
+                await reminderService.transitionReminder(deadline._id, 'completed', { reason: 'completed_early' });
+
+                await whatsappService.sendMessage(
+                    user.phoneNumber,
+                    `✅ Marked "${deadline.content}" as complete ahead of its deadline. No more nudges for it.`
+                );
+
+                user.conversationState = { stage: 'initial' };
+                await user.save();
+
+                return true;
+            }
+        }
+
         if (recentReminders && recentReminders.length > 0) {
             const reminder = recentReminders[0];
             console.log('Found recent reminder:', reminder.content);
@@ -172,12 +282,15 @@ const handleReminderResponse = async (user, messageText) => {
             if (isExactMatch || isPatternMatch) {
                 console.log('Handling completion response');
                 // Handle completion response
-                await reminderService.updateReminderStatus(reminder._id, 'acknowledged');
+                const completed = await reminderService.transitionReminder(reminder._id, 'completed', { reason: 'whatsapp_reply' });
+
+                // Acknowledging a routine step schedules the next one
+                const nextStep = completed ? await routineService.continueRoutine(completed) : null;
 
                 // Send confirmation
                 await whatsappService.sendMessage(
                     user.phoneNumber,
-                    `✅ Marked "${reminder.content}" as complete.`
+                    `✅ Marked "${reminder.content}" as complete.` + describeNextRoutineStep(nextStep)
                 );
 
                 // Reset the conversation state to initial
@@ -190,34 +303,38 @@ const handleReminderResponse = async (user, messageText) => {
                 console.log('Handling delay request');
                 // Handle delay request
 
-                // Extract delay time information
-                const delayInfo = extractDelayInfo(messageText);
-                console.log('Extracted delay info:', delayInfo);
+                let newScheduledTime = snoozeTarget;
 
-                let newScheduledTime;
+                if (!newScheduledTime) {
+                    // Extract delay time information
+                    const delayInfo = extractDelayInfo(messageText);
+                    console.log('Extracted delay info:', delayInfo);
 
-                if (delayInfo.minutes > 0) {
-                    // Use the extracted minutes
-                    newScheduledTime = new Date(Date.now() + delayInfo.minutes * 60 * 1000);
-                } else {
-                    // Default to 30 minutes if we couldn't extract a specific time
-                    newScheduledTime = new Date(Date.now() + 30 * 60 * 1000);
+                    if (delayInfo.minutes > 0) {
+                        // Use the extracted minutes
+                        newScheduledTime = new Date(Date.now() + delayInfo.minutes * 60 * 1000);
+                    } else {
+                        // Default to 30 minutes if we couldn't extract a specific time
+                        newScheduledTime = new Date(Date.now() + 30 * 60 * 1000);
+                    }
                 }
 
-                console.log('Creating delayed reminder for:', newScheduledTime);
-
-                // Create a new reminder with the same content but delayed time
-                const delayedReminder = await reminderService.createReminder({
-                    user: user._id,
-                    content: reminder.content,
-                    scheduledFor: newScheduledTime,
-                    recurrence: reminder.recurrence,
-                    recurrencePattern: reminder.recurrencePattern,
-                    notificationMethod: reminder.notificationMethod
-                });
-
-                // Mark the original reminder as acknowledged
-                await reminderService.updateReminderStatus(reminder._id, 'acknowledged');
+                console.log('Snoozing reminder until:', newScheduledTime);
+
+                try {
+                    // Snooze the reminder itself; it is delivered again at the new time
+                    await reminderService.snoozeReminder(reminder, newScheduledTime, { channel: 'whatsapp' });
+                } catch (error) {
+                    if (error.message !== 'Snooze limit reached') {
+                        throw error;
+                    }
+
+                    await whatsappService.sendMessage(
+                        user.phoneNumber,
+                        `🚫 You've already snoozed "${reminder.content}" ${reminder.snoozeCount} times, which is your limit. Reply "done" once you've done it.`
+                    );
+                    return true;
+                }
 
                 // Format the new time for display
                 const formattedTime = dateParserService.formatDateForDisplay(newScheduledTime);
@@ -225,7 +342,7 @@ const handleReminderResponse = async (user, messageText) => {
                 // Send confirmation message
                 await whatsappService.sendMessage(
                     user.phoneNumber,
-                    `⏰ Reminder "${reminder.content}" rescheduled for ${formattedTime}`
+                    `⏰ Reminder "${reminder.content}" snoozed until ${formattedTime}`
                 );
 
                 // Reset conversation state
@@ -253,7 +370,9 @@ const handleReminderResponse = async (user, messageText) => {
                 const delayInfo = extractDelayInfo(messageText);
                 let newScheduledTime;
 
-                if (delayInfo.minutes > 0) {
+                if (snoozeTarget) {
+                    newScheduledTime = snoozeTarget;
+                } else if (delayInfo.minutes > 0) {
                     // Use the extracted minutes from the original scheduled time
                     newScheduledTime = new Date(upcomingReminder.scheduledFor.getTime() + delayInfo.minutes * 60 * 1000);
                 } else {
@@ -263,7 +382,8 @@ const handleReminderResponse = async (user, messageText) => {
 
                 // Update the reminder with the new time
                 await reminderService.updateReminder(upcomingReminder._id, {
-                    scheduledFor: newScheduledTime
+                    scheduledFor: newScheduledTime,
+                    $inc: { snoozeCount: 1 }
                 });
 
                 // Format the new time for display
@@ -299,6 +419,47 @@ const handleReminderResponse = async (user, messageText) => {
     }
 };
 
+/**
+ * Work out which checklist items a reply ticks off, e.g. "got 1 and 3", "bought milk and bread"
+ * or "2, 4 done"
+ * @param {String} message - User message text
+ * @param {Array} checklist - Reminder checklist [{ text, done }]
+ * @returns {Array<Number>} - Zero-based indexes of the items, empty if the reply isn't about the checklist
+ */
+const parseChecklistReply = (message, checklist) => {
+    const text = message.toLowerCase().trim().replace(/[.!]+$/, '');
+    const match = text.match(/^(?:got|bought|picked up|done with|done|finished|tick(?:ed)?(?: off)?|check(?:ed)?(?: off)?)\s+(.+)$/) ||
+        text.match(/^(\d+(?:\s*(?:,|and|&)?\s*\d+)*)(?:\s+done)?$/);
+
+    if (!match) {
+        return [];
+    }
+
+    const items = match[1];
+
+    if (/^(?:all|everything|them all)\b/.test(items)) {
+        return checklist.map((item, index) => index);
+    }
+
+    const indexes = new Set();
+
+    for (const number of items.match(/\d+/g) || []) {
+        const index = parseInt(number) - 1;
+        if (index >= 0 && index < checklist.length) {
+            indexes.add(index);
+        }
+    }
+
+    // Items named instead of numbered
+    checklist.forEach((item, index) => {
+        if (items.includes(item.text.toLowerCase())) {
+            indexes.add(index);
+        }
+    });
+
+    return [...indexes].sort((a, b) => a - b);
+};
+
 /**
  * Extract delay time information from user message
  * @param {String} message - User message text
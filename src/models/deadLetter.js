@@ -0,0 +1,61 @@
+// src/models/deadLetter.js
+
+const mongoose = require('mongoose');
+
+// Reminders that could not be delivered, kept for inspection and manual replay
+const DeadLetterSchema = new mongoose.Schema({
+    reminder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reminder',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    channel: {
+        type: String,
+        enum: ['whatsapp', 'voice', 'both'],
+        required: true
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    // 'transient' if we gave up after retrying, 'permanent' if retrying could not help
+    errorType: {
+        type: String,
+        enum: ['transient', 'permanent'],
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 1
+    },
+    status: {
+        type: String,
+        enum: ['open', 'replayed', 'discarded'],
+        default: 'open',
+        index: true
+    },
+    // One-off reminder created when the entry was replayed
+    replayReminder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reminder',
+        default: null
+    },
+    replayedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const DeadLetter = mongoose.model('DeadLetter', DeadLetterSchema);
+
+module.exports = DeadLetter;
@@ -0,0 +1,67 @@
+// src/models/messageLog.js
+
+const mongoose = require('mongoose');
+
+const MessageLogSchema = new mongoose.Schema({
+    reminder: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reminder',
+        default: null,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    channel: {
+        type: String,
+        enum: ['whatsapp', 'voice'],
+        required: true
+    },
+    // What the message was for, e.g. 'reminder', 'advance_notice', 'agenda', 'message'
+    kind: {
+        type: String,
+        default: 'message'
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    // Whapi message ID or Twilio call SID, used to match status updates
+    providerMessageId: {
+        type: String,
+        default: null,
+        index: true
+    },
+    payload: {
+        type: String,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['sent', 'delivered', 'read', 'failed'],
+        default: 'sent'
+    },
+    statusHistory: [{
+        _id: false,
+        status: String,
+        providerStatus: String, // Raw status from Whapi or Twilio
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    error: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const MessageLog = mongoose.model('MessageLog', MessageLogSchema);
+
+module.exports = MessageLog;
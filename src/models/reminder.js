@@ -18,6 +18,20 @@ const ReminderSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // Occurrence time before the reminder was pushed back (e.g. deferred past quiet hours, or
+    // moved on its own). Recurrence is always calculated from this so the series doesn't drift.
+    originalScheduledFor: {
+        type: Date,
+        default: null
+    },
+    // Recurring series this reminder is an occurrence of. The series owns the rule; the
+    // recurrence fields below are copied from it when the occurrence is generated.
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Series',
+        default: null,
+        index: true
+    },
     recurrence: {
         type: String,
         enum: ['none', 'daily', 'weekly', 'monthly', 'custom'],
@@ -27,7 +41,7 @@ const ReminderSchema = new mongoose.Schema({
     recurrencePattern: {
         frequency: {
             type: String,
-            enum: ['day', 'week', 'month', 'year'],
+            enum: ['minute', 'hour', 'day', 'week', 'month', 'year'],
             default: null
         },
         interval: {
@@ -49,29 +63,246 @@ const ReminderSchema = new mongoose.Schema({
         monthOfYear: {
             type: Number, // 0 = January, 11 = December
             default: null
+        },
+        // RFC 5545 RRULE (e.g. "FREQ=MONTHLY;BYDAY=2TU"). When set it drives recurrence;
+        // the structured fields above are kept for older reminders and converted on read.
+        rrule: {
+            type: String,
+            default: null
+        },
+        // Daily window ("HH:MM") that hour- and minute-level recurrences are limited to;
+        // an end before the start runs past midnight
+        activeWindow: {
+            start: {
+                type: String,
+                default: null
+            },
+            end: {
+                type: String,
+                default: null
+            }
+        },
+        // Occurrences on weekends or holidays are skipped ('skip') or moved to the 'next' or
+        // 'previous' business day; null leaves them where the rule puts them
+        businessDays: {
+            type: String,
+            enum: ['skip', 'next', 'previous', null],
+            default: null
         }
     },
+    // First occurrence of the series (the RRULE DTSTART), used to count COUNT-limited rules
+    recurrenceStart: {
+        type: Date,
+        default: null
+    },
+    // Position of this occurrence in its series (1 for the first), so count-limited series
+    // can show "3 of 14"
+    occurrenceNumber: {
+        type: Number,
+        default: null
+    },
     endDate: {
         type: Date,
         default: null // null means no end date
     },
+    // Lifecycle status; only changed through reminderService.transitionReminder, which checks
+    // the move against REMINDER_TRANSITIONS and records it in statusHistory
     status: {
         type: String,
-        enum: ['pending', 'sent', 'acknowledged', 'cancelled'],
+        enum: ['pending', 'delivering', 'delivered', 'snoozed', 'completed', 'missed', 'failed', 'cancelled'],
         default: 'pending',
         index: true
     },
+    statusHistory: {
+        type: [{
+            _id: false,
+            from: String,
+            to: String,
+            at: Date,
+            reason: String // e.g. 'quiet_hours', 'retry', 'lease_expired'
+        }],
+        default: []
+    },
     notificationMethod: {
         type: String,
         enum: ['whatsapp', 'voice', 'both'],
         default: 'whatsapp'
     },
+    // Minutes before scheduledFor to send a heads-up message. Unset means fall back to the
+    // user's advance notice preference; an empty array means no heads-up for this reminder.
+    advanceNoticeMinutes: {
+        type: [Number],
+        default: undefined
+    },
+    // Offsets (in minutes) whose heads-up has already been sent
+    advanceNoticesSent: {
+        type: [Number],
+        default: []
+    },
+    // When the latest heads-up went out, so a "done" reply to it can be matched to this reminder
+    lastAdvanceNoticeAt: {
+        type: Date,
+        default: null
+    },
+    // Deadlines get a ladder of countdown nudges (advanceNoticeMinutes) before they're due and
+    // can be completed early, which stops the rest of the ladder
+    deadline: {
+        type: Boolean,
+        default: false
+    },
+    // Items of a checklist reminder ("buy milk, eggs, bread"), ticked off one by one; the reminder
+    // completes when every item is done. Unset for ordinary reminders.
+    checklist: {
+        type: [{
+            _id: false,
+            text: {
+                type: String,
+                required: true
+            },
+            done: {
+                type: Boolean,
+                default: false
+            },
+            doneAt: {
+                type: Date,
+                default: null
+            }
+        }],
+        default: undefined
+    },
+    // Routine this reminder is a step of, and which step; acknowledging it schedules the next one
+    routine: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Routine',
+        default: null,
+        index: true
+    },
+    routineStep: {
+        type: Number,
+        default: null
+    },
+    // Escalation chain used when the reminder isn't acknowledged. Unset means fall back to
+    // the user's escalation policy; an empty array disables escalation for this reminder.
+    escalationSteps: {
+        type: [{
+            _id: false,
+            action: {
+                type: String,
+                enum: ['whatsapp', 'voice', 'backup_contact']
+            },
+            waitMinutes: Number // Wait after the previous step before running this one
+        }],
+        default: undefined
+    },
+    // Index of the next escalation step to run, and when to run it (null when nothing is pending)
+    escalationStep: {
+        type: Number,
+        default: 0
+    },
+    nextEscalationAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
+    // Urgent reminders are delivered even during the user's quiet hours
+    urgent: {
+        type: Boolean,
+        default: false
+    },
+    // Lifecycle timestamps, recorded by reminderService.transitionReminder
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    missedAt: {
+        type: Date,
+        default: null
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+    failedAt: {
+        type: Date,
+        default: null
+    },
+    // Failed delivery attempts so far; transient failures are retried with backoff
+    deliveryAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastDeliveryError: {
+        type: String,
+        default: null
+    },
+    // Snoozing reschedules the reminder itself; snoozedAt is the latest snooze and
+    // snoozeHistory records each one
+    snoozedAt: {
+        type: Date,
+        default: null
+    },
+    // Set on follow-ups created by snoozes from before snoozing was done in place
+    snoozedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Reminder',
+        default: null
+    },
+    snoozeCount: {
+        type: Number,
+        default: 0
+    },
+    snoozeHistory: {
+        type: [{
+            _id: false,
+            snoozedAt: Date,
+            // When the reminder was due before this snooze, and when it's due after it
+            from: Date,
+            until: Date,
+            minutes: Number,
+            // 'checklist' for the re-nudge after some of a checklist was ticked off
+            channel: {
+                type: String,
+                enum: ['whatsapp', 'voice', 'checklist']
+            }
+        }],
+        default: []
+    },
+    // Dispatch lease - set while a worker is sending this reminder so that
+    // other workers (or a restarted one) don't send it a second time
+    leaseOwner: {
+        type: String,
+        default: null
+    },
+    leaseExpiresAt: {
+        type: Date,
+        default: null,
+        index: true
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+// Reminders saved before RRULE support only have the structured pattern fields;
+// derive the RRULE when they are loaded (it is stored the next time the reminder is saved)
+ReminderSchema.post('init', function (doc) {
+    if (doc.recurrence === 'none' || (doc.recurrencePattern && doc.recurrencePattern.rrule)) {
+        return;
+    }
+
+    const recurrenceParserService = require('../services/recurrenceParserService');
+    const rrule = recurrenceParserService.patternToRRule(doc.recurrencePattern, doc.recurrence);
+
+    if (rrule) {
+        doc.set('recurrencePattern.rrule', rrule);
+    }
+});
+
 const Reminder = mongoose.model('Reminder', ReminderSchema);
 
 module.exports = Reminder;
\ No newline at end of file
@@ -0,0 +1,53 @@
+// src/models/routine.js
+
+const mongoose = require('mongoose');
+
+// A saved sequence of reminders started by name ("start morning routine"). Only the current
+// step exists as a Reminder; the next one is scheduled when the user acknowledges it.
+const RoutineSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Lowercased name the routine is looked up by, e.g. "morning routine"
+    name: {
+        type: String,
+        required: true
+    },
+    // Name as the user wrote it, for messages
+    displayName: {
+        type: String,
+        required: true
+    },
+    steps: {
+        type: [{
+            _id: false,
+            content: {
+                type: String,
+                required: true
+            },
+            // Wait after the previous step is acknowledged (after the start for the first step)
+            delayMinutes: {
+                type: Number,
+                default: 0
+            }
+        }],
+        default: []
+    },
+    lastStartedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+RoutineSchema.index({ user: 1, name: 1 }, { unique: true });
+
+const Routine = mongoose.model('Routine', RoutineSchema);
+
+module.exports = Routine;
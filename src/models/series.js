@@ -0,0 +1,205 @@
+// src/models/series.js
+
+const mongoose = require('mongoose');
+
+// A recurring reminder. The series owns the rule; only the upcoming occurrence exists as a
+// Reminder document, generated from the series when the previous one is done.
+const SeriesSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    content: {
+        type: String,
+        required: true
+    },
+    recurrence: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly', 'custom'],
+        default: 'custom'
+    },
+    // Same shape as Reminder.recurrencePattern; the RRULE drives the series
+    recurrencePattern: {
+        frequency: {
+            type: String,
+            enum: ['minute', 'hour', 'day', 'week', 'month', 'year'],
+            default: null
+        },
+        interval: {
+            type: Number,
+            default: 1
+        },
+        daysOfWeek: {
+            type: [Number],
+            default: []
+        },
+        dayOfWeek: {
+            type: Number,
+            default: null
+        },
+        dayOfMonth: {
+            type: Number,
+            default: null
+        },
+        monthOfYear: {
+            type: Number,
+            default: null
+        },
+        rrule: {
+            type: String,
+            default: null
+        },
+        activeWindow: {
+            start: {
+                type: String,
+                default: null
+            },
+            end: {
+                type: String,
+                default: null
+            }
+        },
+        // Occurrences on weekends or holidays are skipped ('skip') or moved to the 'next' or
+        // 'previous' business day; null leaves them where the rule puts them
+        businessDays: {
+            type: String,
+            enum: ['skip', 'next', 'previous', null],
+            default: null
+        }
+    },
+    // First occurrence (the RRULE DTSTART); its time of day is used for every occurrence
+    recurrenceStart: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        default: null
+    },
+    // IANA zone the rule is expanded in (the user's zone when the series was created), so
+    // occurrences keep their local time across DST changes
+    timeZone: {
+        type: String,
+        default: 'Asia/Kolkata'
+    },
+    // Holiday calendar (see src/data/holidays) that decides business days; null for weekends only
+    holidayCalendar: {
+        type: String,
+        default: null
+    },
+    // Settings every occurrence is created with
+    notificationMethod: {
+        type: String,
+        enum: ['whatsapp', 'voice', 'both'],
+        default: 'whatsapp'
+    },
+    advanceNoticeMinutes: {
+        type: [Number],
+        default: undefined
+    },
+    escalationSteps: {
+        type: [{
+            _id: false,
+            action: {
+                type: String,
+                enum: ['whatsapp', 'voice', 'backup_contact']
+            },
+            waitMinutes: Number
+        }],
+        default: undefined
+    },
+    urgent: {
+        type: Boolean,
+        default: false
+    },
+    // Checklist items each occurrence starts with, all unticked
+    checklist: {
+        type: [String],
+        default: []
+    },
+    // Occurrences that differ from the rule, keyed by the time the rule puts them at.
+    // 'skip' drops the occurrence; 'modify' moves it and/or changes its text.
+    exceptions: {
+        type: [{
+            _id: false,
+            originalDate: {
+                type: Date,
+                required: true
+            },
+            type: {
+                type: String,
+                enum: ['skip', 'modify'],
+                required: true
+            },
+            scheduledFor: {
+                type: Date,
+                default: null
+            },
+            content: {
+                type: String,
+                default: null
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        default: []
+    },
+    status: {
+        type: String,
+        enum: ['active', 'paused', 'ended', 'cancelled'],
+        default: 'active',
+        index: true
+    },
+    // A paused series has no pending occurrence; it picks up again at pausedUntil, or when the
+    // user resumes it if pausedUntil is null
+    pausedAt: {
+        type: Date,
+        default: null
+    },
+    pausedUntil: {
+        type: Date,
+        default: null
+    },
+    // How each occurrence turned out, oldest first, for habit streaks: 'completed', 'missed'
+    // (delivered and never done) or 'skipped' (skipped, cancelled or not sent), which neither
+    // extends nor breaks a streak
+    outcomes: {
+        type: [{
+            _id: false,
+            slot: {
+                type: Date,
+                required: true
+            },
+            outcome: {
+                type: String,
+                enum: ['completed', 'missed', 'skipped'],
+                required: true
+            },
+            recordedAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        default: []
+    },
+    longestStreak: {
+        type: Number,
+        default: 0
+    },
+    cancelledAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const Series = mongoose.model('Series', SeriesSchema);
+
+module.exports = Series;
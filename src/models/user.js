@@ -46,6 +46,11 @@ const UserSchema = new mongoose.Schema({
                 type: Number,
                 default: 15  // minutes
             },
+            // Heads-up messages before reminders are opt-in
+            advanceNoticeEnabled: {
+                type: Boolean,
+                default: false
+            },
             quietHoursStart: {
                 type: String,
                 default: '22:00'
@@ -53,9 +58,186 @@ const UserSchema = new mongoose.Schema({
             quietHoursEnd: {
                 type: String,
                 default: '07:00'
+            },
+            quietHoursEnabled: {
+                type: Boolean,
+                default: true
+            },
+            // What to do with a non-urgent call that falls inside quiet hours: 'downgrade' sends
+            // WhatsApp instead of calling, 'defer' holds the reminder until the window ends.
+            // WhatsApp-only reminders go out as scheduled either way.
+            quietHoursPolicy: {
+                type: String,
+                enum: ['defer', 'downgrade'],
+                default: 'downgrade'
+            },
+            // Reminders found overdue by more than this (e.g. after downtime) are caught up
+            // according to catchUpPolicy instead of being delivered as if on time
+            catchUpGraceMinutes: {
+                type: Number,
+                default: 30
+            },
+            // 'digest' sends one summary of missed reminders, 'missed' marks them silently,
+            // 'deliver' sends them anyway with a note that they're late
+            catchUpPolicy: {
+                type: String,
+                enum: ['digest', 'missed', 'deliver'],
+                default: 'digest'
+            },
+            // How many times a single reminder may be snoozed; null for no limit
+            maxSnoozes: {
+                type: Number,
+                default: null
+            }
+        },
+        // Vacation mode: non-urgent reminders are held between start and end, and recurring
+        // ones carry on from end without a backlog
+        vacation: {
+            start: {
+                type: Date,
+                default: null
+            },
+            end: {
+                type: Date,
+                default: null
+            }
+        },
+        // Holiday calendar (see src/data/holidays) used for business-day recurrences
+        holidayCalendar: {
+            type: String,
+            default: 'IN'
+        },
+        // Daily agenda digest sent over WhatsApp
+        agenda: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            // Local send time; when unset the user's "morning" time reference is used
+            time: {
+                type: String,
+                default: null
+            },
+            sendWhenEmpty: {
+                type: Boolean,
+                default: false
+            },
+            // Local date (yyyy-MM-dd) of the last digest, so it goes out once a day
+            lastSentOn: {
+                type: String,
+                default: null
+            }
+        },
+        // Weekly accountability report sent over WhatsApp
+        weeklyReport: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            dayOfWeek: {
+                type: Number, // 0 = Sunday, 6 = Saturday
+                default: 0
+            },
+            time: {
+                type: String,
+                default: '19:00'
+            },
+            // Local date (yyyy-MM-dd) of the last report, so it goes out once a week
+            lastSentOn: {
+                type: String,
+                default: null
+            }
+        },
+        // Default escalation chain for reminders that aren't acknowledged
+        escalation: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            steps: {
+                type: [{
+                    _id: false,
+                    action: {
+                        type: String,
+                        enum: ['whatsapp', 'voice', 'backup_contact']
+                    },
+                    waitMinutes: Number
+                }],
+                default: [{ action: 'voice', waitMinutes: 15 }]
+            },
+            backupContact: {
+                name: String,
+                phoneNumber: String
             }
         }
     },
+    // Named reminder settings the user can reuse ("use bill payment template for electricity").
+    // The fields mirror a parsed reminder request so a template can go straight to
+    // nlpService's createReminderFromResponse.
+    reminderTemplates: {
+        type: [{
+            _id: false,
+            // Lowercased, for lookups
+            name: {
+                type: String,
+                required: true
+            },
+            displayName: String,
+            // May contain a placeholder like "{item}", filled in when the template is used
+            content: String,
+            // First date (yyyy-MM-dd) of a recurring template; null uses the next time that fits
+            date: {
+                type: String,
+                default: null
+            },
+            time: {
+                type: String,
+                default: null
+            },
+            timeReference: {
+                type: String,
+                default: null
+            },
+            recurrence: {
+                type: String,
+                default: 'none'
+            },
+            recurrencePattern: {
+                type: Object,
+                default: null
+            },
+            // null uses the user's preferred method
+            notificationMethod: {
+                type: String,
+                enum: ['whatsapp', 'voice', 'both', null],
+                default: null
+            },
+            escalationSteps: {
+                type: [{
+                    _id: false,
+                    action: {
+                        type: String,
+                        enum: ['whatsapp', 'voice', 'backup_contact']
+                    },
+                    waitMinutes: Number
+                }],
+                default: undefined
+            },
+            advanceNoticeMinutes: {
+                type: [Number],
+                default: undefined
+            },
+            urgent: {
+                type: Boolean,
+                default: false
+            },
+            createdAt: {
+                type: Date,
+                default: Date.now
+            }
+        }],
+        default: []
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -0,0 +1,19 @@
+// src/routes/adminRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+
+// All admin routes require the admin token
+router.use(adminController.requireAdminToken);
+
+// Queue depth of the reminder scheduler and the outbound rate limiter
+router.get('/queues', adminController.getQueueStats);
+
+// Dead-lettered reminders: inspect, replay or discard
+router.get('/dead-letters', adminController.listDeadLetters);
+router.get('/dead-letters/:id', adminController.getDeadLetter);
+router.post('/dead-letters/:id/replay', adminController.replayDeadLetter);
+router.post('/dead-letters/:id/discard', adminController.discardDeadLetter);
+
+module.exports = router;
@@ -3,6 +3,7 @@
 const app = require('./app');
 const mongoose = require('mongoose');
 const notificationService = require('./services/notificationService');
+const reminderService = require('./services/reminderService');
 
 // Get port from environment variables or default to 3000
 const PORT = process.env.PORT || 3000;
@@ -17,14 +18,29 @@ mongoose.connection.on('connected', () => {
 
     // Initialize notification service after MongoDB is connected
     if (process.env.NODE_ENV !== 'test') {
-        // Set up notification cron job to run every minute
-        notificationService.setupNotificationCron(1);
-        console.log('Notification service initialized');
-
-        // Run an initial check for any reminders that might have been missed during server downtime
-        notificationService.processNotifications().catch(err => {
-            console.error('Error in initial notification check:', err);
-        });
+        // Bring reminders saved with the old statuses ('sent', 'acknowledged') up to date first,
+        // so the scheduler and escalations see them
+        reminderService.migrateLegacyStatuses()
+            .then(migratedCount => {
+                if (migratedCount > 0) {
+                    console.log(`Migrated ${migratedCount} reminder(s) to the new lifecycle statuses`);
+                }
+            })
+            .catch(err => {
+                console.error('Error migrating reminder statuses:', err);
+            })
+            .then(() => {
+                // Start the reminder scheduler and the notification cron job that runs every minute
+                notificationService.setupNotificationCron(1);
+                console.log('Notification service initialized');
+
+                // Run an initial check for any reminders that might have been missed during server downtime.
+                // Overdue reminders are handled by each user's catch-up policy rather than sent as if on time.
+                return notificationService.processNotifications();
+            })
+            .catch(err => {
+                console.error('Error in initial notification check:', err);
+            });
     }
 });
 
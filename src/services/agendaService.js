@@ -0,0 +1,167 @@
+// src/services/agendaService.js
+
+const { addDays, format, parseISO } = require('date-fns');
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+const User = require('../models/user');
+const reminderService = require('./reminderService');
+const whatsappService = require('./whatsappService');
+const userPreferenceService = require('./userPreferenceService');
+
+/**
+ * Service for the daily agenda digest sent over WhatsApp
+ */
+class AgendaService {
+    constructor() {
+        // If we miss the send time (e.g. downtime), still send the digest within this window
+        this.lateWindowMinutes = 120;
+    }
+
+    /**
+     * Get the local time a user's agenda should go out
+     * @param {Object} user - User document
+     * @returns {Promise<Object>} - { hour, minute }
+     */
+    async getAgendaTime(user) {
+        const agenda = user.preferences && user.preferences.agenda;
+        const explicitMinutes = agenda && userPreferenceService.parseTimeOfDay(agenda.time);
+
+        if (explicitMinutes !== null && explicitMinutes !== undefined) {
+            return { hour: Math.floor(explicitMinutes / 60), minute: explicitMinutes % 60 };
+        }
+
+        // Fall back to whatever the user calls "morning"
+        const timePreferences = await userPreferenceService.getTimePreferences(user._id);
+        const morning = typeof timePreferences.get === 'function'
+            ? timePreferences.get('morning')
+            : timePreferences.morning;
+
+        return morning || userPreferenceService.defaultTimePreferences.morning;
+    }
+
+    /**
+     * Send agenda digests to users whose send time has arrived today
+     */
+    async processAgendaDigests() {
+        try {
+            const users = await User.find({ 'preferences.agenda.enabled': true });
+            const now = new Date();
+
+            for (const user of users) {
+                try {
+                    const timeZone = user.timeZone || 'Asia/Kolkata';
+                    const today = formatInTimeZone(now, timeZone, 'yyyy-MM-dd');
+
+                    if (user.preferences.agenda.lastSentOn === today) {
+                        continue;
+                    }
+
+                    // Nothing goes out while the user is on vacation
+                    if (userPreferenceService.getVacationStatus(user, now).active) {
+                        continue;
+                    }
+
+                    const { hour, minute } = await this.getAgendaTime(user);
+                    const localMinutes = parseInt(formatInTimeZone(now, timeZone, 'H')) * 60 +
+                        parseInt(formatInTimeZone(now, timeZone, 'm'));
+                    const minutesPastSendTime = localMinutes - (hour * 60 + minute);
+
+                    if (minutesPastSendTime < 0 || minutesPastSendTime > this.lateWindowMinutes) {
+                        continue;
+                    }
+
+                    // Atomically mark today's digest as sent so only one worker sends it
+                    const claimed = await User.findOneAndUpdate(
+                        { _id: user._id, 'preferences.agenda.lastSentOn': { $ne: today } },
+                        { 'preferences.agenda.lastSentOn': today },
+                        { new: true }
+                    );
+
+                    if (!claimed) {
+                        continue;
+                    }
+
+                    await this.sendAgendaDigest(user, today);
+                } catch (error) {
+                    console.error(`Error sending agenda digest to user ${user._id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Error processing agenda digests:', error);
+        }
+    }
+
+    /**
+     * Send a user the list of reminders for a local day
+     * @param {Object} user - User document
+     * @param {String} day - Local date in yyyy-MM-dd format
+     * @returns {Promise<Boolean>} - Whether a message was sent
+     */
+    async sendAgendaDigest(user, day) {
+        const timeZone = user.timeZone || 'Asia/Kolkata';
+        const startOfDay = fromZonedTime(`${day}T00:00:00`, timeZone);
+        const endOfDay = new Date(fromZonedTime(`${format(addDays(parseISO(day), 1), 'yyyy-MM-dd')}T00:00:00`, timeZone).getTime() - 1);
+
+        const reminders = await reminderService.getRemindersInRange(user._id, startOfDay, endOfDay);
+
+        if (reminders.length === 0 && !user.preferences.agenda.sendWhenEmpty) {
+            console.log(`No reminders today for ${user.phoneNumber}, skipping agenda digest`);
+            return false;
+        }
+
+        const message = this.formatAgendaMessage(reminders, timeZone);
+        await whatsappService.sendMessage(user.phoneNumber, message, { userId: user._id, kind: 'agenda' });
+        console.log(`Sent agenda digest with ${reminders.length} reminder(s) to ${user.phoneNumber}`);
+
+        return true;
+    }
+
+    /**
+     * Format the agenda message, grouped by part of the day
+     * @param {Array} reminders - Reminders for the day, sorted by time
+     * @param {String} timeZone - User's timezone, used for the part of the day and the times shown
+     * @returns {String} - Formatted WhatsApp message
+     */
+    formatAgendaMessage(reminders, timeZone) {
+        if (reminders.length === 0) {
+            return "☀️ *Today's agenda*\n\nNothing scheduled today. Enjoy your day!";
+        }
+
+        const sections = [
+            { title: '🌅 Morning', reminders: [] },
+            { title: '🌤️ Afternoon', reminders: [] },
+            { title: '🌙 Evening', reminders: [] }
+        ];
+
+        for (const reminder of reminders) {
+            const localHour = parseInt(formatInTimeZone(reminder.scheduledFor, timeZone, 'H'));
+
+            if (localHour < 12) {
+                sections[0].reminders.push(reminder);
+            } else if (localHour < 17) {
+                sections[1].reminders.push(reminder);
+            } else {
+                sections[2].reminders.push(reminder);
+            }
+        }
+
+        let message = `☀️ *Today's agenda* (${reminders.length} reminder${reminders.length === 1 ? '' : 's'})\n`;
+
+        for (const section of sections) {
+            if (section.reminders.length === 0) {
+                continue;
+            }
+
+            message += `\n*${section.title}*\n`;
+            section.reminders.forEach(reminder => {
+                const date = formatInTimeZone(reminder.scheduledFor, timeZone, "EEEE, MMMM do 'at' h:mm a");
+                message += `• ${reminder.content} - ${date}\n`;
+            });
+        }
+
+        message += '\nReply "stop agenda" to turn off these messages.';
+
+        return message;
+    }
+}
+
+module.exports = new AgendaService();
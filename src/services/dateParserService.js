@@ -445,6 +445,92 @@ class DateParserService {
             throw error; // Rethrow to be handled by the caller
         }
     }
+
+    /**
+     * Work out when to snooze a reminder until from a reply such as "after lunch",
+     * "tomorrow morning", "tonight" or "at 5pm"
+     * Plain durations ("10 more minutes") are left to the caller.
+     * @param {String} text - The user's reply
+     * @param {String} userId - User ID for time preferences
+     * @param {String} timezone - The user's timezone
+     * @returns {Promise<Date|null>} - When to remind again, or null if the reply doesn't name a time
+     */
+    async parseSnoozeTarget(text, userId, timezone = 'Asia/Kolkata') {
+        if (!text) return null;
+
+        const lowerText = text.toLowerCase();
+        let date = null;
+        let time = null;
+        let timeReference = null;
+
+        if (/\btomorrow\b/.test(lowerText)) {
+            date = 'tomorrow';
+        } else {
+            const dayMatch = lowerText.match(/\b(?:next|on)\s+(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+            if (dayMatch) {
+                date = `next ${dayMatch[1]}`;
+            }
+        }
+
+        if (/\btonight\b/.test(lowerText)) {
+            timeReference = 'night';
+        } else {
+            timeReference = Object.keys(this.timeDefaults)
+                .find(reference => new RegExp(`\\b${reference}\\b`).test(lowerText)) || null;
+        }
+
+        // "at 5", "at 5pm", "at 17:30"
+        const timeMatch = lowerText.match(/\bat\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/);
+        if (timeMatch) {
+            let hours = parseInt(timeMatch[1]);
+            const minutes = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
+
+            if (timeMatch[3] === 'pm' && hours < 12) {
+                hours += 12;
+            } else if (timeMatch[3] === 'am' && hours === 12) {
+                hours = 0;
+            } else if (!timeMatch[3] && timeReference && hours >= 1 && hours <= 12) {
+                // No am/pm: take whichever reading is nearer the part of the day the reply
+                // named, so "tonight at 9" is 21:00 and "this afternoon at 12" stays noon
+                const referenceHour = this.timeDefaults[timeReference].hour;
+                const distance = hour => Math.min(Math.abs(hour - referenceHour), 24 - Math.abs(hour - referenceHour));
+                const amHour = hours % 12;
+
+                hours = distance(amHour + 12) < distance(amHour) ? amHour + 12 : amHour;
+            }
+
+            if (hours <= 23 && minutes <= 59) {
+                time = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+                timeReference = null;
+            }
+        }
+
+        if (!date && !time && !timeReference) {
+            return null;
+        }
+
+        // A day on its own means that morning
+        if (date && !time && !timeReference) {
+            timeReference = 'morning';
+        }
+
+        // "after lunch" is an hour after lunchtime rather than at it
+        if (timeReference && /\bafter\s+(breakfast|lunch|dinner)\b/.test(lowerText)) {
+            let timePreferences = this.timeDefaults;
+            if (userId) {
+                timePreferences = await userPreferenceService.getTimePreferences(userId);
+            }
+
+            const { hour, minute } = timePreferences[timeReference] || this.timeDefaults[timeReference];
+            const afterMinutes = (hour * 60 + minute + 60) % (24 * 60);
+
+            time = `${Math.floor(afterMinutes / 60).toString().padStart(2, '0')}:${(afterMinutes % 60).toString().padStart(2, '0')}`;
+            timeReference = null;
+        }
+
+        return this.parseDateTime({ date, time, timeReference }, userId, timezone);
+    }
+
     /**
      * Validate a date string for basic validity
      * @param {String} dateStr - The date string to validate
@@ -0,0 +1,204 @@
+// src/services/deliveryLogService.js
+
+const MessageLog = require('../models/messageLog');
+
+// Statuses only move forward; a late "delivered" receipt must not overwrite "read"
+const STATUS_RANK = {
+    sent: 1,
+    delivered: 2,
+    read: 3
+};
+
+/**
+ * Map a Whapi status event value to our delivery status
+ * @param {String} providerStatus - Status from Whapi (sent, delivered, read, played, failed, ...)
+ * @returns {String|null} - Delivery status, or null if not one we track
+ */
+const mapWhatsAppStatus = (providerStatus) => {
+    switch (providerStatus) {
+        case 'sent':
+        case 'pending':
+            return 'sent';
+        case 'delivered':
+            return 'delivered';
+        case 'read':
+        case 'played':
+            return 'read';
+        case 'failed':
+        case 'deleted':
+            return 'failed';
+        default:
+            return null;
+    }
+};
+
+/**
+ * Map a Twilio call status to our delivery status
+ * @param {String} callStatus - Twilio CallStatus
+ * @returns {String|null} - Delivery status, or null if not one we track
+ */
+const mapCallStatus = (callStatus) => {
+    switch (callStatus) {
+        case 'queued':
+        case 'initiated':
+        case 'ringing':
+            return 'sent';
+        case 'in-progress':
+        case 'completed':
+            return 'delivered';
+        case 'busy':
+        case 'no-answer':
+        case 'failed':
+        case 'canceled':
+            return 'failed';
+        default:
+            return null;
+    }
+};
+
+/**
+ * Record an outbound message or call
+ * @param {Object} entry - Log details
+ * @param {String} entry.channel - 'whatsapp' or 'voice'
+ * @param {String} entry.to - Recipient phone number
+ * @param {String} entry.providerMessageId - Whapi message ID or Twilio call SID
+ * @param {String} entry.payload - Message text or call URL
+ * @param {String} entry.status - Initial status ('sent' or 'failed')
+ * @param {String} entry.error - Error message if sending failed
+ * @param {String} entry.reminderId - Related reminder, if any
+ * @param {String} entry.userId - Related user, if any
+ * @param {String} entry.kind - What the message was for
+ * @returns {Promise<Object|null>} - Created log entry, or null if logging failed
+ */
+const logOutboundMessage = async (entry) => {
+    try {
+        const status = entry.status || 'sent';
+
+        const log = new MessageLog({
+            reminder: entry.reminderId || null,
+            user: entry.userId || null,
+            channel: entry.channel,
+            kind: entry.kind || 'message',
+            to: entry.to,
+            providerMessageId: entry.providerMessageId || null,
+            payload: entry.payload || null,
+            status,
+            statusHistory: [{ status, providerStatus: entry.providerStatus || status }],
+            error: entry.error || null
+        });
+
+        await log.save();
+        return log;
+    } catch (error) {
+        // Logging must never break sending
+        console.error('Error logging outbound message:', error);
+        return null;
+    }
+};
+
+/**
+ * Apply a provider status update to a logged message
+ * @param {String} providerMessageId - Whapi message ID or Twilio call SID
+ * @param {String} status - Mapped delivery status
+ * @param {String} providerStatus - Raw provider status
+ * @param {String} errorMessage - Optional error details
+ * @returns {Promise<Object|null>} - Updated log entry, or null if unknown
+ */
+const recordStatus = async (providerMessageId, status, providerStatus, errorMessage = null) => {
+    try {
+        const log = await MessageLog.findOne({ providerMessageId });
+
+        if (!log) {
+            return null;
+        }
+
+        log.statusHistory.push({ status, providerStatus });
+
+        // Failures only count if the message never got through; otherwise only move forward
+        if (status === 'failed') {
+            if (!STATUS_RANK[log.status] || log.status === 'sent') {
+                log.status = 'failed';
+                log.error = errorMessage || providerStatus;
+            }
+        } else if ((STATUS_RANK[status] || 0) > (STATUS_RANK[log.status] || 0)) {
+            log.status = status;
+        }
+
+        await log.save();
+        return log;
+    } catch (error) {
+        console.error('Error recording delivery status:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get the latest delivery status of the reminder notification for each reminder
+ * @param {Array<String>} reminderIds - Reminder IDs
+ * @param {String} channel - Channel to look at (default 'whatsapp')
+ * @returns {Promise<Map>} - Map of reminder ID to delivery status
+ */
+const getDeliveryStatuses = async (reminderIds, channel = 'whatsapp') => {
+    try {
+        const logs = await MessageLog.find({
+            reminder: { $in: reminderIds },
+            channel,
+            kind: 'reminder'
+        }).sort({ createdAt: 1 });
+
+        // Later logs overwrite earlier ones, leaving the most recent per reminder
+        const statuses = new Map();
+        for (const log of logs) {
+            statuses.set(log.reminder.toString(), log.status);
+        }
+
+        return statuses;
+    } catch (error) {
+        console.error('Error fetching delivery statuses:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get all logged messages and calls for a reminder
+ * @param {String} reminderId - Reminder ID
+ * @returns {Promise<Array>} - Log entries, oldest first
+ */
+const getReminderDeliveries = async (reminderId) => {
+    try {
+        return await MessageLog.find({ reminder: reminderId }).sort({ createdAt: 1 });
+    } catch (error) {
+        console.error('Error fetching reminder deliveries:', error);
+        throw error;
+    }
+};
+
+/**
+ * Format a delivery status for display next to a reminder
+ * @param {String} status - Delivery status
+ * @returns {String} - Short label, or empty string if unknown
+ */
+const formatDeliveryStatus = (status) => {
+    switch (status) {
+        case 'sent':
+            return '✓ sent';
+        case 'delivered':
+            return '✓✓ delivered';
+        case 'read':
+            return '✓✓ read';
+        case 'failed':
+            return '⚠️ failed';
+        default:
+            return '';
+    }
+};
+
+module.exports = {
+    mapWhatsAppStatus,
+    mapCallStatus,
+    logOutboundMessage,
+    recordStatus,
+    getDeliveryStatuses,
+    getReminderDeliveries,
+    formatDeliveryStatus
+};
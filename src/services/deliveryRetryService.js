@@ -0,0 +1,214 @@
+// src/services/deliveryRetryService.js
+
+const DeadLetter = require('../models/deadLetter');
+const reminderService = require('./reminderService');
+
+// Network-level failures that usually go away on their own
+const TRANSIENT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+// Twilio error codes for numbers that can't be called no matter how often we try
+const PERMANENT_TWILIO_CODES = [21211, 21212, 21214, 21217, 21401, 21407, 21603, 21610, 21614];
+
+/**
+ * Service for retrying failed reminder deliveries and keeping those we give up on
+ */
+class DeliveryRetryService {
+    constructor() {
+        this.maxAttempts = parseInt(process.env.DELIVERY_MAX_ATTEMPTS) || 5;
+        this.baseDelayMs = (parseInt(process.env.DELIVERY_RETRY_BASE_SECONDS) || 30) * 1000;
+        this.maxDelayMs = 30 * 60 * 1000;
+    }
+
+    /**
+     * Decide whether a send error is worth retrying
+     * @param {Error} error - Error from axios (Whapi) or the Twilio client
+     * @returns {String} - 'transient' (timeouts, 5xx, 429) or 'permanent' (e.g. invalid number)
+     */
+    classifyError(error) {
+        if (!error) {
+            return 'permanent';
+        }
+
+        if (TRANSIENT_ERROR_CODES.includes(error.code)) {
+            return 'transient';
+        }
+
+        if (PERMANENT_TWILIO_CODES.includes(error.code)) {
+            return 'permanent';
+        }
+
+        // Axios puts the HTTP status on the response, Twilio on the error itself
+        const status = (error.response && error.response.status) || error.status;
+
+        if (status === 429 || status >= 500) {
+            return 'transient';
+        }
+
+        if (status >= 400) {
+            return 'permanent';
+        }
+
+        // Request went out but nothing came back
+        if (error.request && !error.response) {
+            return 'transient';
+        }
+
+        if (error.message && error.message.toLowerCase().includes('timeout')) {
+            return 'transient';
+        }
+
+        // Configuration problems and bugs won't fix themselves by retrying
+        return 'permanent';
+    }
+
+    /**
+     * Get the wait before the next attempt, doubling with each failure
+     * @param {Number} attempt - Number of attempts that have failed so far (1 for the first)
+     * @returns {Number} - Delay in milliseconds
+     */
+    getRetryDelayMs(attempt) {
+        const delayMs = Math.min(this.baseDelayMs * Math.pow(2, attempt - 1), this.maxDelayMs);
+
+        // Up to 10% jitter so retries for many reminders don't line up
+        return Math.round(delayMs + Math.random() * delayMs * 0.1);
+    }
+
+    /**
+     * Store a reminder we gave up delivering
+     * @param {Object} reminder - Reminder document
+     * @param {Object} details - Failure details
+     * @param {String} details.channel - 'whatsapp', 'voice' or 'both'
+     * @param {Error} details.error - Last error
+     * @param {String} details.errorType - 'transient' or 'permanent'
+     * @param {Number} details.attempts - Attempts made
+     * @returns {Promise<Object>} - Created dead letter
+     */
+    async recordDeadLetter(reminder, { channel, error, errorType, attempts }) {
+        try {
+            const deadLetter = new DeadLetter({
+                reminder: reminder._id,
+                user: reminder.user ? (reminder.user._id || reminder.user) : null,
+                channel,
+                error: error ? error.message : null,
+                errorType,
+                attempts
+            });
+
+            await deadLetter.save();
+            return deadLetter;
+        } catch (error) {
+            console.error('Error recording dead letter:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * List dead letters, newest first
+     * @param {Object} options - Filters
+     * @param {String} options.status - Only entries with this status (default 'open')
+     * @param {Number} options.limit - Maximum number of entries (default 50)
+     * @returns {Promise<Array>} - Dead letters with reminder and user details
+     */
+    async listDeadLetters({ status = 'open', limit = 50 } = {}) {
+        try {
+            const filter = status === 'all' ? {} : { status };
+
+            return await DeadLetter.find(filter)
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .populate('reminder', 'content scheduledFor status notificationMethod')
+                .populate('user', 'phoneNumber name');
+        } catch (error) {
+            console.error('Error listing dead letters:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single dead letter
+     * @param {String} deadLetterId - Dead letter ID
+     * @returns {Promise<Object|null>} - Dead letter with reminder and user details
+     */
+    async getDeadLetter(deadLetterId) {
+        try {
+            return await DeadLetter.findById(deadLetterId)
+                .populate('reminder')
+                .populate('user', 'phoneNumber name');
+        } catch (error) {
+            console.error('Error fetching dead letter:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Try a dead-lettered reminder again by scheduling a one-off copy for right now
+     * The failed reminder itself is left alone so its series isn't continued twice.
+     * @param {String} deadLetterId - Dead letter ID
+     * @returns {Promise<Object|null>} - Updated dead letter, or null if not found or not open
+     */
+    async replayDeadLetter(deadLetterId) {
+        try {
+            const openEntry = await DeadLetter.findOne({ _id: deadLetterId, status: 'open' });
+
+            if (!openEntry) {
+                return null;
+            }
+
+            // Leave the entry open if the reminder is gone or the copy can't be created
+            const reminder = await reminderService.getReminderById(openEntry.reminder);
+
+            if (!reminder) {
+                throw new Error(`Reminder ${openEntry.reminder} no longer exists`);
+            }
+
+            const replayReminder = await reminderService.createReminder({
+                user: reminder.user,
+                content: reminder.content,
+                scheduledFor: new Date(),
+                recurrence: 'none',
+                notificationMethod: reminder.notificationMethod,
+                escalationSteps: reminder.escalationSteps,
+                urgent: reminder.urgent
+            });
+
+            // Only one replay may win; a replay that lost the race takes its copy back
+            const deadLetter = await DeadLetter.findOneAndUpdate(
+                { _id: deadLetterId, status: 'open' },
+                { status: 'replayed', replayedAt: new Date(), replayReminder: replayReminder._id },
+                { new: true }
+            );
+
+            if (!deadLetter) {
+                await reminderService.deleteReminder(replayReminder._id);
+                return null;
+            }
+
+            console.log(`Replayed dead letter ${deadLetterId} as reminder ${replayReminder._id}`);
+
+            return deadLetter;
+        } catch (error) {
+            console.error('Error replaying dead letter:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a dead letter as dealt with without replaying it
+     * @param {String} deadLetterId - Dead letter ID
+     * @returns {Promise<Object|null>} - Updated dead letter, or null if not found or not open
+     */
+    async discardDeadLetter(deadLetterId) {
+        try {
+            return await DeadLetter.findOneAndUpdate(
+                { _id: deadLetterId, status: 'open' },
+                { status: 'discarded' },
+                { new: true }
+            );
+        } catch (error) {
+            console.error('Error discarding dead letter:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new DeliveryRetryService();
@@ -0,0 +1,157 @@
+// src/services/habitService.js
+
+const Series = require('../models/series');
+const reminderService = require('./reminderService');
+const recurrenceParserService = require('./recurrenceParserService');
+
+// Streaks shorter than this aren't mentioned in notifications
+const MIN_STREAK_TO_SHOW = 2;
+
+// A streak at least this long gets a nudge in the next notification after it ends
+const MIN_BROKEN_STREAK_TO_NUDGE = 3;
+
+// Completion rates in habit summaries cover this many recent occurrences
+const RECENT_OCCURRENCES = 30;
+
+/**
+ * Service for habit streaks of recurring reminders
+ * Streaks are worked out from the outcome each series records for its occurrences
+ * (see reminderService.recordOccurrenceOutcome).
+ */
+class HabitService {
+    /**
+     * Get what a streak of a series is counted in
+     * @param {Object} series - Series document
+     * @returns {String} - 'day', 'week' or 'month' for series that happen once per one of
+     *   those, otherwise 'time'
+     */
+    getStreakUnit(series) {
+        try {
+            const rule = recurrenceParserService.getPatternRule(series.recurrencePattern);
+
+            if (!rule || rule.interval !== 1) {
+                return 'time';
+            }
+
+            if (rule.freq === 'DAILY' && rule.byDay.length === 0 && rule.byHour.length <= 1) {
+                return 'day';
+            }
+
+            if (rule.freq === 'WEEKLY' && rule.byDay.length <= 1) {
+                return 'week';
+            }
+
+            if (rule.freq === 'MONTHLY') {
+                return 'month';
+            }
+        } catch (error) {
+            console.error('Error reading series rule for streak:', error);
+        }
+
+        return 'time';
+    }
+
+    /**
+     * @param {Number} count - Number of occurrences
+     * @param {String} unit - Unit from getStreakUnit
+     * @returns {String} - e.g. "12 days" or "5 times"
+     */
+    formatCount(count, unit) {
+        return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Work out the streaks and completion rate of a series
+     * @param {Object} series - Series document with its outcomes
+     * @returns {Object} - { current, longest, brokenStreak, completed, total, unit } where
+     *   brokenStreak is the streak the latest occurrence ended by being missed (0 if it didn't)
+     */
+    getHabitStats(series) {
+        const outcomes = series.outcomes || [];
+        const current = reminderService.getCurrentStreak(outcomes);
+
+        let lastIndex = outcomes.length - 1;
+        while (lastIndex >= 0 && outcomes[lastIndex].outcome === 'skipped') {
+            lastIndex--;
+        }
+
+        const brokenStreak = lastIndex >= 0 && outcomes[lastIndex].outcome === 'missed'
+            ? reminderService.getCurrentStreak(outcomes, lastIndex)
+            : 0;
+
+        const recent = outcomes.filter(entry => entry.outcome !== 'skipped').slice(-RECENT_OCCURRENCES);
+
+        return {
+            current,
+            longest: Math.max(series.longestStreak || 0, current),
+            brokenStreak,
+            completed: recent.filter(entry => entry.outcome === 'completed').length,
+            total: recent.length,
+            unit: this.getStreakUnit(series)
+        };
+    }
+
+    /**
+     * Get the streak line for a reminder notification, e.g. "🔥 12 days in a row"
+     * @param {Object} reminder - Occurrence being sent
+     * @returns {Promise<String|null>} - Line to add, or null if there's no streak worth mentioning
+     */
+    async getStreakLine(reminder) {
+        try {
+            if (!reminder.series) {
+                return null;
+            }
+
+            const series = await Series.findById(reminder.series._id || reminder.series)
+                .select('outcomes longestStreak recurrencePattern');
+
+            if (!series) {
+                return null;
+            }
+
+            const stats = this.getHabitStats(series);
+
+            if (stats.current >= MIN_STREAK_TO_SHOW) {
+                return `🔥 ${this.formatCount(stats.current, stats.unit)} in a row - keep it going!`;
+            }
+
+            if (stats.brokenStreak >= MIN_BROKEN_STREAK_TO_NUDGE) {
+                return `💪 Your streak of ${this.formatCount(stats.brokenStreak, stats.unit)} ended last time - let's start a new one.`;
+            }
+
+            return null;
+        } catch (error) {
+            console.error('Error getting streak for notification:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Describe how a user is doing with a recurring reminder, for a chat message
+     * @param {Object} series - Series document
+     * @returns {String} - Human-readable summary
+     */
+    describeHabit(series) {
+        const stats = this.getHabitStats(series);
+
+        if (stats.total === 0) {
+            return `"${series.content}" has no history yet. Reply "done" when you've done it and I'll keep count.`;
+        }
+
+        let message = `*${series.content}*\n`;
+
+        message += stats.current > 0
+            ? `🔥 Current streak: ${this.formatCount(stats.current, stats.unit)} in a row\n`
+            : '🔥 Current streak: none yet - the next one starts it\n';
+        message += `🏆 Best streak: ${this.formatCount(stats.longest, stats.unit)}\n`;
+        message += `✅ Done ${stats.completed} of the last ${stats.total}`;
+
+        if (series.status === 'paused') {
+            message += '\n⏸️ Paused at the moment';
+        }
+
+        return message;
+    }
+}
+
+module.exports = new HabitService();
@@ -0,0 +1,185 @@
+// src/services/holidayCalendarService.js
+
+const fs = require('fs');
+const path = require('path');
+const recurrenceParserService = require('./recurrenceParserService');
+
+// One JSON file per calendar, named after its code (e.g. IN.json)
+const CALENDAR_DIR = path.join(__dirname, '../data/holidays');
+
+// Weekend used when a user has no holiday calendar
+const DEFAULT_WEEKEND = [0, 6];
+
+// How far an occurrence is moved looking for a business day before giving up
+const MAX_SHIFT_DAYS = 31;
+
+const BUSINESS_DAY_POLICIES = ['skip', 'next', 'previous'];
+
+/**
+ * Service for holiday calendars and business-day adjustments of recurring reminders
+ * Calendars are loaded from src/data/holidays; adding a country is a matter of dropping in
+ * another file with its weekend days and holidays.
+ */
+class HolidayCalendarService {
+    constructor() {
+        this.calendars = new Map();
+        // Calendar years already reported as missing from their data file, e.g. 'IN:2028'
+        this.missingYearsWarned = new Set();
+    }
+
+    /**
+     * List the calendars that have a data file
+     * @returns {Array} - [{ code, name }]
+     */
+    getAvailableCalendars() {
+        try {
+            return fs.readdirSync(CALENDAR_DIR)
+                .filter(file => file.endsWith('.json'))
+                .map(file => this.getCalendar(path.basename(file, '.json')))
+                .filter(Boolean)
+                .map(({ code, name }) => ({ code, name }));
+        } catch (error) {
+            console.error('Error listing holiday calendars:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Load a calendar, caching it for later calls
+     * @param {String} code - Calendar code (e.g. 'IN')
+     * @returns {Object|null} - { code, name, weekend, holidays, years }, or null if there is no such calendar
+     */
+    getCalendar(code) {
+        if (!code || !/^[A-Za-z-]+$/.test(code)) {
+            return null;
+        }
+
+        const key = code.toUpperCase();
+
+        if (!this.calendars.has(key)) {
+            const file = path.join(CALENDAR_DIR, `${key}.json`);
+
+            if (!fs.existsSync(file)) {
+                return null;
+            }
+
+            try {
+                const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+                const holidays = new Map(Object.entries(data.holidays || {}));
+
+                this.calendars.set(key, {
+                    code: key,
+                    name: data.name || key,
+                    weekend: Array.isArray(data.weekend) ? data.weekend : DEFAULT_WEEKEND,
+                    holidays,
+                    years: new Set([...holidays.keys()].map(date => date.slice(0, 4)))
+                });
+            } catch (error) {
+                console.error(`Error loading holiday calendar ${key}:`, error);
+                return null;
+            }
+        }
+
+        return this.calendars.get(key);
+    }
+
+    /**
+     * Get the holiday on a local date
+     * @param {String} code - Calendar code
+     * @param {String} localDate - Date as yyyy-MM-dd
+     * @returns {String|null} - Name of the holiday, or null if it's not one
+     */
+    getHoliday(code, localDate) {
+        const calendar = this.getCalendar(code);
+
+        if (!calendar) {
+            return null;
+        }
+
+        this.warnIfYearMissing(calendar, localDate);
+        return calendar.holidays.get(localDate) || null;
+    }
+
+    /**
+     * Log once per calendar and year when a date falls in a year the data file has no holidays
+     * for, since every day of that year would otherwise quietly count as a working day
+     * @param {Object} calendar - Loaded calendar
+     * @param {String} localDate - Date as yyyy-MM-dd
+     */
+    warnIfYearMissing(calendar, localDate) {
+        const year = localDate.slice(0, 4);
+        const key = `${calendar.code}:${year}`;
+
+        if (calendar.years.has(year) || this.missingYearsWarned.has(key)) {
+            return;
+        }
+
+        this.missingYearsWarned.add(key);
+        console.warn(`Holiday calendar ${calendar.code} has no holidays for ${year}; only weekends will be treated as days off. Add ${year} to src/data/holidays/${calendar.code}.json.`);
+    }
+
+    /**
+     * Check whether a local date is a working day
+     * @param {String} code - Calendar code, or null for weekends only
+     * @param {Date} wallClock - Floating date holding the local date (see recurrenceParserService.toWallClock)
+     * @returns {Boolean} - False on weekends and holidays
+     */
+    isBusinessDay(code, wallClock) {
+        const calendar = this.getCalendar(code);
+        const weekend = calendar ? calendar.weekend : DEFAULT_WEEKEND;
+
+        if (weekend.includes(wallClock.getUTCDay())) {
+            return false;
+        }
+
+        if (!calendar) {
+            return true;
+        }
+
+        const localDate = wallClock.toISOString().slice(0, 10);
+
+        this.warnIfYearMissing(calendar, localDate);
+        return !calendar.holidays.has(localDate);
+    }
+
+    /**
+     * Apply a business-day policy to an occurrence
+     * Occurrences are moved whole days in local time, so they keep their time of day.
+     * @param {Date} date - Occurrence
+     * @param {String} policy - 'skip', 'next' or 'previous'
+     * @param {String} code - Calendar code, or null for weekends only
+     * @param {String} timeZone - IANA time zone the occurrence is local to
+     * @returns {Date|null} - The occurrence itself if it's on a business day, the moved
+     *   occurrence, or null if it should be skipped
+     */
+    adjustToBusinessDay(date, policy, code, timeZone) {
+        if (!BUSINESS_DAY_POLICIES.includes(policy)) {
+            return date;
+        }
+
+        let wallClock = recurrenceParserService.toWallClock(date, timeZone);
+
+        if (this.isBusinessDay(code, wallClock)) {
+            return date;
+        }
+
+        if (policy === 'skip') {
+            return null;
+        }
+
+        const step = policy === 'next' ? 1 : -1;
+
+        for (let i = 0; i < MAX_SHIFT_DAYS; i++) {
+            wallClock = new Date(wallClock.getTime() + step * 24 * 60 * 60 * 1000);
+
+            if (this.isBusinessDay(code, wallClock)) {
+                return recurrenceParserService.fromWallClock(wallClock, timeZone);
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = new HolidayCalendarService();
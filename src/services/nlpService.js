@@ -2,12 +2,16 @@
 
 const axios = require('axios');
 const { format, parse, parseISO, addHours, addMinutes } = require('date-fns');
-const { zonedTimeToUtc, utcToZonedTime } = require('date-fns-tz');
+const { zonedTimeToUtc, utcToZonedTime, formatInTimeZone, fromZonedTime } = require('date-fns-tz');
 const whatsappService = require('./whatsappService');
 const reminderService = require('./reminderService');
 const dateParserService = require('./dateParserService');
 const userPreferenceService = require('./userPreferenceService');
 const validationService = require('./validationService');
+const deliveryLogService = require('./deliveryLogService');
+const habitService = require('./habitService');
+const routineService = require('./routineService');
+const templateService = require('./templateService');
 
 const preprocessUserMessage = (messageText) => {
     const enhancements = {};
@@ -139,10 +143,14 @@ const processUserMessage = async (user, messageText) => {
                     }
 
                     nlpResponse.recurrence = 'custom';
-                    nlpResponse.recurrencePattern.frequency = 'week';
-                    nlpResponse.recurrencePattern.interval = 1;
                     nlpResponse.recurrencePattern.daysOfWeek = mentionedDays;
 
+                    // For hour- and minute-level patterns the days only limit when it repeats
+                    if (!['hour', 'minute'].includes(nlpResponse.recurrencePattern.frequency)) {
+                        nlpResponse.recurrencePattern.frequency = 'week';
+                        nlpResponse.recurrencePattern.interval = 1;
+                    }
+
                     // Remove the single dayOfWeek if it was set
                     if (nlpResponse.recurrencePattern.dayOfWeek !== undefined) {
                         delete nlpResponse.recurrencePattern.dayOfWeek;
@@ -166,6 +174,39 @@ const processUserMessage = async (user, messageText) => {
                 console.log('Enhanced with recurrence info:', nlpResponse);
             }
 
+            // The LLM sometimes drops the "between 9am and 6pm" part of hour/minute recurrences
+            if (nlpResponse.type === 'reminder' && nlpResponse.recurrencePattern &&
+                recurrenceInfo && recurrenceInfo.recurrencePattern &&
+                recurrenceInfo.recurrencePattern.activeWindow &&
+                ['hour', 'minute'].includes(nlpResponse.recurrencePattern.frequency) &&
+                !nlpResponse.recurrencePattern.activeWindow) {
+                nlpResponse.recurrencePattern.activeWindow = recurrenceInfo.recurrencePattern.activeWindow;
+            }
+
+            // Same for "or the next business day" and "except holidays", and for the
+            // "for 7 days" / "5 times" limit
+            const businessDays = recurrenceParserService.parseBusinessDayPolicy(messageText.toLowerCase());
+            const occurrenceCount = recurrenceInfo ? recurrenceParserService.getOccurrenceLimit(recurrenceInfo.recurrencePattern) : null;
+
+            if (nlpResponse.type === 'reminder' && (businessDays || occurrenceCount) &&
+                nlpResponse.recurrence && nlpResponse.recurrence !== 'none') {
+                const simpleFrequencies = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+                if (simpleFrequencies[nlpResponse.recurrence]) {
+                    nlpResponse.recurrencePattern = { frequency: simpleFrequencies[nlpResponse.recurrence], interval: 1 };
+                    nlpResponse.recurrence = 'custom';
+                }
+
+                if (nlpResponse.recurrencePattern && businessDays && !nlpResponse.recurrencePattern.businessDays) {
+                    nlpResponse.recurrencePattern.businessDays = businessDays;
+                }
+
+                if (nlpResponse.recurrencePattern && occurrenceCount &&
+                    !recurrenceParserService.getOccurrenceLimit(nlpResponse.recurrencePattern)) {
+                    nlpResponse.recurrencePattern.count = occurrenceCount;
+                }
+            }
+
         } catch (parseError) {
             console.error('Error parsing LLM response:', parseError);
             console.log('Attempting to create a fallback response');
@@ -211,8 +252,8 @@ function containsRecurrenceTerms(message) {
 
     // List of terms that indicate recurrence intent
     const recurrenceTerms = [
-        'every', 'daily', 'weekly', 'monthly', 'yearly',
-        'each', 'repeat', 'recurring', 'recur',
+        'every', 'hourly', 'daily', 'weekly', 'monthly', 'yearly',
+        'each', 'repeat', 'recurring', 'recur', 'twice', 'thrice',
         'mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun',
         'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'
     ];
@@ -232,6 +273,12 @@ function containsRecurrenceTerms(message) {
     // Check for "every X days/weeks/months" patterns
     const everyXPattern = /\bevery\s+\d+\s+(day|days|week|weeks|month|months)\b/i.test(lowerMessage);
 
+    // "3 times a day", "5 times", "for the next 10 days"
+    if (/\b(\d+|two|three|four|five|six|seven|eight|nine|ten)\s+times\b/i.test(lowerMessage) ||
+        /\bfor\s+(the\s+next\s+)?\d+\s+(days|weeks)\b/i.test(lowerMessage)) {
+        return true;
+    }
+
     // Only daily/weekly/monthly on its own is not enough - need context
     if (recurrenceTermFound && !['daily', 'weekly', 'monthly'].includes(lowerMessage.trim())) {
         return true;
@@ -240,6 +287,70 @@ function containsRecurrenceTerms(message) {
     return everyXPattern;
 }
 
+/**
+ * Normalise the advance notice offsets extracted by the LLM
+ * @param {Array|Number|null} advanceNotice - Offsets in minutes from the NLP response
+ * @param {Number} maxMinutes - Longest offset allowed; longer ones are capped to it
+ * @returns {Array<Number>|undefined} - Sorted unique offsets, or undefined if not mentioned
+ */
+function parseAdvanceNotice(advanceNotice, maxMinutes = 7 * 24 * 60) {
+    if (advanceNotice === null || advanceNotice === undefined || advanceNotice === "null") {
+        return undefined;
+    }
+
+    const values = Array.isArray(advanceNotice) ? advanceNotice : [advanceNotice];
+
+    // Keep positive whole minutes, capped at the longest offset allowed
+    const offsets = values
+        .map(value => parseInt(value))
+        .filter(value => !isNaN(value) && value > 0)
+        .map(value => Math.min(value, maxMinutes));
+
+    return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * List checklist items for a confirmation message
+ * @param {Array} checklist - [{ text }]
+ * @returns {String} - Numbered list preceded by a blank line, or an empty string without items
+ */
+function describeChecklist(checklist) {
+    if (checklist.length === 0) {
+        return '';
+    }
+
+    return '\n\n' + checklist.map((item, index) => `${index + 1}. ${item.text}`).join('\n');
+}
+
+/**
+ * Note for a confirmation message when the reminder's call falls in the user's quiet hours
+ * @param {Object} user - User document
+ * @param {Object} reminder - Created reminder
+ * @returns {String} - Note preceded by a blank line, or an empty string if quiet hours don't apply
+ */
+function describeQuietHoursClash(user, reminder) {
+    const note = userPreferenceService.describeQuietHoursClash(user, reminder);
+    return note ? `\n\n${note}` : '';
+}
+
+/**
+ * Describe a deadline's nudge ladder for a confirmation message
+ * @param {Array<Number>} offsets - Minutes before the deadline, largest first
+ * @returns {String} - e.g. "7 days, 1 day and 2 hours"
+ */
+function describeNudgeLadder(offsets) {
+    const labels = offsets.map(minutes => {
+        const [amount, unit] = minutes % 1440 === 0
+            ? [minutes / 1440, 'day']
+            : minutes % 60 === 0 ? [minutes / 60, 'hour'] : [minutes, 'minute'];
+        return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+    });
+
+    return labels.length > 1
+        ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}`
+        : labels[0];
+}
+
 /**
  * Get appropriate system prompt based on conversation state
  */
@@ -318,6 +429,30 @@ const getSystemPrompt = (conversationState) => {
                 If you cannot determine which reminder they want to update, respond with:
                 { "type": "unclear_selection", "message": "I couldn't determine which reminder you want to update" }`;
 
+        case 'pause_reminder_selection':
+            return `You are a helpful reminder assistant. The user is selecting a recurring reminder to pause.
+                
+                If the response contains a number (e.g., "the first one", "number 2", "3"), respond with:
+                { "type": "selection", "index": [number-1] }
+                
+                If the response describes a reminder by content instead of number, respond with:
+                { "type": "selection", "content": "the content mentioned" }
+                
+                If you cannot determine which reminder they want to pause, respond with:
+                { "type": "unclear_selection", "message": "I couldn't determine which reminder you want to pause" }`;
+
+        case 'series_scope_selection':
+            return `You are a helpful reminder assistant. The user was asked whether a change to a recurring reminder applies to just this occurrence or to the whole series.
+                
+                If the response means only this one (e.g., "just this one", "only today", "this time"), respond with:
+                { "type": "series_scope", "scope": "occurrence" }
+                
+                If the response means every occurrence (e.g., "whole series", "all of them", "every time", "from now on"), respond with:
+                { "type": "series_scope", "scope": "series" }
+                
+                If you cannot tell which one they mean, respond with:
+                { "type": "series_scope", "scope": null }`;
+
         case 'initial':
         default:
             return `You are a helpful reminder assistant. Extract reminder information from user messages.
@@ -346,15 +481,57 @@ const getSystemPrompt = (conversationState) => {
                   "timeReference": "morning/afternoon/evening/night (if applicable)",
                   "recurrence": "none|daily|weekly|monthly|custom",
                   "recurrencePattern": { // Only if recurrence is "custom"
-                    "frequency": "day|week|month|year",
+                    "frequency": "minute|hour|day|week|month|year",
                     "interval": 1, // 1 = every, 2 = every other, etc.
+                    "daysOfWeek": [1, 3], // Days it repeats on (weekly) or is limited to (hour/minute), 0 = Sunday, etc., [] if not applicable
                     "dayOfWeek": 0-6, // 0 = Sunday, etc., null if not applicable
                     "dayOfMonth": 1-31, // null if not applicable
-                    "monthOfYear": 0-11 // 0 = January, etc., null if not applicable
+                    "monthOfYear": 0-11, // 0 = January, etc., null if not applicable
+                    "rrule": "RFC 5545 RRULE or null", // Only for rules the fields above can't express, see examples below
+                    "activeWindow": { "start": "HH:MM", "end": "HH:MM" }, // Only for minute/hour frequencies limited to part of the day, null otherwise
+                    "businessDays": "skip|next|previous", // Only if occurrences on weekends or holidays should be skipped or moved to the next/previous business day, null otherwise
+                    "count": 14 // Total number of occurrences if the user limits it ("5 times", "for 7 days"), null otherwise
                   },
-                  "endDate": "YYYY-MM-DD or null" // End date for recurrence if specified
+                  "endDate": "YYYY-MM-DD or null", // End date for recurrence if specified
+                  "urgent": false, // true only if the user says it is urgent or must reach them even at night
+                  "notificationMethod": "whatsapp|voice|both or null", // Only if the user says how to be reminded ("call me" is voice, "call + whatsapp" is both), null otherwise
+                  "checklist": ["item"], // Only if the reminder lists several things to get or do, one entry per item, with "content" a short title for them; null otherwise
+                  "advanceNotice": [60], // Minutes before the reminder time to send a heads-up, one entry per heads-up. [] if the user asks for no heads-up, null if not mentioned
+                  "escalation": { "steps": ["voice"], "waitMinutes": 15 } // Only if the user wants to be chased when they don't confirm. Steps are "whatsapp", "voice" or "backup_contact". { "steps": [] } to turn it off for this reminder, null if not mentioned
                 }
                 
+                Examples of recurrence rules (set "recurrence": "custom" and fill "rrule"):
+                - "second Tuesday of every month" → "rrule": "FREQ=MONTHLY;BYDAY=2TU"
+                - "last weekday of the month" → "rrule": "FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1"
+                - "last day of every month" → "rrule": "FREQ=MONTHLY;BYMONTHDAY=-1"
+                - "every 3rd day, 10 times" → "rrule": "FREQ=DAILY;INTERVAL=3;COUNT=10"
+                
+                Examples of hour- and minute-level recurrence (set "recurrence": "custom"; "time" is the first occurrence):
+                - "drink water every 2 hours between 9am and 6pm on weekdays" → "recurrencePattern": { "frequency": "hour", "interval": 2, "daysOfWeek": [1, 2, 3, 4, 5], "activeWindow": { "start": "09:00", "end": "18:00" } }
+                - "stretch every 45 minutes" → "recurrencePattern": { "frequency": "minute", "interval": 45 }
+                
+                Examples of count-limited recurrence (set "recurrence": "custom"; "count" is the total number of reminders):
+                - "take antibiotics twice a day for 7 days" → "recurrencePattern": { "frequency": "hour", "interval": 12, "count": 14 }
+                - "remind me to water the seedlings every day for the next 10 days" → "recurrencePattern": { "frequency": "day", "interval": 1, "count": 10 }
+                - "call grandma every Sunday, 5 times" → "recurrencePattern": { "frequency": "week", "interval": 1, "daysOfWeek": [0], "count": 5 }
+                
+                Examples of business-day recurrence (set "recurrence": "custom"):
+                - "every working day at 10" → "recurrencePattern": { "frequency": "day", "interval": 1, "businessDays": "skip" }
+                - "pay rent on the 1st of every month, or the next business day if it's a holiday" → "recurrencePattern": { "frequency": "month", "interval": 1, "dayOfMonth": 1, "businessDays": "next" }
+                
+                Examples of advance notice:
+                - "remind me 1 hour before and at the time" → "advanceNotice": [60]
+                - "remind me a day before and 30 minutes before" → "advanceNotice": [1440, 30]
+                - "just at the time, no heads-up" → "advanceNotice": []
+                
+                Examples of checklists:
+                - "remind me at 6 to buy milk, eggs, bread" → "content": "buy groceries", "checklist": ["milk", "eggs", "bread"]
+                - "before the trip remind me to pack passport, charger and tickets" → "content": "pack for the trip", "checklist": ["passport", "charger", "tickets"]
+
+                Examples of escalation:
+                - "remind me to take my pills at 9, and call me if I don't reply within 10 minutes" → "escalation": { "steps": ["voice"], "waitMinutes": 10 }
+                - "if I miss it call me twice, then tell my backup contact" → "escalation": { "steps": ["voice", "voice", "backup_contact"], "waitMinutes": 15 }
+                
                 If reminder information is incomplete, respond with: 
                 { 
                   "type": "incomplete_reminder", 
@@ -374,11 +551,55 @@ const getSystemPrompt = (conversationState) => {
                 If the message is asking to update or change a reminder, respond with:
                 { "type": "update_reminder", "identifierType": "content|id", "identifier": "the content or id", "updates": {"date": "new date", "time": "new time", "content": "new content"} }
                 
+                If the message is asking to pause a recurring reminder for a while without cancelling it, respond with:
+                { "type": "pause_reminder", "identifier": "the content", "until": "YYYY-MM-DD or relative date expression of the day it should start again, null if the user didn't say" }
+                - "pause my gym reminder until Monday" → { "type": "pause_reminder", "identifier": "gym", "until": "next Monday" }
+                - "stop the water reminders for now" → { "type": "pause_reminder", "identifier": "water", "until": null }
+                
+                If the message is about something that has to be done by a deadline (an application, a bill, a submission), respond with:
+                { "type": "deadline", "content": "what is due", "date": "YYYY-MM-DD or relative date expression", "time": "HH:MM or null", "timeReference": "morning/afternoon/evening/night, or null if a time is given", "nudges": [10080, 2880, 1440, 120] }
+                "nudges" are minutes before the deadline to send a countdown, largest first; null if the user didn't say (a week, 2 days, a day and 2 hours before), [] for none. Use "timeReference": "morning" if no time is given.
+                - "my passport application is due on the 30th" → { "type": "deadline", "content": "passport application", "date": "YYYY-MM-30", "time": null, "timeReference": "morning", "nudges": null }
+                - "the tax return is due Friday at 5pm, remind me 3 days and 1 day before" → { "type": "deadline", "content": "tax return", "date": "next Friday", "time": "17:00", "timeReference": null, "nudges": [4320, 1440] }
+
+                If the message saves, uses, lists or deletes a reminder template (named reminder settings to reuse), respond with:
+                { "type": "template", "action": "save|save_from_reminder|use|list|delete", "name": "template name, null for list", "reminder": { same fields as a reminder above }, "identifier": "content of the reminder to save, null for the one just set", "parameter": "what the template is used for, null if not given", "date": "date if given when using it, else null", "time": "HH:MM if given when using it, else null", "timeReference": "if given when using it, else null" }
+                "reminder" only for "save"; its "content" may contain "{item}" where the parameter goes. "identifier" only for "save_from_reminder".
+                - "template: bill payment = 9am on the 5th monthly, call + whatsapp" → { "type": "template", "action": "save", "name": "bill payment", "reminder": { "content": "pay the {item} bill", "date": "YYYY-MM-05 (the next 5th)", "time": "09:00", "recurrence": "monthly", "notificationMethod": "both" } }
+                - "save this as a template called weekly review" → { "type": "template", "action": "save_from_reminder", "name": "weekly review", "identifier": null }
+                - "use bill payment template for electricity" → { "type": "template", "action": "use", "name": "bill payment", "parameter": "electricity" }
+                - "show my templates" → { "type": "template", "action": "list", "name": null }
+
+                If the message defines, starts, lists or deletes a routine (a named sequence of steps, each due a while after the previous one is done), respond with:
+                { "type": "routine", "action": "save|start|list|delete", "name": "routine name, null for list", "steps": [{ "content": "step", "delayMinutes": 0 }] }
+                "steps" only for "save"; "delayMinutes" is the wait after the previous step is done (after starting, for the first step).
+                - "morning routine: meds, then 10 minutes later breakfast, then 30 minutes later leave for work" → { "type": "routine", "action": "save", "name": "morning routine", "steps": [{ "content": "meds", "delayMinutes": 0 }, { "content": "breakfast", "delayMinutes": 10 }, { "content": "leave for work", "delayMinutes": 30 }] }
+                - "start morning routine" → { "type": "routine", "action": "start", "name": "morning routine" }
+                - "what routines do I have?" → { "type": "routine", "action": "list", "name": null }
+                - "delete my bedtime routine" → { "type": "routine", "action": "delete", "name": "bedtime routine" }
+
+                If the message is asking to resume or unpause a paused reminder, respond with:
+                { "type": "resume_reminder", "identifier": "the content, or null for all paused reminders" }
+                - "start my gym reminder again" → { "type": "resume_reminder", "identifier": "gym" }
+                
+                If the message is asking how the user is doing with a recurring reminder or habit (streaks, progress), respond with:
+                { "type": "habit_progress", "identifier": "the content, or null for all recurring reminders" }
+                - "how am I doing with meditation?" → { "type": "habit_progress", "identifier": "meditation" }
+                - "show my streaks" → { "type": "habit_progress", "identifier": null }
+                
+                If the message is about being away (vacation, holiday, trip) and not wanting reminders, respond with:
+                { "type": "vacation", "action": "set|cancel|get", "startDate": "YYYY-MM-DD", "endDate": "YYYY-MM-DD" }
+                Both dates are included in the vacation; use today for "startDate" if the user is away from now on, and the next such date for days given without a month.
+                - "I'm on holiday from 3rd to 10th" → { "type": "vacation", "action": "set", "startDate": "YYYY-MM-03", "endDate": "YYYY-MM-10" }
+                - "I'm travelling until Sunday, hold my reminders" → { "type": "vacation", "action": "set", "startDate": "${format(new Date(), 'yyyy-MM-dd')}", "endDate": "YYYY-MM-DD of that Sunday" }
+                - "I'm back" or "cancel my vacation" → { "type": "vacation", "action": "cancel" }
+                - "When does my vacation end?" → { "type": "vacation", "action": "get" }
+                
                 If the message is about setting or getting user preferences, respond with:
                 { 
                   "type": "preference", 
                   "action": "set|get", 
-                  "preferenceType": "timezone|time_reference|notification_method", 
+                  "preferenceType": "timezone|time_reference|notification_method|quiet_hours|advance_notice|escalation|catch_up|snooze_limit|holiday_calendar|agenda|weekly_report", 
                   "value": "the preference value or reference object" 
                 }
                 
@@ -387,6 +608,73 @@ const getSystemPrompt = (conversationState) => {
                 - "What time has been set for evening?" → { "type": "preference", "action": "get", "preferenceType": "time_reference", "value": {"reference": "evening"} }
                 - "What's my current timezone?" → { "type": "preference", "action": "get", "preferenceType": "timezone", "value": null }
                 - "Show me my time preferences" → { "type": "preference", "action": "get", "preferenceType": "time_reference", "value": {"reference": "all"} }
+                - "What are my quiet hours?" → { "type": "preference", "action": "get", "preferenceType": "quiet_hours", "value": null }
+                
+                For quiet hours (times when the user doesn't want to be called), parse as:
+                { 
+                  "type": "preference", 
+                  "action": "set", 
+                  "preferenceType": "quiet_hours", 
+                  "value": {
+                    "start": "HH:MM", // 24-hour format, omit if not mentioned
+                    "end": "HH:MM", // 24-hour format, omit if not mentioned
+                    "enabled": true|false, // false if the user wants to turn quiet hours off
+                    "policy": "defer|downgrade" // "defer" to hold reminders until the end, "downgrade" to send a message instead of calling; omit if not mentioned
+                  }
+                }
+                - "Don't call me between 11pm and 6am" → { "type": "preference", "action": "set", "preferenceType": "quiet_hours", "value": {"start": "23:00", "end": "06:00"} }
+                - "Turn off quiet hours" → { "type": "preference", "action": "set", "preferenceType": "quiet_hours", "value": {"enabled": false} }
+                - "During quiet hours just message me instead" → { "type": "preference", "action": "set", "preferenceType": "quiet_hours", "value": {"policy": "downgrade"} }
+                
+                For advance notice (a heads-up message before every reminder), parse as:
+                { "type": "preference", "action": "set", "preferenceType": "advance_notice", "value": {"minutes": 15, "enabled": true|false} }
+                - "Always give me a heads-up 30 minutes before" → { "type": "preference", "action": "set", "preferenceType": "advance_notice", "value": {"minutes": 30, "enabled": true} }
+                - "Stop sending heads-up messages" → { "type": "preference", "action": "set", "preferenceType": "advance_notice", "value": {"enabled": false} }
+                
+                For escalation (what to do when the user doesn't confirm a reminder), parse as:
+                { 
+                  "type": "preference", 
+                  "action": "set", 
+                  "preferenceType": "escalation", 
+                  "value": {
+                    "enabled": true|false,
+                    "steps": ["whatsapp|voice|backup_contact"], // omit if not mentioned
+                    "waitMinutes": 15, // minutes to wait between steps, omit if not mentioned
+                    "backupContact": { "name": "contact name", "phoneNumber": "+919876543210" } // omit if not mentioned
+                  }
+                }
+                - "If I don't answer a reminder, call me after 10 minutes" → { "type": "preference", "action": "set", "preferenceType": "escalation", "value": {"enabled": true, "steps": ["voice"], "waitMinutes": 10} }
+                - "My backup contact is Priya +919876543210" → { "type": "preference", "action": "set", "preferenceType": "escalation", "value": {"backupContact": {"name": "Priya", "phoneNumber": "+919876543210"}} }
+                - "Stop calling me when I miss reminders" → { "type": "preference", "action": "set", "preferenceType": "escalation", "value": {"enabled": false} }
+                
+                For catch-up (what happens to reminders that were due while the service was offline), parse as:
+                { "type": "preference", "action": "set", "preferenceType": "catch_up", "value": {"policy": "digest|missed|deliver", "graceMinutes": 30} }
+                - "If you were down, just send me a summary of what I missed" → { "type": "preference", "action": "set", "preferenceType": "catch_up", "value": {"policy": "digest"} }
+                - "Don't send me reminders that are more than an hour late" → { "type": "preference", "action": "set", "preferenceType": "catch_up", "value": {"policy": "missed", "graceMinutes": 60} }
+                
+                For the snooze limit (how many times a single reminder may be snoozed), parse as:
+                { "type": "preference", "action": "set|get", "preferenceType": "snooze_limit", "value": {"maxSnoozes": 3} }
+                - "Don't let me snooze a reminder more than twice" → { "type": "preference", "action": "set", "preferenceType": "snooze_limit", "value": {"maxSnoozes": 2} }
+                - "Let me snooze as much as I want" → { "type": "preference", "action": "set", "preferenceType": "snooze_limit", "value": {"maxSnoozes": null} }
+                
+                For the holiday calendar (which public holidays working-day reminders skip), parse as:
+                { "type": "preference", "action": "set|get", "preferenceType": "holiday_calendar", "value": {"calendar": "country code or name, null for weekends only"} }
+                - "Use Indian holidays for my reminders" → { "type": "preference", "action": "set", "preferenceType": "holiday_calendar", "value": {"calendar": "IN"} }
+                - "Don't skip holidays, just weekends" → { "type": "preference", "action": "set", "preferenceType": "holiday_calendar", "value": {"calendar": null} }
+                - "Which holidays do you skip?" → { "type": "preference", "action": "get", "preferenceType": "holiday_calendar", "value": null }
+                
+                For the daily agenda (a morning message listing the day's reminders), parse as:
+                { "type": "preference", "action": "set", "preferenceType": "agenda", "value": {"enabled": true|false, "time": "HH:MM", "sendWhenEmpty": true|false} }
+                Omit "time" and "sendWhenEmpty" if not mentioned.
+                - "Send me my agenda at 7:30" → { "type": "preference", "action": "set", "preferenceType": "agenda", "value": {"enabled": true, "time": "07:30"} }
+                - "Send me my agenda every morning, even if there's nothing on" → { "type": "preference", "action": "set", "preferenceType": "agenda", "value": {"enabled": true, "sendWhenEmpty": true} }
+                - "Stop agenda" → { "type": "preference", "action": "set", "preferenceType": "agenda", "value": {"enabled": false} }
+                
+                For the weekly report (a summary of completed, snoozed and missed reminders), parse as:
+                { "type": "preference", "action": "set", "preferenceType": "weekly_report", "value": {"enabled": true|false, "dayOfWeek": 0-6, "time": "HH:MM"} }
+                Omit "dayOfWeek" and "time" if not mentioned.
+                - "Send my weekly report on Monday mornings at 8" → { "type": "preference", "action": "set", "preferenceType": "weekly_report", "value": {"enabled": true, "dayOfWeek": 1, "time": "08:00"} }
+                - "I don't want the weekly summary" → { "type": "preference", "action": "set", "preferenceType": "weekly_report", "value": {"enabled": false} }
                 
                 For time references, parse as:
                 { 
@@ -464,6 +752,34 @@ const handleNlpResponse = async (user, response, conversationState, messageText
             await handleNonReminderMessage(user, response);
             break;
 
+        case 'pause_reminder':
+            await handlePauseReminder(user, response);
+            break;
+
+        case 'resume_reminder':
+            await handleResumeReminder(user, response);
+            break;
+
+        case 'vacation':
+            await handleVacation(user, response);
+            break;
+
+        case 'habit_progress':
+            await handleHabitProgress(user, response);
+            break;
+
+        case 'deadline':
+            await handleDeadline(user, response);
+            break;
+
+        case 'routine':
+            await handleRoutine(user, response);
+            break;
+
+        case 'template':
+            await handleTemplate(user, response);
+            break;
+
         case 'preference':
             await userPreferenceService.handlePreferenceCommand(user, response);
             break;
@@ -481,6 +797,17 @@ const handleNlpResponse = async (user, response, conversationState, messageText
             await handleDateClarification(user, response, conversationState);
             break;
 
+        case 'series_scope':
+            if (conversationState.stage === 'series_scope_selection') {
+                await handleSeriesScopeSelection(user, response, conversationState);
+            }
+            break;
+
+        case 'selection':
+        case 'unclear_selection':
+            await handleReminderSelection(user, response, conversationState);
+            break;
+
         default:
             // Unrecognized response type
             await whatsappService.sendMessage(
@@ -545,7 +872,7 @@ const handleRescheduleConfirmation = async (user, response) => {
             // Send confirmation message
             await whatsappService.sendMessage(
                 user.phoneNumber,
-                `✅ Reminder set for ${scheduledDate}: "${content}"`
+                `✅ Reminder set for ${scheduledDate}: "${content}"` + describeQuietHoursClash(user, reminder)
             );
         } catch (error) {
             console.error('Error creating rescheduled reminder:', error);
@@ -597,7 +924,7 @@ const handleConflictResolution = async (user, response) => {
             // Send confirmation message
             await whatsappService.sendMessage(
                 user.phoneNumber,
-                `✅ Reminder set for ${scheduledDate}: "${content}"`
+                `✅ Reminder set for ${scheduledDate}: "${content}"` + describeQuietHoursClash(user, reminder)
             );
         } catch (error) {
             console.error('Error creating reminder with conflict:', error);
@@ -664,7 +991,10 @@ const handleListReminders = async (user, response) => {
             );
         }
 
-        if (reminders.length === 0) {
+        // Paused series have no pending reminder, so list them separately
+        const pausedSeries = filter === 'all' ? await reminderService.searchPausedSeries(user._id) : [];
+
+        if (reminders.length === 0 && pausedSeries.length === 0) {
             await whatsappService.sendMessage(
                 user.phoneNumber,
                 `You don't have any ${filter !== 'all' ? filter + ' ' : ''}reminders.`
@@ -675,11 +1005,36 @@ const handleListReminders = async (user, response) => {
         // Format reminders for display
         let message = `Here are your ${filter !== 'all' ? filter + ' ' : ''}reminders:\n\n`;
 
+        // Show whether reminders that already went out actually reached the user
+        const sentReminderIds = reminders
+            .filter(reminder => reminder.status === 'delivered')
+            .map(reminder => reminder._id);
+        const deliveryStatuses = sentReminderIds.length > 0
+            ? await deliveryLogService.getDeliveryStatuses(sentReminderIds)
+            : new Map();
+
         reminders.forEach((reminder, index) => {
             const date = dateParserService.formatDateForDisplay(reminder.scheduledFor);
-            message += `${index + 1}. ${reminder.content} - ${date}\n`;
+            const deliveryLabel = reminder.status === 'snoozed'
+                ? 'snoozed'
+                : reminder.status === 'pending' && reminder.deadline
+                    ? 'deadline'
+                    : deliveryLogService.formatDeliveryStatus(deliveryStatuses.get(reminder._id.toString()));
+            message += `${index + 1}. ${reminder.content} - ${date}${deliveryLabel ? ` (${deliveryLabel})` : ''}\n`;
         });
 
+        if (pausedSeries.length > 0) {
+            const timeZone = user.timeZone || 'Asia/Kolkata';
+
+            message += '\nPaused:\n';
+            pausedSeries.forEach(series => {
+                const until = series.pausedUntil
+                    ? `until ${formatInTimeZone(series.pausedUntil, timeZone, 'EEEE, MMMM d')}`
+                    : 'until you resume it';
+                message += `⏸️ ${series.content} - ${until}\n`;
+            });
+        }
+
         // Add instructions for management
         message += "\nTo cancel a reminder, say: 'Cancel my [reminder content]'";
 
@@ -748,6 +1103,12 @@ const handleDeleteReminder = async (user, response) => {
             }
         }
 
+        // For a recurring reminder, ask whether to cancel just this occurrence or the series
+        if (reminderService.isRecurringReminder(reminder)) {
+            await askSeriesScope(user, reminder, 'delete');
+            return;
+        }
+
         // Delete the reminder
         await reminderService.deleteReminder(reminder._id);
 
@@ -910,6 +1271,12 @@ const handleUpdateReminder = async (user, response) => {
             }
         }
 
+        // For a recurring reminder, ask whether the change is for this occurrence or the series
+        if (reminderService.isRecurringReminder(reminder)) {
+            await askSeriesScope(user, reminder, 'update', updatedFields);
+            return;
+        }
+
         // Update the reminder
         const updatedReminder = await reminderService.updateReminder(
             reminder._id,
@@ -935,6 +1302,668 @@ const handleUpdateReminder = async (user, response) => {
     }
 };
 
+/**
+ * Resolve a date expression from the LLM to a local calendar date
+ * @param {Object} user - User document
+ * @param {String} dateExpression - YYYY-MM-DD or a relative expression like "Monday"
+ * @returns {Promise<String|null>} - Date as yyyy-MM-dd, or null if it can't be understood
+ */
+const resolveLocalDate = async (user, dateExpression) => {
+    if (!dateExpression || dateExpression === 'null') {
+        return null;
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(dateExpression)) {
+        return dateExpression;
+    }
+
+    try {
+        const timeZone = user.timeZone || 'Asia/Kolkata';
+
+        // Late in the day so that "today" isn't pushed to tomorrow
+        const date = await dateParserService.parseDateTime(
+            { date: dateExpression, time: '23:59' },
+            user._id,
+            timeZone
+        );
+
+        return isNaN(date.valueOf()) ? null : formatInTimeZone(date, timeZone, 'yyyy-MM-dd');
+    } catch (error) {
+        console.error(`Could not resolve date "${dateExpression}":`, error);
+        return null;
+    }
+};
+
+/**
+ * Handle request to pause a recurring reminder, until a date or until the user resumes it
+ */
+const handlePauseReminder = async (user, response) => {
+    try {
+        const identifier = response.identifier || '';
+
+        // One entry per series; only the pending occurrence of a series can be paused
+        const matches = new Map();
+        const reminders = await reminderService.searchRemindersByContent(user._id, identifier);
+
+        reminders
+            .filter(reminder => reminder.status === 'pending' && reminderService.isRecurringReminder(reminder))
+            .forEach(reminder => matches.set((reminder.series || reminder._id).toString(), reminder));
+
+        if (matches.size === 0) {
+            const paused = await reminderService.searchPausedSeries(user._id, identifier);
+
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                paused.length > 0
+                    ? `"${paused[0].content}" is already paused. Say "resume ${paused[0].content}" to start it again.`
+                    : `I couldn't find a recurring reminder about "${identifier}".`
+            );
+            return;
+        }
+
+        if (matches.size > 1) {
+            let message = "I found several recurring reminders that match. Which one should I pause?\n\n";
+
+            [...matches.values()].forEach((reminder, index) => {
+                message += `${index + 1}. "${reminder.content}"\n`;
+            });
+
+            // Set conversation state for follow-up, keeping the date to pause until
+            user.conversationState = {
+                stage: 'pause_reminder_selection',
+                reminders: [...matches.values()].map(reminder => reminder._id.toString()),
+                until: response.until && response.until !== 'null' ? response.until : null
+            };
+
+            await whatsappService.sendMessage(user.phoneNumber, message);
+            return;
+        }
+
+        const [reminder] = matches.values();
+        await pauseRecurringReminder(user, reminder, response.until);
+    } catch (error) {
+        console.error('Error pausing reminder:', error);
+        await whatsappService.sendMessage(
+            user.phoneNumber,
+            "I had trouble pausing that reminder. Please try again."
+        );
+    }
+};
+
+/**
+ * Pause the series of a recurring reminder and tell the user
+ * @param {Object} user - User document
+ * @param {Object} reminder - Pending occurrence of the series
+ * @param {String|null} untilExpression - Date to pick up again from, or null to wait for the user
+ */
+const pauseRecurringReminder = async (user, reminder, untilExpression) => {
+    const timeZone = user.timeZone || 'Asia/Kolkata';
+    let until = null;
+
+    if (untilExpression && untilExpression !== 'null') {
+        const untilDate = await resolveLocalDate(user, untilExpression);
+        until = untilDate ? fromZonedTime(`${untilDate}T00:00:00`, timeZone) : null;
+
+        if (!until || until <= new Date()) {
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                'I couldn\'t work out when to start it again. Please give me a date in the future, e.g. "pause my gym reminder until Monday".'
+            );
+            user.conversationState = { stage: 'initial' };
+            return;
+        }
+    }
+
+    const series = await reminderService.pauseSeries(reminder, until);
+
+    if (!series) {
+        await whatsappService.sendMessage(
+            user.phoneNumber,
+            `I couldn't pause "${reminder.content}". Please try again.`
+        );
+        user.conversationState = { stage: 'initial' };
+        return;
+    }
+
+    await whatsappService.sendMessage(
+        user.phoneNumber,
+        until
+            ? `⏸️ Paused "${series.content}" until ${formatInTimeZone(until, timeZone, 'EEEE, MMMM d')}. It picks up from then on, without catching up on the ones in between.`
+            : `⏸️ Paused "${series.content}". Say "resume ${series.content}" when you want it back.`
+    );
+
+    // Reset conversation state
+    user.conversationState = { stage: 'initial' };
+};
+
+/**
+ * Handle request to resume paused recurring reminders
+ */
+const handleResumeReminder = async (user, response) => {
+    try {
+        const identifier = response.identifier && response.identifier !== 'null' ? response.identifier : null;
+        const pausedSeries = await reminderService.searchPausedSeries(user._id, identifier);
+
+        if (pausedSeries.length === 0) {
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                identifier
+                    ? `I couldn't find a paused reminder about "${identifier}".`
+                    : "You don't have any paused reminders."
+            );
+            return;
+        }
+
+        const lines = [];
+
+        for (const series of pausedSeries) {
+            const nextReminder = await reminderService.resumeSeries(series);
+
+            lines.push(nextReminder
+                ? `▶️ Resumed "${series.content}" - next on ${dateParserService.formatDateForDisplay(nextReminder.scheduledFor)}`
+                : `"${series.content}" has no reminders left, so it has ended.`);
+        }
+
+        await whatsappService.sendMessage(user.phoneNumber, lines.join('\n'));
+
+        // Reset conversation state
+        user.conversationState = { stage: 'initial' };
+    } catch (error) {
+        console.error('Error resuming reminder:', error);
+        await whatsappService.sendMessage(
+            user.phoneNumber,
+            "I had trouble resuming that reminder. Please try again."
+        );
+    }
+};
+
+/**
+ * Handle a question about how the user is doing with a recurring reminder, with its streaks
+ */
+const handleHabitProgress = async (user, response) => {
+    try {
+        const identifier = response.identifier && response.identifier !== 'null' ? response.identifier : null;
+        const seriesList = await reminderService.searchSeries(user._id, identifier);
+
+        if (seriesList.length === 0) {
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                identifier
+                    ? `I couldn't find a recurring reminder about "${identifier}".`
+                    : "You don't have any recurring reminders yet. Try \"remind me to meditate every day at 7am\"."
+            );
+            return;
+        }
+
+        const summaries = seriesList.map(series => habitService.describeHabit(series));
+
+        await whatsappService.sendMessage(user.phoneNumber, summaries.join('\n\n'));
+
+        // Reset conversation state
+        user.conversationState = { stage: 'initial' };
+    } catch (error) {
+        console.error('Error describing habit progress:', error);
+        await whatsappService.sendMessage(
+            user.phoneNumber,
+            "I had trouble looking up your progress. Please try again."
+        );
+    }
+};
+
+/**
+ * Handle a deadline: a reminder due at a set time with a ladder of countdown nudges before it
+ */
+const handleDeadline = async (user, response) => {
+    try {
+        const contentValidation = validationService.validateContent(response.content);
+        if (!contentValidation.valid) {
+            await whatsappService.sendMessage(user.phoneNumber, contentValidation.message);
+            return;
+        }
+
+        const time = response.time && response.time !== 'null' ? response.time : null;
+        const timeReference = response.timeReference && response.timeReference !== 'null'
+            ? response.timeReference
+            : null;
+
+        let deadlineAt;
+        try {
+            deadlineAt = await dateParserService.parseDateTime({
+                date: response.date,
+                time,
+                timeReference: time ? timeReference : timeReference || 'morning'
+            }, user._id, user.timeZone || 'Asia/Kolkata');
+
+            if (isNaN(deadlineAt.valueOf())) {
+                throw new Error('Invalid date');
+            }
+        } catch (dateError) {
+            console.error('Error parsing deadline date:', dateError);
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                "I couldn't work out when that's due. Please give me a date, like 'due on the 30th' or 'due next Friday at 5pm'."
+            );
+            return;
+        }
+
+        const dateValidation = validationService.validateDate(deadlineAt);
+        if (!dateValidation.valid) {
+            await whatsappService.sendMessage(user.phoneNumber, dateValidation.message);
+            return;
+        }
+
+        const nudges = parseAdvanceNotice(response.nudges, reminderService.MAX_DEADLINE_NUDGE_MINUTES) ||
+            reminderService.DEFAULT_DEADLINE_NUDGES;
+
+        const reminder = await reminderService.createDeadlineReminder({
+            user: user._id,
+            content: response.content,
+            scheduledFor: deadlineAt,
+            notificationMethod: user.preferredNotificationMethod
+        }, nudges);
+
+        let message = `📅 Deadline set for ${dateParserService.formatDateForDisplay(deadlineAt)}: "${response.content}"`;
+
+        message += reminder.advanceNoticeMinutes.length > 0
+            ? `\n\nI'll count down ${describeNudgeLadder(reminder.advanceNoticeMinutes)} before. Reply "done" to any of them once it's finished and I'll stop.`
+            : "\n\nI'll remind you when it's due.";
+
+        await whatsappService.sendMessage(user.phoneNumber, message);
+
+        // Reset conversation state
+        user.conversationState = { stage: 'initial' };
+    } catch (error) {
+        console.error('Error creating deadline:', error);
+        await whatsappService.sendMessage(
+            user.phoneNumber,
+            "I had trouble setting up that deadline. Please try again."
+        );
+    }
+};
+
+/**
+ * Handle routines: save one, start one by name, list them or delete one
+ */
+const handleRoutine = async (user, response) => {
+    try {
+        const name = response.name && response.name !== 'null' ? response.name : null;
+
+        if (response.action === 'list' || !name) {
+            const routines = await routineService.listRoutines(user._id);
+
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                routines.length > 0
+                    ? `Your routines:\n\n${routines.map(routine => routineService.describeRoutine(routine)).join('\n\n')}\n\nSay "start <name>" to run one.`
+                    : "You don't have any routines yet. Try \"morning routine: meds, then 10 minutes later breakfast\"."
+            );
+        } else if (response.action === 'save') {
+            const routine = await routineService.saveRoutine(user._id, name, response.steps);
+
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                `✅ Saved ${routineService.describeRoutine(routine)}\n\nSay "start ${routine.displayName}" to run it. Each step comes once you reply "done" to the one before.`
+            );
+        } else {
+            const routine = await routineService.findRoutine(user._id, name);
+
+            if (!routine) {
+                await whatsappService.sendMessage(
+                    user.phoneNumber,
+                    `I couldn't find a routine called "${name}".`
+                );
+            } else if (response.action === 'delete') {
+                await routineService.deleteRoutine(routine);
+                await whatsappService.sendMessage(user.phoneNumber, `🗑️ Deleted your ${routine.displayName}.`);
+            } else {
+                const reminder = await routineService.startRoutine(user, routine);
+                const first = routine.steps[0];
+                const when = first.delayMinutes > 0
+                    ? `in ${routineService.formatDelay(first.delayMinutes)} (${dateParserService.formatDateForDisplay(reminder.scheduledFor)})`
+                    : 'now';
+
+                await whatsappService.sendMessage(
+                    user.phoneNumber,
+                    `▶️ Starting your ${routine.displayName}: "${first.content}" ${when}. Reply "done" to each step to move on to the next.`
+                );
+            }
+        }
+
+        // Reset conversation state
+        user.conversationState = { stage: 'initial' };
+    } catch (error) {
+        console.error('Error handling routine:', error);
+
+        const message = error.message === 'Routine needs at least one step'
+            ? "I couldn't find the steps of that routine. Try \"morning routine: meds, then 10 minutes later breakfast\"."
+            : "I had trouble with that routine. Please try again.";
+
+        await whatsappService.sendMessage(user.phoneNumber, message);
+    }
+};
+
+/**
+ * Handle reminder templates: save one (from a description or an existing reminder), use one
+ * to create a reminder, list them or delete one
+ */
+const handleTemplate = async (user, response) => {
+    try {
+        const name = response.name && response.name !== 'null' ? response.name : null;
+        const templates = user.reminderTemplates || [];
+
+        if (response.action === 'list' || !name) {
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                templates.length > 0
+                    ? `Your templates:\n\n${templates.map(template => templateService.describeTemplate(template)).join('\n')}\n\nSay "use <name> template for <something>" to set a reminder from one.`
+                    : "You don't have any templates yet. Try \"template: bill payment = 9am on the 5th monthly\", or \"save this as a template\" after setting a reminder."
+            );
+        } else if (response.action === 'save' || response.action === 'save_from_reminder') {
+            let fields;
+
+            if (response.action === 'save') {
+                fields = templateService.buildTemplateFromResponse(response.reminder);
+            } else {
+                const identifier = response.identifier && response.identifier !== 'null' ? response.identifier : null;
+                const reminder = identifier
+                    ? (await reminderService.searchRemindersByContent(user._id, identifier))[0]
+                    : await reminderService.getLatestReminder(user._id);
+
+                if (!reminder) {
+                    await whatsappService.sendMessage(
+                        user.phoneNumber,
+                        identifier
+                            ? `I couldn't find a reminder about "${identifier}" to save.`
+                            : "I couldn't find a reminder to save. Set one up first, then say \"save this as a template\"."
+                    );
+                    return;
+                }
+
+                fields = templateService.buildTemplateFromReminder(reminder, user.timeZone || 'Asia/Kolkata');
+            }
+
+            const template = await templateService.saveTemplate(user._id, name, fields);
+
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                `✅ Saved template ${templateService.describeTemplate(template)}\n\nSay "use ${template.displayName} template" to set a reminder from it.`
+            );
+        } else {
+            const template = templateService.findTemplate(user, name);
+
+            if (!template) {
+                await whatsappService.sendMessage(
+                    user.phoneNumber,
+                    `I couldn't find a template called "${name}".`
+                );
+            } else if (response.action === 'delete') {
+                await templateService.deleteTemplate(user._id, template.name);
+                await whatsappService.sendMessage(user.phoneNumber, `🗑️ Deleted your ${template.displayName} template.`);
+            } else {
+                // Using a template is the same as asking for the reminder it describes
+                const reminderResponse = await templateService.buildReminderResponse(user, template, response);
+                await createReminderFromResponse(user, reminderResponse);
+                return;
+            }
+        }
+
+        // Reset conversation state
+        user.conversationState = { stage: 'initial' };
+    } catch (error) {
+        console.error('Error handling reminder template:', error);
+
+        const message = error.message === 'Template content is required'
+            ? "I couldn't tell what that template should remind you about. Try \"template: bill payment = pay the {item} bill at 9am on the 5th monthly\"."
+            : "I had trouble with that template. Please try again.";
+
+        await whatsappService.sendMessage(user.phoneNumber, message);
+    }
+};
+
+/**
+ * Handle vacation mode: hold all non-urgent reminders between two dates
+ */
+const handleVacation = async (user, response) => {
+    try {
+        if (response.action === 'cancel') {
+            const vacation = userPreferenceService.getVacationStatus(user);
+            await userPreferenceService.clearVacation(user._id);
+
+            // Bring back anything that was held until the old end date
+            if (vacation.active) {
+                await reminderService.releaseHeldReminders(user._id, vacation.endsAt);
+            }
+
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                vacation.active
+                    ? "👋 Welcome back! Vacation mode is off and your reminders are running as usual again."
+                    : "✅ Vacation mode is off."
+            );
+        } else if (response.action === 'set') {
+            const startDate = await resolveLocalDate(user, response.startDate || 'today');
+            const endDate = await resolveLocalDate(user, response.endDate);
+
+            if (!endDate) {
+                await whatsappService.sendMessage(
+                    user.phoneNumber,
+                    'Until when are you away? e.g. "I\'m on holiday from the 3rd to the 10th".'
+                );
+                return;
+            }
+
+            try {
+                const updatedUser = await userPreferenceService.setVacation(user._id, { startDate, endDate });
+                await whatsappService.sendMessage(
+                    user.phoneNumber,
+                    `🏖️ ${userPreferenceService.describeVacation(updatedUser)}`
+                );
+            } catch (error) {
+                if (error.message !== 'Invalid vacation dates') {
+                    throw error;
+                }
+
+                await whatsappService.sendMessage(
+                    user.phoneNumber,
+                    "Those dates don't look right - the vacation needs to end after it starts, and not in the past."
+                );
+            }
+        } else {
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                userPreferenceService.describeVacation(user)
+            );
+        }
+
+        // Reset conversation state
+        user.conversationState = { stage: 'initial' };
+    } catch (error) {
+        console.error('Error handling vacation mode:', error);
+        await whatsappService.sendMessage(
+            user.phoneNumber,
+            "I had trouble updating your vacation. Please try again."
+        );
+    }
+};
+
+/**
+ * Ask whether a change to a recurring reminder is for this occurrence or the whole series
+ * @param {Object} user - User document
+ * @param {Object} reminder - Occurrence the user picked
+ * @param {String} action - 'delete' or 'update'
+ * @param {Object} updates - Fields to change (for 'update')
+ */
+const askSeriesScope = async (user, reminder, action, updates = null) => {
+    const date = dateParserService.formatDateForDisplay(reminder.scheduledFor);
+    const verb = action === 'delete' ? 'Cancel' : 'Change';
+
+    user.conversationState = {
+        stage: 'series_scope_selection',
+        action,
+        reminderId: reminder._id.toString(),
+        updates: updates && updates.scheduledFor
+            ? { ...updates, scheduledFor: updates.scheduledFor.toISOString() }
+            : updates
+    };
+
+    await whatsappService.sendMessage(
+        user.phoneNumber,
+        `"${reminder.content}" is a recurring reminder. ${verb} just this one (${date}) or the whole series?\n\n` +
+        `Reply "just this one" or "whole series".`
+    );
+};
+
+/**
+ * Carry on with a delete, update or pause once the user has picked a reminder from the
+ * numbered list they were sent
+ * @param {Object} user - User document
+ * @param {Object} response - Parsed NLP response with the index or content picked
+ * @param {Object} conversationState - State saved with the list, holding the reminder IDs
+ */
+const handleReminderSelection = async (user, response, conversationState) => {
+    try {
+        const candidateIds = conversationState.reminders || [];
+        let reminderId = null;
+
+        if (response.type === 'selection' && Number.isInteger(response.index)) {
+            reminderId = candidateIds[response.index] || null;
+        } else if (response.type === 'selection' && response.content) {
+            const searchTerm = response.content.toLowerCase();
+            const candidates = await Promise.all(candidateIds.map(id => reminderService.getReminderById(id)));
+            const picked = candidates.filter(reminder => reminder && (
+                reminder.content.toLowerCase().includes(searchTerm) ||
+                searchTerm.includes(reminder.content.toLowerCase())
+            ));
+
+            reminderId = picked.length === 1 ? picked[0]._id.toString() : null;
+        }
+
+        if (!reminderId) {
+            // Keep the conversation state and ask again
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                `Sorry, I couldn't tell which one you mean. Reply with its number from the list (1-${candidateIds.length}).`
+            );
+            return;
+        }
+
+        switch (conversationState.stage) {
+            case 'delete_reminder_selection':
+                await handleDeleteReminder(user, { identifierType: 'id', identifier: reminderId });
+                break;
+
+            case 'update_reminder_selection':
+                await handleUpdateReminder(user, {
+                    identifierType: 'id',
+                    identifier: reminderId,
+                    updates: conversationState.updates || {}
+                });
+                break;
+
+            case 'pause_reminder_selection': {
+                const reminder = await reminderService.getReminderById(reminderId);
+
+                if (!reminder || reminder.user.toString() !== user._id.toString() || reminder.status !== 'pending') {
+                    await whatsappService.sendMessage(
+                        user.phoneNumber,
+                        "I couldn't find that reminder anymore."
+                    );
+                    user.conversationState = { stage: 'initial' };
+                    return;
+                }
+
+                await pauseRecurringReminder(user, reminder, conversationState.until);
+                break;
+            }
+
+            default:
+                await whatsappService.sendMessage(
+                    user.phoneNumber,
+                    "I'm not sure which list you're answering. Could you ask again?"
+                );
+                user.conversationState = { stage: 'initial' };
+        }
+    } catch (error) {
+        console.error('Error handling reminder selection:', error);
+        await whatsappService.sendMessage(
+            user.phoneNumber,
+            "I had trouble with that choice. Please try again."
+        );
+    }
+};
+
+/**
+ * Apply a pending delete or update to one occurrence or the whole series, as the user chose
+ * @param {Object} user - User document
+ * @param {Object} response - Parsed NLP response with the scope
+ * @param {Object} conversationState - State saved by askSeriesScope
+ */
+const handleSeriesScopeSelection = async (user, response, conversationState) => {
+    try {
+        const { action, reminderId, updates } = conversationState;
+        const reminder = await reminderService.getReminderById(reminderId);
+
+        if (!reminder || reminder.user.toString() !== user._id.toString()) {
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                "I couldn't find that reminder anymore."
+            );
+            user.conversationState = { stage: 'initial' };
+            return;
+        }
+
+        if (response.scope !== 'occurrence' && response.scope !== 'series') {
+            // Keep the conversation state and ask again
+            await whatsappService.sendMessage(
+                user.phoneNumber,
+                `Sorry, I didn't get that. Reply "just this one" or "whole series".`
+            );
+            return;
+        }
+
+        let message;
+
+        if (action === 'delete' && response.scope === 'occurrence') {
+            const date = dateParserService.formatDateForDisplay(reminder.scheduledFor);
+            const nextReminder = await reminderService.skipOccurrence(reminder);
+
+            message = `✅ Skipped "${reminder.content}" on ${date}.`;
+            if (nextReminder) {
+                message += `\n\nNext reminder: ${dateParserService.formatDateForDisplay(nextReminder.scheduledFor)}`;
+            }
+        } else if (action === 'delete') {
+            await reminderService.cancelSeries(reminder);
+            message = `✅ Recurring reminder "${reminder.content}" has been cancelled.`;
+        } else {
+            const updateData = { ...updates };
+            if (updateData.scheduledFor) {
+                updateData.scheduledFor = new Date(updateData.scheduledFor);
+            }
+
+            const updatedReminder = response.scope === 'occurrence'
+                ? await reminderService.updateOccurrence(reminder, updateData)
+                : await reminderService.updateSeries(reminder, updateData);
+
+            const formattedDate = dateParserService.formatDateForDisplay(updatedReminder.scheduledFor);
+            message = response.scope === 'occurrence'
+                ? `✅ Updated just this one: "${updatedReminder.content}" - ${formattedDate}`
+                : `✅ Updated the whole series: "${updatedReminder.content}" - next on ${formattedDate}`;
+        }
+
+        await whatsappService.sendMessage(user.phoneNumber, message);
+
+        // Reset conversation state
+        user.conversationState = { stage: 'initial' };
+    } catch (error) {
+        console.error('Error applying change to recurring reminder:', error);
+        await whatsappService.sendMessage(
+            user.phoneNumber,
+            "I had trouble changing that reminder. Please try again."
+        );
+        user.conversationState = { stage: 'initial' };
+    }
+};
+
 /**
  * Create a reminder from complete information with proper timezone handling
  * @param {Object} user - User document from database
@@ -1154,6 +2183,16 @@ const createReminderFromResponse = async (user, response, originalMessage = '')
         // Check if we have a custom recurrence pattern
         if (response.recurrence === 'custom' && response.recurrencePattern) {
             recurrencePattern = response.recurrencePattern;
+
+            // Drop an RRULE we can't evaluate and fall back to the structured fields
+            if (recurrencePattern.rrule) {
+                try {
+                    recurrenceParserService.parseRRule(recurrencePattern.rrule);
+                } catch (error) {
+                    console.error(`Ignoring invalid RRULE "${recurrencePattern.rrule}":`, error.message);
+                    recurrencePattern.rrule = null;
+                }
+            }
         }
         // If we have a simple recurrence (daily, weekly, monthly), convert to pattern format
         else if (['daily', 'weekly', 'monthly'].includes(response.recurrence)) {
@@ -1169,6 +2208,26 @@ const createReminderFromResponse = async (user, response, originalMessage = '')
             };
         }
 
+        // Per-reminder heads-up offsets; leave unset to fall back to the user's preference
+        const advanceNoticeMinutes = parseAdvanceNotice(response.advanceNotice);
+
+        // Per-reminder escalation chain; leave unset to fall back to the user's policy
+        const escalationSteps = response.escalation && response.escalation !== "null"
+            ? userPreferenceService.normalizeEscalationSteps(response.escalation)
+            : undefined;
+
+        // Checklist items, each ticked off separately; unset for ordinary reminders
+        const checklist = Array.isArray(response.checklist)
+            ? response.checklist
+                .filter(item => typeof item === 'string' && item.trim())
+                .map(item => ({ text: item.trim() }))
+            : [];
+
+        // Channel asked for in the message or set by a template, else the user's preferred one
+        const notificationMethod = ['whatsapp', 'voice', 'both'].includes(response.notificationMethod)
+            ? response.notificationMethod
+            : user.preferredNotificationMethod;
+
         // Create the reminder with recurrence if applicable
         let reminder;
 
@@ -1182,23 +2241,31 @@ const createReminderFromResponse = async (user, response, originalMessage = '')
                     user: user._id,
                     content: response.content,
                     scheduledFor: scheduledDateTime,
-                    notificationMethod: user.preferredNotificationMethod
+                    notificationMethod,
+                    urgent: response.urgent === true,
+                    advanceNoticeMinutes,
+                    escalationSteps,
+                    checklist: checklist.length > 0 ? checklist : undefined
                 }, recurrencePattern, endDate);
 
                 // Format recurrence for display
                 const recurrenceDescription = recurrenceParserService.formatRecurrenceForDisplay(
                     recurrencePattern,
                     scheduledDateTime,
-                    endDate
+                    endDate,
+                    user.timeZone
                 );
 
-                // Format date for user-friendly message
-                const scheduledDate = dateParserService.formatDateForDisplay(scheduledDateTime);
+                // Format date for user-friendly message (the first occurrence may have moved to a business day)
+                const scheduledDate = dateParserService.formatDateForDisplay(reminder.scheduledFor);
 
                 // Send confirmation message with recurrence info
                 await whatsappService.sendMessage(
                     user.phoneNumber,
-                    `✅ Recurring reminder set for ${scheduledDate}: "${response.content}"\n\nRecurs: ${recurrenceDescription}`
+                    `✅ Recurring reminder set for ${scheduledDate}: "${response.content}"` +
+                    describeChecklist(checklist) +
+                    `\n\nRecurs: ${recurrenceDescription}` +
+                    describeQuietHoursClash(user, reminder)
                 );
             } catch (error) {
                 console.error('Error creating recurring reminder:', error);
@@ -1211,7 +2278,11 @@ const createReminderFromResponse = async (user, response, originalMessage = '')
                 content: response.content,
                 scheduledFor: scheduledDateTime,
                 recurrence: 'none',
-                notificationMethod: user.preferredNotificationMethod
+                notificationMethod,
+                urgent: response.urgent === true,
+                advanceNoticeMinutes,
+                escalationSteps,
+                checklist: checklist.length > 0 ? checklist : undefined
             });
 
             // Format date for user-friendly message
@@ -1220,7 +2291,9 @@ const createReminderFromResponse = async (user, response, originalMessage = '')
             // Send confirmation message
             await whatsappService.sendMessage(
                 user.phoneNumber,
-                `✅ Reminder set for ${scheduledDate}: "${response.content}"`
+                `✅ Reminder set for ${scheduledDate}: "${response.content}"` +
+                describeChecklist(checklist) +
+                describeQuietHoursClash(user, reminder)
             );
         }
 
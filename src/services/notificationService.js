@@ -3,7 +3,16 @@
 const reminderService = require('./reminderService');
 const whatsappService = require('./whatsappService');
 const dateParserService = require('./dateParserService');
+const userPreferenceService = require('./userPreferenceService');
+const agendaService = require('./agendaService');
+const reportService = require('./reportService');
+const habitService = require('./habitService');
+const schedulerService = require('./schedulerService');
+const deliveryRetryService = require('./deliveryRetryService');
+const rateLimiterService = require('./rateLimiterService');
 const { format } = require('date-fns');
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
 
 // Explicitly import voiceService with error handling
 let voiceService;
@@ -14,124 +23,747 @@ try {
     console.error('Failed to load voiceService:', error);
 }
 
+// Reminders delivered more than this many minutes after they were due get a "late" note
+const LATE_NOTICE_MINUTES = 5;
+
+// Longest heads-up we look ahead for (7 days)
+const MAX_ADVANCE_NOTICE_MINUTES = 7 * 24 * 60;
+
 /**
  * Service for handling notifications
  */
 class NotificationService {
     constructor() {
-        // Keep track of processed reminders to prevent duplicates
-        this.processedReminderIds = new Set();
-        // Clear the set every 30 minutes to avoid memory leaks
-        setInterval(() => {
-            console.log(`Clearing processed reminder IDs cache. Size before clearing: ${this.processedReminderIds.size}`);
-            this.processedReminderIds.clear();
-        }, 30 * 60 * 1000); // 30 minutes
+        // Unique identity for this process, used as the owner of dispatch leases
+        this.workerId = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+        // How long a claimed reminder stays reserved for this worker before others may take it over
+        this.leaseDurationMs = (parseInt(process.env.REMINDER_LEASE_SECONDS) || 120) * 1000;
     }
 
     /**
      * Process notifications for due reminders and handle recurrence
+     * @param {Object} options - Optional settings
+     * @param {Number} options.minLateMs - Only pick up reminders at least this late, leaving
+     *   on-time reminders to the precise scheduler (default 0, i.e. everything due)
      */
-    async processNotifications() {
+    async processNotifications(options = {}) {
         try {
+            // Free up reminders left leased by workers that crashed mid-dispatch
+            const recoveredCount = await reminderService.recoverStaleLeases();
+            if (recoveredCount > 0) {
+                console.log(`Recovered ${recoveredCount} stale reminder lease(s)`);
+            }
+
             // Get due reminders
-            const dueReminders = await reminderService.getDueReminders();
+            const dueBefore = new Date(Date.now() - (options.minLateMs || 0));
+            const dueReminders = await reminderService.getDueReminders(dueBefore);
 
             console.log(`Processing ${dueReminders.length} due reminders`);
 
-            for (const reminder of dueReminders) {
-                const reminderId = reminder._id.toString();
+            const now = new Date();
+            // Reminders that are too late to deliver normally, grouped by user for a single digest
+            const missedByUser = new Map();
+
+            for (const dueReminder of dueReminders) {
+                await this.processDueReminder(dueReminder._id.toString(), now, missedByUser);
+            }
+
+            for (const { user, reminders } of missedByUser.values()) {
+                await this.sendCatchUpDigest(user, reminders);
+            }
+        } catch (error) {
+            console.error('Error processing notifications:', error);
+        }
+    }
+
+    /**
+     * Claim a single due reminder and deliver it, or mark it missed per the user's catch-up policy
+     * @param {String} reminderId - Reminder ID
+     * @param {Date} now - Time the reminder is processed at
+     * @param {Map} missedByUser - Collects missed reminders per user for a catch-up digest
+     * @returns {Promise<Boolean>} - Whether this worker claimed the reminder
+     */
+    async processDueReminder(reminderId, now, missedByUser) {
+        // Atomically claim the reminder so that no other worker sends it as well
+        let reminder = await reminderService.claimReminder(reminderId, this.workerId, this.leaseDurationMs);
+
+        if (!reminder) {
+            console.log(`Skipping reminder ${reminderId}, already claimed or no longer pending`);
+            return false;
+        }
+
+        try {
+            // A recurring series only fires its latest missed occurrence
+            const latestReminder = await reminderService.fastForwardRecurrence(
+                reminder,
+                now,
+                this.workerId,
+                this.leaseDurationMs
+            );
+
+            if (latestReminder) {
+                reminder = latestReminder;
+            }
+
+            const catchUp = this.getCatchUpSettings(reminder.user);
+            const minutesLate = (now.getTime() - reminder.scheduledFor.getTime()) / 60000;
+
+            if (minutesLate > catchUp.graceMinutes && catchUp.policy !== 'deliver') {
+                await this.markReminderMissed(reminder);
+
+                if (catchUp.policy === 'digest') {
+                    const userId = reminder.user._id.toString();
+                    if (!missedByUser.has(userId)) {
+                        missedByUser.set(userId, { user: reminder.user, reminders: [] });
+                    }
+                    missedByUser.get(userId).reminders.push(reminder);
+                }
+                return true;
+            }
+
+            await this.dispatchReminder(reminder);
+        } catch (error) {
+            console.error(`Error dispatching reminder ${reminderId}:`, error);
+
+            // Give the reminder back so the next run can pick it up again
+            await reminderService.releaseReminderLease(reminder._id, this.workerId);
+        }
+
+        return true;
+    }
+
+    /**
+     * Deliver a reminder whose scheduler timer fired
+     * @param {String} reminderId - Reminder ID
+     */
+    async processScheduledReminder(reminderId) {
+        try {
+            const missedByUser = new Map();
+
+            await this.processDueReminder(reminderId, new Date(), missedByUser);
+
+            for (const { user, reminders } of missedByUser.values()) {
+                await this.sendCatchUpDigest(user, reminders);
+            }
+        } catch (error) {
+            console.error(`Error processing scheduled reminder ${reminderId}:`, error);
+        }
+    }
+
+    /**
+     * Get a user's catch-up settings for overdue reminders
+     * @param {Object} user - User document
+     * @returns {Object} - { graceMinutes, policy }
+     */
+    getCatchUpSettings(user) {
+        const settings = (user && user.preferences && user.preferences.notifications) || {};
+
+        return {
+            graceMinutes: settings.catchUpGraceMinutes >= 0 ? settings.catchUpGraceMinutes : 30,
+            policy: settings.catchUpPolicy || 'digest'
+        };
+    }
+
+    /**
+     * Mark a claimed reminder as missed without notifying, keeping its series going
+     * @param {Object} reminder - The claimed reminder
+     */
+    async markReminderMissed(reminder) {
+        const updatedReminder = await reminderService.transitionReminder(reminder._id, 'missed', {
+            leaseOwner: this.workerId,
+            reason: 'catch_up'
+        });
+
+        if (!updatedReminder) {
+            console.warn(`Lease for reminder ${reminder._id} was lost before it could be marked as missed`);
+            return;
+        }
+
+        console.log(`Marked reminder ${reminder._id} as missed, it was due ${reminder.scheduledFor.toISOString()}`);
+
+        if (reminder.recurrence !== 'none') {
+            const nextReminder = await reminderService.processRecurrence(reminder);
+
+            if (nextReminder) {
+                console.log(`Created next recurring reminder for ${reminder.content}, scheduled for ${nextReminder.scheduledFor}`);
+            }
+        }
+    }
+
+    /**
+     * Send a single message listing reminders that were missed while we were offline
+     * @param {Object} user - User document
+     * @param {Array} reminders - Reminders that were marked as missed
+     */
+    async sendCatchUpDigest(user, reminders) {
+        try {
+            let message = reminders.length === 1
+                ? '🕑 While I was offline, you missed this reminder:\n\n'
+                : `🕑 While I was offline, you missed these ${reminders.length} reminders:\n\n`;
+
+            reminders
+                .sort((a, b) => a.scheduledFor - b.scheduledFor)
+                .forEach((reminder, index) => {
+                    const date = dateParserService.formatDateForDisplay(reminder.scheduledFor);
+                    message += `${index + 1}. ${reminder.content} - was due ${date}\n`;
+                });
+
+            message += '\nLet me know if you\'d like me to remind you about any of these again.';
+
+            await whatsappService.sendMessage(user.phoneNumber, message, {
+                userId: user._id,
+                kind: 'catch_up_digest'
+            });
+            console.log(`Sent catch-up digest of ${reminders.length} reminder(s) to ${user.phoneNumber}`);
+        } catch (error) {
+            console.error('Error sending catch-up digest:', error);
+        }
+    }
+
+    /**
+     * Send a claimed reminder over its notification channels and mark it as delivered
+     * @param {Object} reminder - The claimed reminder with populated user
+     */
+    async dispatchReminder(reminder) {
+        const reminderId = reminder._id.toString();
+
+        let notificationMethod = reminder.notificationMethod;
+
+        // Hold non-urgent reminders while the user is on vacation. Recurring ones skip ahead to
+        // their first occurrence after it, so the user doesn't come back to a pile of them.
+        const vacation = userPreferenceService.getVacationStatus(reminder.user);
+
+        if (vacation.active && !reminder.urgent) {
+            if (reminderService.isRecurringReminder(reminder)) {
+                const movedReminder = await reminderService.deferOccurrence(reminder, vacation.endsAt, this.workerId, 'vacation');
+                console.log(movedReminder
+                    ? `User is on vacation, moved reminder ${reminderId} to ${movedReminder.scheduledFor.toISOString()}`
+                    : `User is on vacation and reminder ${reminderId}'s series ends before it's over, cancelled it`);
+            } else {
+                console.log(`User is on vacation, deferring reminder ${reminderId} until ${vacation.endsAt.toISOString()}`);
+                await reminderService.deferReminder(reminder, vacation.endsAt, this.workerId, 'vacation');
+            }
+            return;
+        }
+
+        // Quiet hours are about calls: WhatsApp-only and urgent reminders go out as scheduled
+        const quietHours = userPreferenceService.getQuietHoursStatus(reminder.user);
+
+        if (quietHours.active && !reminder.urgent && notificationMethod !== 'whatsapp') {
+            if (quietHours.policy === 'downgrade') {
+                console.log(`Reminder ${reminderId} falls in quiet hours, sending by WhatsApp only`);
+                notificationMethod = 'whatsapp';
+            } else {
+                console.log(`Reminder ${reminderId} falls in quiet hours, deferring until ${quietHours.endsAt.toISOString()}`);
+                await reminderService.deferReminder(reminder, quietHours.endsAt, this.workerId, 'quiet_hours');
+                return;
+            }
+        }
+
+        // Don't sit on the lease while a send waits out a rate limit (e.g. the hourly call cap);
+        // hand the reminder back and try again once the user's sends can go through
+        const rateLimitWaitMs = this.getRateLimitWaitMs(reminder.user, notificationMethod);
+
+        if (rateLimitWaitMs > this.leaseDurationMs / 2) {
+            const retryAt = new Date(Date.now() + rateLimitWaitMs);
+            console.log(`User is over their send limit, deferring reminder ${reminderId} until ${retryAt.toISOString()}`);
+            await reminderService.deferReminder(reminder, retryAt, this.workerId, 'rate_limited');
+            return;
+        }
+
+        console.log(`Processing reminder ${reminderId} with method: ${notificationMethod}`);
+
+        // Earlier occurrences nobody answered count as missed once the next one goes out
+        if (reminderService.isRecurringReminder(reminder)) {
+            await reminderService.recordUnansweredOccurrences(reminder);
+        }
+
+        // The reminder counts as delivered if at least one channel got through
+        let delivered = false;
+        let deliveryError = null;
+
+        // Sends can still queue behind other users' sends; keep the lease alive meanwhile
+        const stopRenewingLease = this.keepLeaseAlive(reminder._id);
+
+        // Send notification based on user's preference
+        if (notificationMethod === 'whatsapp' || notificationMethod === 'both') {
+            try {
+                await this.sendWhatsAppNotification(reminder);
+                delivered = true;
+            } catch (error) {
+                deliveryError = error;
+            }
+        }
+
+        if (notificationMethod === 'voice' || notificationMethod === 'both') {
+            console.log(`Voice notification needed for reminder ${reminderId}`);
+            if (!voiceService) {
+                console.error('Cannot send voice notification: voiceService is not loaded');
+                deliveryError = deliveryError || new Error('voiceService is not loaded');
+            } else {
+                console.log('voiceService is loaded, attempting to send notification');
+                try {
+                    await this.sendVoiceNotification(reminder);
+                    console.log('Voice notification completed successfully');
+                    delivered = true;
+                } catch (error) {
+                    console.error('Voice notification failed with error:', error);
+                    deliveryError = error;
+                }
+            }
+        }
+
+        stopRenewingLease();
+
+        if (!delivered && deliveryError) {
+            await this.handleDeliveryFailure(reminder, deliveryError, notificationMethod);
+            return;
+        }
+
+        // Update reminder status and release our lease
+        const updatedReminder = await reminderService.transitionReminder(reminder._id, 'delivered', {
+            leaseOwner: this.workerId
+        });
+
+        if (!updatedReminder) {
+            // Our lease expired and another worker took over while we were sending
+            console.warn(`Lease for reminder ${reminderId} was lost before it could be marked as delivered`);
+            return;
+        }
+
+        // Start the escalation chain if the reminder has one
+        const escalationSteps = this.getEscalationSteps(reminder);
+        if (escalationSteps.length > 0) {
+            const firstStepAt = new Date(Date.now() + escalationSteps[0].waitMinutes * 60 * 1000);
+            await reminderService.startEscalation(reminder._id, firstStepAt);
+            console.log(`Escalation for reminder ${reminderId} scheduled at ${firstStepAt.toISOString()} unless acknowledged`);
+        }
+
+        // Handle recurrence - create next instance if applicable
+        if (reminder.recurrence !== 'none') {
+            const nextReminder = await reminderService.processRecurrence(reminder);
+
+            // If next reminder was created, log it
+            if (nextReminder) {
+                console.log(`Created next recurring reminder for ${reminder.content}, scheduled for ${nextReminder.scheduledFor}`);
+            }
+        }
+    }
+
+    /**
+     * Estimate how long a reminder's sends would wait for the outbound rate limiter
+     * @param {Object} user - Recipient
+     * @param {String} notificationMethod - 'whatsapp', 'voice' or 'both'
+     * @returns {Number} - Milliseconds until every channel could send to the user
+     */
+    getRateLimitWaitMs(user, notificationMethod) {
+        const channels = [];
+
+        if (notificationMethod === 'whatsapp' || notificationMethod === 'both') {
+            channels.push('whatsapp');
+        }
+
+        if ((notificationMethod === 'voice' || notificationMethod === 'both') && voiceService) {
+            channels.push('voice');
+        }
+
+        return Math.max(0, ...channels.map(channel => rateLimiterService.getWaitMs(channel, user.phoneNumber)));
+    }
+
+    /**
+     * Renew a claimed reminder's lease until the returned function is called, so a send
+     * held up in the rate limiter queue isn't taken over and sent again by another worker
+     * @param {String} reminderId - Reminder ID
+     * @returns {Function} - Stops renewing
+     */
+    keepLeaseAlive(reminderId) {
+        const timer = setInterval(() => {
+            reminderService.renewReminderLease(reminderId, this.workerId, this.leaseDurationMs)
+                .catch(error => console.error(`Error renewing lease for reminder ${reminderId}:`, error));
+        }, this.leaseDurationMs / 3);
+
+        return () => clearInterval(timer);
+    }
+
+    /**
+     * Retry a reminder that could not be sent, or give up on it and dead-letter it
+     * Transient errors are retried with exponential backoff up to the attempt limit;
+     * permanent errors (e.g. an invalid number) fail straight away.
+     * @param {Object} reminder - The claimed reminder with populated user
+     * @param {Error} error - Last send error
+     * @param {String} channel - Notification method that was attempted
+     */
+    async handleDeliveryFailure(reminder, error, channel) {
+        const reminderId = reminder._id.toString();
+        const errorType = deliveryRetryService.classifyError(error);
+        const attempts = (reminder.deliveryAttempts || 0) + 1;
+
+        if (errorType === 'transient' && attempts < deliveryRetryService.maxAttempts) {
+            const retryAt = new Date(Date.now() + deliveryRetryService.getRetryDelayMs(attempts));
+            const updatedReminder = await reminderService.scheduleDeliveryRetry(reminder, retryAt, this.workerId, error.message);
+
+            if (updatedReminder) {
+                console.log(`Delivery of reminder ${reminderId} failed (attempt ${attempts}), retrying at ${retryAt.toISOString()}`);
+            }
+            return;
+        }
+
+        const failedReminder = await reminderService.markDeliveryFailed(reminder._id, this.workerId, error.message);
+
+        if (!failedReminder) {
+            console.warn(`Lease for reminder ${reminderId} was lost before it could be marked as failed`);
+            return;
+        }
+
+        console.error(`Giving up on reminder ${reminderId} after ${attempts} attempt(s) (${errorType} error): ${error.message}`);
+
+        await deliveryRetryService.recordDeadLetter(reminder, { channel, error, errorType, attempts });
+
+        // A failed occurrence shouldn't end the series
+        if (reminder.recurrence !== 'none') {
+            const nextReminder = await reminderService.processRecurrence(reminder);
+
+            if (nextReminder) {
+                console.log(`Created next recurring reminder for ${reminder.content}, scheduled for ${nextReminder.scheduledFor}`);
+            }
+        }
+    }
+
+    /**
+     * Work out the escalation chain that applies to a reminder
+     * @param {Object} reminder - Reminder with populated user
+     * @returns {Array<Object>} - Steps as { action, waitMinutes }
+     */
+    getEscalationSteps(reminder) {
+        // Per-reminder steps take priority, even when empty ("don't escalate this one")
+        if (Array.isArray(reminder.escalationSteps)) {
+            return reminder.escalationSteps;
+        }
+
+        const policy = reminder.user && reminder.user.preferences && reminder.user.preferences.escalation;
+
+        if (policy && policy.enabled && Array.isArray(policy.steps)) {
+            return policy.steps;
+        }
+
+        return [];
+    }
+
+    /**
+     * Run escalation steps for sent reminders that still haven't been acknowledged
+     */
+    async processEscalations() {
+        try {
+            const dueEscalations = await reminderService.getDueEscalations();
 
-                // Skip if we've already processed this reminder recently
-                if (this.processedReminderIds.has(reminderId)) {
-                    console.log(`Skipping already processed reminder ${reminderId}`);
+            for (const reminder of dueEscalations) {
+                if (!reminder.user) {
                     continue;
                 }
 
-                // Mark as processed
-                this.processedReminderIds.add(reminderId);
+                const steps = this.getEscalationSteps(reminder);
+                const stepIndex = reminder.escalationStep || 0;
+                const step = steps[stepIndex];
+
+                if (!step) {
+                    // Policy changed under us and has no more steps
+                    await reminderService.claimEscalationStep(reminder._id, stepIndex, null);
+                    continue;
+                }
 
-                console.log(`Processing reminder ${reminderId} with method: ${reminder.notificationMethod}`);
+                // Nobody is chased while on vacation unless the reminder is urgent
+                if (userPreferenceService.getVacationStatus(reminder.user).active && !reminder.urgent) {
+                    await reminderService.updateReminder(reminder._id, { nextEscalationAt: null });
+                    continue;
+                }
 
-                // Send notification based on user's preference
-                if (reminder.notificationMethod === 'whatsapp' || reminder.notificationMethod === 'both') {
-                    await this.sendWhatsAppNotification(reminder);
+                // Calls are held back during quiet hours unless the reminder is urgent
+                const quietHours = userPreferenceService.getQuietHoursStatus(reminder.user);
+                if (quietHours.active && !reminder.urgent && step.action === 'voice') {
+                    await reminderService.updateReminder(reminder._id, { nextEscalationAt: quietHours.endsAt });
+                    continue;
                 }
 
-                if (reminder.notificationMethod === 'voice' || reminder.notificationMethod === 'both') {
-                    console.log(`Voice notification needed for reminder ${reminderId}`);
+                const nextStep = steps[stepIndex + 1];
+                const nextStepAt = nextStep
+                    ? new Date(Date.now() + nextStep.waitMinutes * 60 * 1000)
+                    : null;
+
+                const claimed = await reminderService.claimEscalationStep(reminder._id, stepIndex, nextStepAt);
+                if (!claimed) {
+                    continue;
+                }
+
+                await this.runEscalationStep(reminder, step);
+            }
+        } catch (error) {
+            console.error('Error processing escalations:', error);
+        }
+    }
+
+    /**
+     * Carry out a single escalation step for an unacknowledged reminder
+     * @param {Object} reminder - The reminder with populated user
+     * @param {Object} step - Step as { action, waitMinutes }
+     */
+    async runEscalationStep(reminder, step) {
+        console.log(`Escalating reminder ${reminder._id} with action: ${step.action}`);
+
+        try {
+            switch (step.action) {
+                case 'voice':
                     if (!voiceService) {
-                        console.error('Cannot send voice notification: voiceService is not loaded');
-                    } else {
-                        console.log('voiceService is loaded, attempting to send notification');
-                        try {
-                            await this.sendVoiceNotification(reminder);
-                            console.log('Voice notification completed successfully');
-                        } catch (error) {
-                            console.error('Voice notification failed with error:', error);
-                        }
+                        console.error('Cannot escalate to voice: voiceService is not loaded');
+                        break;
                     }
-                }
+                    await voiceService.makeReminderCall(reminder, { escalation: true });
+                    break;
 
-                // Update reminder status
-                await reminderService.updateReminderStatus(reminder._id, 'sent');
+                case 'whatsapp':
+                    await this.sendWhatsAppNotification(reminder, { followUp: true });
+                    break;
 
-                // Handle recurrence - create next instance if applicable
-                if (reminder.recurrence !== 'none') {
-                    const nextReminder = await reminderService.processRecurrence(reminder);
+                case 'backup_contact': {
+                    const policy = reminder.user.preferences && reminder.user.preferences.escalation;
+                    const backupContact = policy && policy.backupContact;
 
-                    // If next reminder was created, log it
-                    if (nextReminder) {
-                        console.log(`Created next recurring reminder for ${reminder.content}, scheduled for ${nextReminder.scheduledFor}`);
+                    if (!backupContact || !backupContact.phoneNumber) {
+                        console.error(`No backup contact configured for user ${reminder.user._id}`);
+                        break;
                     }
+
+                    const userName = reminder.user.name || reminder.user.phoneNumber;
+                    await whatsappService.sendMessage(
+                        backupContact.phoneNumber,
+                        `⚠️ Hi${backupContact.name ? ` ${backupContact.name}` : ''}, ${userName} hasn't confirmed their reminder "${reminder.content}" (${dateParserService.formatDateForDisplay(reminder.scheduledFor)}). You may want to check in with them.`,
+                        { reminderId: reminder._id, userId: reminder.user._id, kind: 'escalation_backup' }
+                    );
+                    await whatsappService.sendMessage(
+                        reminder.user.phoneNumber,
+                        `👥 I've let your backup contact know that "${reminder.content}" hasn't been confirmed yet.`,
+                        { reminderId: reminder._id, userId: reminder.user._id, kind: 'escalation' }
+                    );
+                    break;
                 }
+
+                default:
+                    console.error(`Unknown escalation action: ${step.action}`);
             }
         } catch (error) {
-            console.error('Error processing notifications:', error);
+            console.error(`Error running escalation step for reminder ${reminder._id}:`, error);
         }
     }
 
+    /**
+     * Work out which heads-up offsets apply to a reminder
+     * @param {Object} reminder - Reminder with populated user
+     * @returns {Array<Number>} - Offsets in minutes before scheduledFor
+     */
+    getAdvanceNoticeOffsets(reminder) {
+        // Per-reminder offsets take priority, even when empty ("no heads-up for this one")
+        if (Array.isArray(reminder.advanceNoticeMinutes)) {
+            return reminder.advanceNoticeMinutes.filter(minutes => minutes > 0);
+        }
+
+        const settings = reminder.user && reminder.user.preferences && reminder.user.preferences.notifications;
+
+        if (settings && settings.advanceNoticeEnabled && settings.advanceNotice > 0) {
+            return [settings.advanceNotice];
+        }
+
+        return [];
+    }
+
+    /**
+     * Send heads-up messages for upcoming reminders whose advance notice time has arrived
+     */
+    async processAdvanceNotices() {
+        try {
+            const now = new Date();
+            const horizon = new Date(now.getTime() + MAX_ADVANCE_NOTICE_MINUTES * 60 * 1000);
+            const deadlineHorizon = new Date(now.getTime() + reminderService.MAX_DEADLINE_NUDGE_MINUTES * 60 * 1000);
+            const upcomingReminders = await reminderService.getUpcomingReminders(horizon, deadlineHorizon);
+
+            for (const reminder of upcomingReminders) {
+                if (!reminder.user) {
+                    continue;
+                }
+
+                const minutesUntilDue = (reminder.scheduledFor.getTime() - now.getTime()) / 60000;
+                const alreadySent = reminder.advanceNoticesSent || [];
+
+                // Offsets whose notice time has passed but haven't been sent yet
+                const dueOffsets = this.getAdvanceNoticeOffsets(reminder)
+                    .filter(offset => offset >= minutesUntilDue && !alreadySent.includes(offset));
+
+                if (dueOffsets.length === 0) {
+                    continue;
+                }
+
+                // Hold heads-ups during quiet hours; they go out once the window ends if still relevant
+                const quietHours = userPreferenceService.getQuietHoursStatus(reminder.user, now);
+                if (quietHours.active && !reminder.urgent) {
+                    continue;
+                }
+
+                // No heads-ups on vacation either, even for reminders due after it
+                if (userPreferenceService.getVacationStatus(reminder.user, now).active && !reminder.urgent) {
+                    continue;
+                }
+
+                // Record all due offsets at once so a backlog collapses into a single message
+                const claimed = await reminderService.markAdvanceNoticesSent(reminder._id, dueOffsets);
+                if (!claimed) {
+                    continue;
+                }
+
+                await this.sendAdvanceNotice(reminder, minutesUntilDue);
+            }
+        } catch (error) {
+            console.error('Error processing advance notices:', error);
+        }
+    }
+
+    /**
+     * Send a heads-up message ahead of a reminder
+     * @param {Object} reminder - The upcoming reminder with populated user
+     * @param {Number} minutesUntilDue - Minutes left until the reminder is due
+     */
+    async sendAdvanceNotice(reminder, minutesUntilDue) {
+        try {
+            const user = reminder.user;
+            const formattedTime = dateParserService.formatDateForDisplay(reminder.scheduledFor);
+
+            // Deadlines count down to the deadline and can be ticked off from the nudge
+            const message = reminder.deadline
+                ? `⏳ Deadline: "${reminder.content}" is due in ${this.formatTimeLeft(minutesUntilDue)} (${formattedTime}).\n\nReply "done" if you've already finished it.`
+                : `⏳ Heads-up: "${reminder.content}" is coming up in ${this.formatDuration(Math.round(minutesUntilDue))} (${formattedTime}).`;
+
+            await whatsappService.sendMessage(user.phoneNumber, message, {
+                reminderId: reminder._id,
+                userId: user._id,
+                kind: reminder.deadline ? 'deadline_nudge' : 'advance_notice'
+            });
+            console.log(`Sent advance notice for reminder ${reminder._id} to ${user.phoneNumber}`);
+        } catch (error) {
+            console.error('Error sending advance notice:', error);
+        }
+    }
+
+    /**
+     * Format a number of minutes as a readable duration
+     * @param {Number} totalMinutes - Duration in minutes
+     * @returns {String} - e.g. "1 day", "2 hours 30 minutes", "15 minutes"
+     */
+    formatDuration(totalMinutes) {
+        const days = Math.floor(totalMinutes / 1440);
+        const hours = Math.floor((totalMinutes % 1440) / 60);
+        const minutes = totalMinutes % 60;
+
+        const parts = [];
+        if (days > 0) parts.push(`${days} day${days === 1 ? '' : 's'}`);
+        if (hours > 0) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+        if (minutes > 0 || parts.length === 0) parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Format the time left until a deadline, rounded to whole hours once it's a day or more away
+     * @param {Number} minutesLeft - Minutes until the deadline
+     * @returns {String} - e.g. "7 days", "1 day 6 hours", "2 hours"
+     */
+    formatTimeLeft(minutesLeft) {
+        const rounded = minutesLeft >= 1440
+            ? Math.round(minutesLeft / 60) * 60
+            : Math.round(minutesLeft);
+
+        return this.formatDuration(Math.max(rounded, 1));
+    }
+
+    /**
+     * Format a reminder's checklist as a numbered list, with ticked-off items struck through
+     * @param {Array} checklist - [{ text, done }]
+     * @returns {String} - e.g. "1. milk\n2. ✅ ~eggs~\n3. bread"
+     */
+    formatChecklist(checklist) {
+        return checklist
+            .map((item, index) => `${index + 1}. ${item.done ? `✅ ~${item.text}~` : item.text}`)
+            .join('\n');
+    }
+
     /**
      * Send WhatsApp notification for reminder
      * @param {Object} reminder - The reminder to send notification for
+     * @param {Object} options - Optional settings
+     * @param {Boolean} options.followUp - Resending an unacknowledged reminder as part of escalation
      */
-    async sendWhatsAppNotification(reminder) {
+    async sendWhatsAppNotification(reminder, options = {}) {
         try {
             const user = reminder.user;
 
             // Format message based on recurrence
-            let message = `🔔 REMINDER: ${reminder.content}`;
+            let message = options.followUp
+                ? `🔁 STILL PENDING: ${reminder.content}`
+                : `${reminder.deadline ? '⏰ DEADLINE NOW' : '🔔 REMINDER'}: ${reminder.content}`;
+
+            // Count-limited series show how far along they are, e.g. "(3 of 14)"
+            const progress = reminderService.getOccurrenceProgress(reminder);
+            if (progress) {
+                message += ` (${progress.number} of ${progress.total})`;
+            }
+
+            // Checklist items, numbered so they can be ticked off by number
+            const hasChecklist = Array.isArray(reminder.checklist) && reminder.checklist.length > 0;
+            if (hasChecklist) {
+                message += `\n\n${this.formatChecklist(reminder.checklist)}`;
+            }
 
-            // Add recurrence info if applicable
+            // Let the user know if this is going out noticeably late (e.g. after downtime)
+            const minutesLate = (Date.now() - reminder.scheduledFor.getTime()) / 60000;
+            if (!options.followUp && minutesLate > LATE_NOTICE_MINUTES) {
+                message += `\n\n(Sorry, this is late - it was due ${dateParserService.formatDateForDisplay(reminder.scheduledFor)})`;
+            }
+
+            // Habit streak of the series, or a nudge if the last one broke it
+            if (!options.followUp) {
+                const streakLine = await habitService.getStreakLine(reminder);
+                if (streakLine) {
+                    message += `\n\n${streakLine}`;
+                }
+            }
+
+            // Add recurrence info if applicable, skipping over occurrences the user skipped
             if (reminder.recurrence !== 'none') {
-                const recurrenceParserService = require('./recurrenceParserService');
-
-                // Only calculate next instance if we need it for the message
-                const recurrencePattern = reminder.recurrencePattern;
-                const endDate = reminder.endDate;
-
-                if (recurrencePattern) {
-                    // Calculate next occurrence date
-                    const nextDate = recurrenceParserService.calculateNextOccurrence(
-                        reminder.scheduledFor,
-                        recurrencePattern,
-                        endDate
-                    );
+                const nextDate = await reminderService.getNextOccurrenceDate(reminder);
+
+                if (nextDate) {
+                    const formattedNextDate = dateParserService.formatDateForDisplay(nextDate);
+                    message += `\n\nNext reminder: ${formattedNextDate}`;
 
-                    if (nextDate) {
-                        const formattedNextDate = dateParserService.formatDateForDisplay(nextDate);
-                        message += `\n\nNext reminder: ${formattedNextDate}`;
+                    if (progress) {
+                        message += ` (${progress.remaining} left)`;
                     }
+                } else if (progress && progress.remaining === 0) {
+                    message += '\n\nThis is the last one.';
                 }
             }
 
             // Add response options - updated to include delay option
-            message += '\n\nReply "done" to mark as complete, or "delay 30 mins" to reschedule.';
+            message += hasChecklist
+                ? '\n\nReply "got 1 and 3" to tick items off, "done" when you have everything, or "delay 30 mins" to reschedule.'
+                : '\n\nReply "done" to mark as complete, or "delay 30 mins" to reschedule.';
 
             // Send the notification
-            await whatsappService.sendMessage(user.phoneNumber, message);
+            await whatsappService.sendMessage(user.phoneNumber, message, {
+                reminderId: reminder._id,
+                userId: user._id,
+                kind: options.followUp ? 'escalation' : 'reminder'
+            });
             console.log(`Sent WhatsApp notification to ${user.phoneNumber}`);
         } catch (error) {
             console.error('Error sending WhatsApp notification:', error);
+            throw error;
         }
     }
 
@@ -184,24 +816,49 @@ class NotificationService {
                 console.error('No response received from API');
             }
 
-            // Don't retry here - we'll handle retries via the Twilio status callback
-            console.log(`Voice notification failed for reminder ${reminder._id}, will be handled by status callback`);
+            // Calls that fail to start are retried by dispatchReminder; calls that start but
+            // go unanswered are retried via the Twilio status callback
+            throw error;
         }
     }
 
     /**
-     * Set up cron job to check for due reminders
+     * Restart recurring reminders whose pause has run out
+     */
+    async resumePausedSeries() {
+        try {
+            const resumedCount = await reminderService.resumeDueSeries();
+            if (resumedCount > 0) {
+                console.log(`Resumed ${resumedCount} paused recurring reminder(s)`);
+            }
+        } catch (error) {
+            console.error('Error resuming paused recurring reminders:', error);
+        }
+    }
+
+    /**
+     * Start the precise reminder scheduler and set up the cron job for periodic checks
+     * Due reminders are fired by the scheduler at their exact time; the cron run only sweeps up
+     * reminders the scheduler didn't fire (e.g. after a crash), plus paused series, notices,
+     * escalations and digests.
      * @param {Number} intervalMinutes - Check interval in minutes
      */
     setupNotificationCron(intervalMinutes = 1) {
         const cron = require('node-cron');
 
+        schedulerService.start(reminderId => this.processScheduledReminder(reminderId));
+
         // Run every X minutes
         const cronSchedule = `*/${intervalMinutes} * * * *`;
 
         cron.schedule(cronSchedule, async () => {
             console.log(`Running notification check at ${new Date().toISOString()}`);
-            await this.processNotifications();
+            await this.resumePausedSeries();
+            await this.processNotifications({ minLateMs: schedulerService.pastDueWindowMs });
+            await this.processAdvanceNotices();
+            await this.processEscalations();
+            await agendaService.processAgendaDigests();
+            await reportService.processWeeklyReports();
         });
 
         console.log(`Notification service scheduled to run every ${intervalMinutes} minute(s)`);
@@ -0,0 +1,358 @@
+// src/services/rateLimiterService.js
+
+// Active call slots are freed by the Twilio status callback; this is the fallback if it never arrives
+const CALL_SLOT_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Log a warning every time a channel queue grows by this many sends
+const QUEUE_WARNING_STEP = 50;
+
+/**
+ * Token bucket: holds up to `capacity` tokens and refills continuously
+ */
+class TokenBucket {
+    /**
+     * @param {Number} capacity - Maximum burst size
+     * @param {Number} refillPerSecond - Tokens added per second
+     */
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.refillPerSecond);
+        this.lastRefill = now;
+    }
+
+    /**
+     * @returns {Number} - Milliseconds until a token is available (0 if one is available now)
+     */
+    msUntilToken() {
+        this.refill();
+
+        if (this.tokens >= 1) {
+            return 0;
+        }
+
+        return Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+    }
+
+    take() {
+        this.refill();
+        this.tokens -= 1;
+    }
+
+    isFull() {
+        this.refill();
+        return this.tokens >= this.capacity;
+    }
+}
+
+/**
+ * Service for throttling outbound WhatsApp messages and voice calls
+ * Each channel has a global token bucket for the provider limit and a bucket per recipient.
+ * Voice calls are also capped by the number of calls in progress. Sends over the limit wait
+ * in a FIFO queue per channel instead of being dropped.
+ */
+class RateLimiterService {
+    constructor() {
+        this.channels = {
+            whatsapp: this.createChannel(
+                parseInt(process.env.WHATSAPP_BURST) || 10,
+                parseFloat(process.env.WHATSAPP_RATE_PER_SECOND) || 5,
+                parseInt(process.env.USER_MESSAGES_PER_MINUTE) || 10,
+                60
+            ),
+            voice: this.createChannel(
+                1,
+                parseFloat(process.env.VOICE_CALLS_PER_SECOND) || 1,
+                parseInt(process.env.USER_CALLS_PER_HOUR) || 4,
+                60 * 60
+            )
+        };
+
+        this.maxConcurrentCalls = parseInt(process.env.MAX_CONCURRENT_CALLS) || 5;
+        // Calls being placed right now, plus calls in progress by Call SID
+        this.startingCalls = 0;
+        this.activeCalls = new Map();
+    }
+
+    /**
+     * @param {Number} burst - Global bucket capacity
+     * @param {Number} ratePerSecond - Global refill rate
+     * @param {Number} perUserLimit - Sends per recipient allowed in each period
+     * @param {Number} perUserPeriodSeconds - Length of the per-recipient period
+     * @returns {Object} - Channel state
+     */
+    createChannel(burst, ratePerSecond, perUserLimit, perUserPeriodSeconds) {
+        return {
+            bucket: new TokenBucket(burst, ratePerSecond),
+            perUserLimit,
+            perUserRefillPerSecond: perUserLimit / perUserPeriodSeconds,
+            userBuckets: new Map(),
+            queue: [],
+            timer: null,
+            pausedUntil: 0,
+            sent: 0
+        };
+    }
+
+    /**
+     * Run a send once the channel and recipient limits allow it
+     * @param {String} channel - 'whatsapp' or 'voice'
+     * @param {String} recipient - Phone number the send goes to
+     * @param {Function} task - Async function performing the send
+     * @returns {Promise} - Resolves or rejects with the task's result
+     */
+    schedule(channel, recipient, task) {
+        const state = this.channels[channel];
+
+        if (!state) {
+            return Promise.reject(new Error(`Unknown rate limited channel: ${channel}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            state.queue.push({ recipient, task, resolve, reject, queuedAt: Date.now() });
+
+            if (state.queue.length % QUEUE_WARNING_STEP === 0) {
+                console.warn(`Outbound ${channel} queue has ${state.queue.length} sends waiting`);
+            }
+
+            this.drain(channel);
+        });
+    }
+
+    /**
+     * Start every queued send that the limits currently allow, and wake up again when more can go
+     * @param {String} channel - 'whatsapp' or 'voice'
+     */
+    drain(channel) {
+        const state = this.channels[channel];
+
+        clearTimeout(state.timer);
+        state.timer = null;
+
+        let waitMs = Infinity;
+        let index = 0;
+
+        while (index < state.queue.length) {
+            const now = Date.now();
+
+            if (state.pausedUntil > now) {
+                waitMs = state.pausedUntil - now;
+                break;
+            }
+
+            // Freed by releaseCall or a failed call attempt, which drain again
+            if (channel === 'voice' && this.getCallsInUse() >= this.maxConcurrentCalls) {
+                break;
+            }
+
+            const globalWaitMs = state.bucket.msUntilToken();
+            if (globalWaitMs > 0) {
+                waitMs = globalWaitMs;
+                break;
+            }
+
+            // A recipient over their cap doesn't hold up sends to everyone else
+            const item = state.queue[index];
+            const userBucket = this.getUserBucket(state, item.recipient);
+            const userWaitMs = userBucket.msUntilToken();
+
+            if (userWaitMs > 0) {
+                waitMs = Math.min(waitMs, userWaitMs);
+                index++;
+                continue;
+            }
+
+            state.bucket.take();
+            userBucket.take();
+            state.queue.splice(index, 1);
+
+            this.runTask(channel, item);
+        }
+
+        if (state.queue.length > 0 && waitMs !== Infinity) {
+            state.timer = setTimeout(() => this.drain(channel), Math.max(waitMs, 10));
+        }
+
+        this.pruneUserBuckets(state);
+    }
+
+    /**
+     * Run a send that was let through and settle its promise
+     * @param {String} channel - 'whatsapp' or 'voice'
+     * @param {Object} item - Queue entry
+     */
+    runTask(channel, item) {
+        const state = this.channels[channel];
+        const isCall = channel === 'voice';
+
+        if (isCall) {
+            this.startingCalls++;
+        }
+
+        Promise.resolve()
+            .then(() => item.task())
+            .then(result => {
+                state.sent++;
+
+                if (isCall) {
+                    this.startingCalls--;
+                    // Keep the slot until the call ends
+                    if (result && result.sid) {
+                        this.trackCall(result.sid);
+                    } else {
+                        this.drain(channel);
+                    }
+                }
+
+                item.resolve(result);
+            })
+            .catch(error => {
+                if (isCall) {
+                    this.startingCalls--;
+                    this.drain(channel);
+                }
+
+                item.reject(error);
+            });
+    }
+
+    /**
+     * Estimate how long a new send to a recipient would wait before it can go
+     * Counts the sends already queued ahead of it, so callers can put off work instead of
+     * holding on to it in the queue (e.g. a claimed reminder whose lease would run out).
+     * @param {String} channel - 'whatsapp' or 'voice'
+     * @param {String} recipient - Phone number the send would go to
+     * @returns {Number} - Milliseconds the send would wait (0 if it could go now)
+     */
+    getWaitMs(channel, recipient) {
+        const state = this.channels[channel];
+
+        if (!state) {
+            return 0;
+        }
+
+        const queuedForRecipient = state.queue.filter(item => item.recipient === recipient).length;
+        const userBucket = this.getUserBucket(state, recipient);
+        userBucket.refill();
+        state.bucket.refill();
+
+        const userShortfall = queuedForRecipient + 1 - userBucket.tokens;
+        const globalShortfall = state.queue.length + 1 - state.bucket.tokens;
+
+        return Math.max(
+            0,
+            state.pausedUntil - Date.now(),
+            userShortfall > 0 ? Math.ceil((userShortfall / userBucket.refillPerSecond) * 1000) : 0,
+            globalShortfall > 0 ? Math.ceil((globalShortfall / state.bucket.refillPerSecond) * 1000) : 0
+        );
+    }
+
+    /**
+     * @param {Object} state - Channel state
+     * @param {String} recipient - Phone number
+     * @returns {TokenBucket} - Bucket for the recipient
+     */
+    getUserBucket(state, recipient) {
+        let bucket = state.userBuckets.get(recipient);
+
+        if (!bucket) {
+            bucket = new TokenBucket(state.perUserLimit, state.perUserRefillPerSecond);
+            state.userBuckets.set(recipient, bucket);
+        }
+
+        return bucket;
+    }
+
+    /**
+     * Forget recipients whose bucket has refilled completely, so the map doesn't grow forever
+     * @param {Object} state - Channel state
+     */
+    pruneUserBuckets(state) {
+        for (const [recipient, bucket] of state.userBuckets) {
+            if (bucket.isFull()) {
+                state.userBuckets.delete(recipient);
+            }
+        }
+    }
+
+    /**
+     * @returns {Number} - Call slots taken by calls being placed or in progress
+     */
+    getCallsInUse() {
+        return this.startingCalls + this.activeCalls.size;
+    }
+
+    /**
+     * Hold a concurrent call slot until the call ends
+     * @param {String} callSid - Twilio Call SID
+     */
+    trackCall(callSid) {
+        const timeout = setTimeout(() => this.releaseCall(callSid), CALL_SLOT_TIMEOUT_MS);
+        this.activeCalls.set(callSid, timeout);
+    }
+
+    /**
+     * Free the slot of a call that has ended
+     * @param {String} callSid - Twilio Call SID
+     */
+    releaseCall(callSid) {
+        const timeout = this.activeCalls.get(callSid);
+
+        if (timeout === undefined) {
+            return;
+        }
+
+        clearTimeout(timeout);
+        this.activeCalls.delete(callSid);
+        this.drain('voice');
+    }
+
+    /**
+     * Hold all sends on a channel, e.g. after the provider answered 429
+     * @param {String} channel - 'whatsapp' or 'voice'
+     * @param {Number} ms - How long to hold off
+     */
+    pause(channel, ms) {
+        const state = this.channels[channel];
+
+        if (!state) {
+            return;
+        }
+
+        state.pausedUntil = Math.max(state.pausedUntil, Date.now() + ms);
+        console.warn(`Pausing outbound ${channel} sends for ${Math.round(ms / 1000)}s`);
+        this.drain(channel);
+    }
+
+    /**
+     * Get queue depth and throughput for each channel
+     * @returns {Object} - Stats per channel
+     */
+    getStats() {
+        const stats = {};
+        const now = Date.now();
+
+        for (const [channel, state] of Object.entries(this.channels)) {
+            stats[channel] = {
+                queued: state.queue.length,
+                oldestQueuedMs: state.queue.length > 0 ? now - Math.min(...state.queue.map(item => item.queuedAt)) : 0,
+                recentRecipients: state.userBuckets.size,
+                pausedForMs: Math.max(0, state.pausedUntil - now),
+                sent: state.sent
+            };
+        }
+
+        stats.voice.activeCalls = this.getCallsInUse();
+        stats.voice.maxConcurrentCalls = this.maxConcurrentCalls;
+
+        return stats;
+    }
+}
+
+module.exports = new RateLimiterService();
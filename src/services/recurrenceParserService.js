@@ -1,7 +1,67 @@
 // src/services/recurrenceParserService.js
 
-const { addDays, addWeeks, addMonths, addYears, parse, parseISO, format, isBefore } = require('date-fns');
-const { utcToZonedTime } = require('date-fns-tz');
+const { format, isBefore } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+
+// RRULE weekday codes, indexed like Date.getDay() (0 = Sunday)
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = ['YEARLY', 'MONTHLY', 'WEEKLY', 'DAILY', 'HOURLY', 'MINUTELY'];
+
+// Frequencies below a day; these are evaluated one day at a time and can have an active window
+const SUB_DAILY_FREQUENCIES = ['HOURLY', 'MINUTELY'];
+
+// Upper bound on periods walked when evaluating a rule, so a rule that never matches can't loop forever
+const MAX_RRULE_PERIODS = 10000;
+
+// Spelled-out numbers accepted in "twice a day", "for three weeks" and "five times"
+const NUMBER_WORDS = {
+    a: 1, an: 1, once: 1, one: 1, twice: 2, two: 2, thrice: 3, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, fourteen: 14, fifteen: 15, twenty: 20, thirty: 30
+};
+const NUMBER_PATTERN = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+const parseNumber = (text) => NUMBER_WORDS[text] || parseInt(text);
+
+// What to do with occurrences on weekends and holidays: drop them, or move them to the
+// next or previous business day
+const BUSINESS_DAY_POLICIES = ['skip', 'next', 'previous'];
+
+// Zone used for series that don't have one of their own
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Rules are expanded on wall-clock time in the series' time zone. Wall-clock times are handled as
+// "floating" dates whose UTC fields hold the local date and time, so neither DST nor the
+// server's own time zone can shift them while the rule is evaluated.
+const floatingDate = (year, month, day, hour = 0, minute = 0, second = 0) =>
+    new Date(Date.UTC(year, month, day, hour, minute, second));
+
+const floatingStartOfDay = (date) => floatingDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+const addFloatingDays = (date, days) => new Date(date.getTime() + days * MS_PER_DAY);
+
+const floatingStartOfWeek = (date, weekStartsOn) => {
+    const day = floatingStartOfDay(date);
+    return addFloatingDays(day, -((day.getUTCDay() - weekStartsOn + 7) % 7));
+};
+
+// Intl formatters by time zone, used to read wall-clock time. date-fns-tz goes through the
+// server's local time, which shifts times that fall in the server's own DST gap.
+const wallClockFormatters = new Map();
+
+const getWallClockFormatter = (timeZone) => {
+    if (!wallClockFormatters.has(timeZone)) {
+        wallClockFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+
+    return wallClockFormatters.get(timeZone);
+};
 
 /**
  * Service for parsing and handling recurrence patterns
@@ -9,12 +69,332 @@ const { utcToZonedTime } = require('date-fns-tz');
 class RecurrenceParserService {
     /**
      * Parse a natural language recurrence pattern
+     * Rules the structured fields can't express ("second Tuesday of every month",
+     * "last weekday of the month", "10 times", "every 2 hours between 9am and 6pm")
+     * are returned with an RRULE.
      * @param {String} text - The recurrence text
      * @returns {Object} - Structured recurrence pattern
      */
     parseRecurrencePattern(text) {
         if (!text) return null;
 
+        const lowerText = text.toLowerCase();
+        const result = this.parseSubDailyText(lowerText) ||
+            this.parseBusinessDayText(lowerText) ||
+            this.parseRRuleText(lowerText) ||
+            this.parseSimpleRecurrencePattern(text);
+
+        const businessDays = this.parseBusinessDayPolicy(lowerText);
+
+        if (result && result.recurrencePattern && businessDays) {
+            result.recurrencePattern.businessDays = businessDays;
+            result.recurrence = 'custom';
+        }
+
+        // "..., 10 times" or "for 7 days" limits any pattern to a number of occurrences
+        if (result && result.recurrencePattern) {
+            const rrule = this.patternToRRule(result.recurrencePattern, result.recurrence);
+            const count = rrule ? this.parseOccurrenceCount(lowerText, this.parseRRule(rrule), result.recurrencePattern.activeWindow) : null;
+
+            if (count) {
+                const rule = this.parseRRule(rrule);
+                rule.count = count;
+                rule.until = null;
+                result.recurrencePattern.rrule = this.formatRRule(rule);
+                result.recurrence = 'custom';
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Find how many occurrences a recurrence is limited to
+     * "5 times" is taken as is; "for 7 days" or "for the next 2 weeks" is turned into the number
+     * of occurrences the rule has in that time, e.g. 14 for "twice a day for 7 days".
+     * @param {String} lowerText - Lower-cased recurrence text
+     * @param {Object} rule - Parsed rule the limit applies to
+     * @param {Object} activeWindow - Daily window of an hour- or minute-level rule, if any
+     * @returns {Number|null} - Occurrence count, or null if none was given
+     */
+    parseOccurrenceCount(lowerText, rule, activeWindow = null) {
+        const timesMatch = lowerText.match(new RegExp(`\\b${NUMBER_PATTERN}\\s+times\\b(?!\\s+(?:a|an|per|each|every)\\s)`));
+
+        if (timesMatch) {
+            return parseNumber(timesMatch[1]);
+        }
+
+        const durationMatch = lowerText.match(new RegExp(`\\bfor\\s+(?:the\\s+)?(?:next\\s+)?${NUMBER_PATTERN}\\s+(day|week|month|year)s?\\b`));
+
+        if (!durationMatch) {
+            return null;
+        }
+
+        const amount = parseNumber(durationMatch[1]);
+        const unit = durationMatch[2];
+        const days = { day: 1, week: 7 }[unit];
+        const months = { month: 1, year: 12 }[unit];
+
+        switch (rule.freq) {
+            case 'MINUTELY':
+            case 'HOURLY': {
+                if (!days) return null;
+
+                const stepMinutes = rule.interval * (rule.freq === 'HOURLY' ? 60 : 1);
+                const window = this.parseActiveWindow(activeWindow);
+                const windowMinutes = window ? (window.end - window.start + 24 * 60) % (24 * 60) : null;
+                const perDay = window ? Math.floor(windowMinutes / stepMinutes) + 1 : Math.floor(24 * 60 / stepMinutes);
+
+                // A weekday filter only counts the matching days of each week
+                const activeDays = rule.byDay.length > 0 && unit === 'week' ? amount * rule.byDay.length : amount * days;
+
+                return activeDays * perDay;
+            }
+            case 'DAILY': {
+                if (!days) return null;
+
+                const perDay = Math.max(rule.byHour.length, 1) * Math.max(rule.byMinute.length, 1);
+                return Math.ceil(amount * days / rule.interval) * perDay;
+            }
+            case 'WEEKLY':
+                if (unit !== 'week') return null;
+                return Math.ceil(amount / rule.interval) * Math.max(rule.byDay.length, 1);
+            case 'MONTHLY':
+                if (!months) return null;
+                return Math.ceil(amount * months / rule.interval);
+            default:
+                if (unit !== 'year') return null;
+                return Math.ceil(amount / rule.interval);
+        }
+    }
+
+    /**
+     * Recognise "every working day" and "every business day"
+     * Unlike "every weekday" this also leaves out holidays on the user's calendar.
+     * @param {String} lowerText - Lower-cased recurrence text
+     * @returns {Object|null} - Daily recurrence, or null if none matched
+     */
+    parseBusinessDayText(lowerText) {
+        if (!/\b(?:every|each)\s+(?:working|business)\s+day\b/.test(lowerText)) {
+            return null;
+        }
+
+        return {
+            recurrence: 'custom',
+            recurrencePattern: {
+                frequency: 'day',
+                interval: 1,
+                businessDays: 'skip'
+            }
+        };
+    }
+
+    /**
+     * Find what should happen to occurrences that fall on weekends or holidays
+     * e.g. "or the next business day if it's a holiday", "except on holidays"
+     * @param {String} lowerText - Lower-cased recurrence text
+     * @returns {String|null} - 'skip', 'next', 'previous', or null if not mentioned
+     */
+    parseBusinessDayPolicy(lowerText) {
+        if (/\b(?:next|following)\s+(?:working|business)\s+day\b/.test(lowerText)) {
+            return 'next';
+        }
+
+        if (/\b(?:previous|prior|last)\s+(?:working|business)\s+day\b|\b(?:working|business)\s+day\s+before\b/.test(lowerText)) {
+            return 'previous';
+        }
+
+        if (/\b(?:every|each)\s+(?:working|business)\s+day\b|\b(?:skip|except|excluding|not on)\s+(?:on\s+)?(?:weekends\s+(?:and|or)\s+)?(?:public\s+)?holidays\b/.test(lowerText)) {
+            return 'skip';
+        }
+
+        return null;
+    }
+
+    /**
+     * Recognise hour- and minute-level recurrences, with an optional active window and weekday filter
+     * e.g. "every 2 hours between 9am and 6pm on weekdays", "every 30 minutes from 10 to 4"
+     * @param {String} lowerText - Lower-cased recurrence text
+     * @returns {Object|null} - Recurrence with an rrule, or null if none matched
+     */
+    parseSubDailyText(lowerText) {
+        let frequency;
+        let interval;
+
+        const everyMatch = lowerText.match(/every\s+(?:(\d+|other)\s+)?(hour|hr|minute|min)s?\b/);
+
+        if (everyMatch) {
+            frequency = everyMatch[2].startsWith('h') ? 'hour' : 'minute';
+            interval = everyMatch[1] === 'other' ? 2 : parseInt(everyMatch[1]) || 1;
+        } else if (/every\s+half\s+(?:an\s+)?hour\b/.test(lowerText)) {
+            frequency = 'minute';
+            interval = 30;
+        } else if (/\bhourly\b/.test(lowerText)) {
+            frequency = 'hour';
+            interval = 1;
+        } else {
+            // "twice a day", "4 times a day": spread evenly over the day from the first time
+            const perDayMatch = lowerText.match(new RegExp(`\\b(?:(once|twice|thrice)|${NUMBER_PATTERN}\\s+times)\\s+(?:a|per|each|every)\\s+day\\b`));
+            const timesPerDay = perDayMatch ? parseNumber(perDayMatch[1] || perDayMatch[2]) : 0;
+
+            if (timesPerDay < 2 || 24 % timesPerDay !== 0) {
+                return null;
+            }
+
+            frequency = 'hour';
+            interval = 24 / timesPerDay;
+        }
+
+        const rule = this.createRule(frequency === 'hour' ? 'HOURLY' : 'MINUTELY');
+        rule.interval = interval;
+
+        // Weekday filter
+        const weekdayCodes = {
+            'sunday': 0, 'monday': 1, 'tuesday': 2, 'wednesday': 3,
+            'thursday': 4, 'friday': 5, 'saturday': 6
+        };
+
+        let weekdays = [];
+        if (/\b(?:weekdays|working days|business days)\b/.test(lowerText)) {
+            weekdays = [1, 2, 3, 4, 5];
+        } else if (/\bweekends?\b/.test(lowerText)) {
+            weekdays = [0, 6];
+        } else {
+            weekdays = Object.entries(weekdayCodes)
+                .filter(([dayName]) => lowerText.includes(dayName))
+                .map(([, weekday]) => weekday)
+                .sort((a, b) => a - b);
+        }
+
+        rule.byDay = weekdays.map(weekday => ({ ordinal: null, weekday }));
+
+        // Active window, e.g. "between 9am and 6pm", "from 10:30 to 4"
+        const clockPattern = '(\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?|noon|midnight)';
+        const windowMatch = lowerText.match(new RegExp(`(?:between|from)\\s+${clockPattern}\\s+(?:and|to|till|until|-)\\s+${clockPattern}`));
+        const activeWindow = windowMatch ? this.parseWindowText(windowMatch[1], windowMatch[2]) : null;
+
+        return {
+            recurrence: 'custom',
+            recurrencePattern: {
+                frequency,
+                interval,
+                rrule: this.formatRRule(rule),
+                activeWindow
+            }
+        };
+    }
+
+    /**
+     * Turn the two ends of a spoken time range into an active window
+     * Ends without am/pm are read the way people usually mean them: "9 and 6" is 9am to 6pm,
+     * "1 and 5pm" is 1pm to 5pm.
+     * @param {String} startText - e.g. "9", "9:30am", "noon"
+     * @param {String} endText - e.g. "6pm", "18:00"
+     * @returns {Object|null} - { start, end } as "HH:MM", or null if either end isn't a time
+     */
+    parseWindowText(startText, endText) {
+        const parseClock = (text) => {
+            const trimmed = text.trim();
+            if (trimmed === 'noon') return { hour: 12, minute: 0, meridiem: 'pm' };
+            if (trimmed === 'midnight') return { hour: 0, minute: 0, meridiem: 'am' };
+
+            const match = trimmed.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+            if (!match) return null;
+
+            let hour = parseInt(match[1]);
+            const minute = match[2] ? parseInt(match[2]) : 0;
+            const meridiem = match[3] || null;
+
+            if (meridiem === 'pm' && hour < 12) hour += 12;
+            if (meridiem === 'am' && hour === 12) hour = 0;
+
+            return hour <= 23 && minute <= 59 ? { hour, minute, meridiem } : null;
+        };
+
+        const start = parseClock(startText);
+        const end = parseClock(endText);
+
+        if (!start || !end) {
+            return null;
+        }
+
+        // A start in the afternoon (e.g. "22:00 to 2:00") makes an overnight window instead
+        if (!end.meridiem && end.hour < 12 && end.hour <= start.hour && start.hour < 12) {
+            end.hour += 12;
+        }
+
+        if (!start.meridiem && end.meridiem === 'pm' && start.hour + 12 <= end.hour) {
+            start.hour += 12;
+        }
+
+        const toClock = ({ hour, minute }) => `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+
+        return { start: toClock(start), end: toClock(end) };
+    }
+
+    /**
+     * Recognise recurrences that need an RRULE
+     * @param {String} lowerText - Lower-cased recurrence text
+     * @returns {Object|null} - Recurrence with an rrule, or null if none matched
+     */
+    parseRRuleText(lowerText) {
+        const ordinals = {
+            'first': 1, '1st': 1, 'second': 2, '2nd': 2, 'third': 3, '3rd': 3,
+            'fourth': 4, '4th': 4, 'fifth': 5, '5th': 5, 'last': -1
+        };
+        const weekdayCodes = {
+            'sunday': 'SU', 'monday': 'MO', 'tuesday': 'TU', 'wednesday': 'WE',
+            'thursday': 'TH', 'friday': 'FR', 'saturday': 'SA'
+        };
+        const ordinalPattern = Object.keys(ordinals).join('|');
+        const monthSuffix = '\\s+of\\s+(?:every|each|the)\\s+month';
+
+        const withRRule = (frequency, interval, rrule) => ({
+            recurrence: 'custom',
+            recurrencePattern: { frequency, interval, rrule }
+        });
+
+        // "second Tuesday of every month", "last Friday of the month"
+        const ordinalDayMatch = lowerText.match(new RegExp(`(${ordinalPattern})\\s+(${Object.keys(weekdayCodes).join('|')})${monthSuffix}`));
+        if (ordinalDayMatch) {
+            return withRRule('month', 1, `FREQ=MONTHLY;BYDAY=${ordinals[ordinalDayMatch[1]]}${weekdayCodes[ordinalDayMatch[2]]}`);
+        }
+
+        // "last weekday of the month", "first working day of every month"
+        const workdayMatch = lowerText.match(new RegExp(`(${ordinalPattern})\\s+(?:weekday|working day|business day)${monthSuffix}`));
+        if (workdayMatch) {
+            return withRRule('month', 1, `FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=${ordinals[workdayMatch[1]]}`);
+        }
+
+        // "last day of every month"
+        if (new RegExp(`last\\s+day${monthSuffix}`).test(lowerText)) {
+            return withRRule('month', 1, 'FREQ=MONTHLY;BYMONTHDAY=-1');
+        }
+
+        // "every weekday"
+        if (/every\s+(?:weekday|working day|business day)\b/.test(lowerText)) {
+            return withRRule('week', 1, 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+        }
+
+        // "every 3rd day"
+        const everyNthMatch = lowerText.match(/every\s+(\d+)(?:st|nd|rd|th)\s+(day|week|month|year)/);
+        if (everyNthMatch) {
+            const interval = parseInt(everyNthMatch[1]);
+            const freq = { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' }[everyNthMatch[2]];
+            return withRRule(everyNthMatch[2], interval, `FREQ=${freq}${interval > 1 ? `;INTERVAL=${interval}` : ''}`);
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse the recurrence patterns that the structured fields can express
+     * @param {String} text - The recurrence text
+     * @returns {Object} - Structured recurrence pattern
+     */
+    parseSimpleRecurrencePattern(text) {
+        if (!text) return null;
+
         const lowerText = text.toLowerCase();
 
         // Extract days of the week mentioned in the text
@@ -270,91 +650,837 @@ class RecurrenceParserService {
         };
     }
 
+    /**
+     * Parse an RFC 5545 RRULE string
+     * Supports FREQ (YEARLY, MONTHLY, WEEKLY, DAILY, HOURLY, MINUTELY), INTERVAL, COUNT, UNTIL,
+     * BYDAY (with ordinals such as 2TU or -1FR), BYMONTHDAY (negative values count from the
+     * month end), BYMONTH, BYHOUR, BYMINUTE, BYSETPOS and WKST.
+     * @param {String} rruleString - Rule, with or without the "RRULE:" prefix
+     * @returns {Object} - Parsed rule
+     */
+    parseRRule(rruleString) {
+        if (!rruleString || typeof rruleString !== 'string') {
+            throw new Error('Invalid RRULE: rule is empty');
+        }
+
+        const rule = this.createRule(null);
+        const body = rruleString.trim().replace(/^RRULE:/i, '');
+
+        for (const part of body.split(';')) {
+            if (!part) continue;
+
+            const [rawKey, value] = part.split('=');
+            const key = rawKey.trim().toUpperCase();
+
+            if (!value) {
+                throw new Error(`Invalid RRULE: ${key} has no value`);
+            }
+
+            switch (key) {
+                case 'FREQ':
+                    rule.freq = value.toUpperCase();
+                    if (!RRULE_FREQUENCIES.includes(rule.freq)) {
+                        throw new Error(`Invalid RRULE: unsupported FREQ ${value}`);
+                    }
+                    break;
+
+                case 'INTERVAL':
+                    rule.interval = this.parseRRuleIntegers(value, key, 1, Infinity, false)[0];
+                    break;
+
+                case 'COUNT':
+                    rule.count = this.parseRRuleIntegers(value, key, 1, Infinity, false)[0];
+                    break;
+
+                case 'UNTIL':
+                    rule.until = this.parseRRuleDate(value);
+                    rule.untilIsUtc = /Z$/i.test(value);
+                    break;
+
+                case 'BYDAY':
+                    rule.byDay = value.toUpperCase().split(',').map(token => {
+                        const match = token.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+                        const ordinal = match && match[1] ? parseInt(match[1]) : null;
+
+                        if (!match || ordinal === 0 || Math.abs(ordinal) > 53) {
+                            throw new Error(`Invalid RRULE: bad BYDAY value ${token}`);
+                        }
+
+                        return { ordinal, weekday: WEEKDAY_CODES.indexOf(match[2]) };
+                    });
+                    break;
+
+                case 'BYMONTHDAY':
+                    rule.byMonthDay = this.parseRRuleIntegers(value, key, 1, 31, true);
+                    break;
+
+                case 'BYMONTH':
+                    rule.byMonth = this.parseRRuleIntegers(value, key, 1, 12, false);
+                    break;
+
+                case 'BYHOUR':
+                    rule.byHour = this.parseRRuleIntegers(value, key, 0, 23, false);
+                    break;
+
+                case 'BYMINUTE':
+                    rule.byMinute = this.parseRRuleIntegers(value, key, 0, 59, false);
+                    break;
+
+                case 'BYSETPOS':
+                    rule.bySetPos = this.parseRRuleIntegers(value, key, 1, 366, true);
+                    break;
+
+                case 'WKST':
+                    rule.wkst = WEEKDAY_CODES.indexOf(value.toUpperCase());
+                    if (rule.wkst === -1) {
+                        throw new Error(`Invalid RRULE: bad WKST value ${value}`);
+                    }
+                    break;
+
+                default:
+                    throw new Error(`Invalid RRULE: unsupported part ${key}`);
+            }
+        }
+
+        if (!rule.freq) {
+            throw new Error('Invalid RRULE: FREQ is required');
+        }
+
+        if (rule.count && rule.until) {
+            throw new Error('Invalid RRULE: COUNT and UNTIL cannot be used together');
+        }
+
+        return rule;
+    }
+
+    /**
+     * Create an empty rule with RFC 5545 defaults
+     * @param {String} freq - Frequency
+     * @returns {Object} - Rule
+     */
+    createRule(freq) {
+        return {
+            freq,
+            interval: 1,
+            count: null,
+            until: null,
+            untilIsUtc: false,
+            byDay: [],
+            byMonthDay: [],
+            byMonth: [],
+            byHour: [],
+            byMinute: [],
+            bySetPos: [],
+            wkst: 1 // Monday
+        };
+    }
+
+    /**
+     * Parse a comma separated list of integers from an RRULE part
+     * @param {String} value - Raw value
+     * @param {String} key - Part name, for error messages
+     * @param {Number} min - Smallest allowed absolute value
+     * @param {Number} max - Largest allowed absolute value
+     * @param {Boolean} allowNegative - Whether negative values are allowed
+     * @returns {Array<Number>} - Parsed integers
+     */
+    parseRRuleIntegers(value, key, min, max, allowNegative) {
+        return value.split(',').map(token => {
+            const number = parseInt(token);
+
+            if (!/^[+-]?\d+$/.test(token) || (!allowNegative && number < 0) ||
+                Math.abs(number) < min || Math.abs(number) > max) {
+                throw new Error(`Invalid RRULE: bad ${key} value ${token}`);
+            }
+
+            return number;
+        });
+    }
+
+    /**
+     * Parse an RRULE UNTIL value (date, local date-time or UTC date-time)
+     * A plain date includes the whole day. Dates and local date-times are returned as floating
+     * wall-clock dates; UTC date-times as the actual instant.
+     * @param {String} value - e.g. 20251231, 20251231T090000 or 20251231T090000Z
+     * @returns {Date} - Parsed date
+     */
+    parseRRuleDate(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+
+        if (!match) {
+            throw new Error(`Invalid RRULE: bad UNTIL value ${value}`);
+        }
+
+        const [, year, month, day, hour, minute, second, utc] = match;
+
+        if (hour === undefined) {
+            return floatingDate(parseInt(year), parseInt(month) - 1, parseInt(day), 23, 59, 59);
+        }
+
+        // A floating date and a UTC instant are built the same way; untilIsUtc tells them apart
+        return floatingDate(parseInt(year), parseInt(month) - 1, parseInt(day), parseInt(hour), parseInt(minute), parseInt(second));
+    }
+
+    /**
+     * Serialise a parsed rule back to an RRULE string
+     * @param {Object} rule - Parsed rule
+     * @returns {String} - RRULE string without the "RRULE:" prefix
+     */
+    formatRRule(rule) {
+        const parts = [`FREQ=${rule.freq}`];
+
+        if (rule.interval && rule.interval !== 1) {
+            parts.push(`INTERVAL=${rule.interval}`);
+        }
+
+        if (rule.count) {
+            parts.push(`COUNT=${rule.count}`);
+        }
+
+        if (rule.until) {
+            const stamp = rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, '');
+            parts.push(`UNTIL=${stamp}${rule.untilIsUtc ? 'Z' : ''}`);
+        }
+
+        if (rule.byMonth.length > 0) {
+            parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+        }
+
+        if (rule.byMonthDay.length > 0) {
+            parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+        }
+
+        if (rule.byDay.length > 0) {
+            parts.push(`BYDAY=${rule.byDay.map(({ ordinal, weekday }) => `${ordinal || ''}${WEEKDAY_CODES[weekday]}`).join(',')}`);
+        }
+
+        if (rule.byHour.length > 0) {
+            parts.push(`BYHOUR=${rule.byHour.join(',')}`);
+        }
+
+        if (rule.byMinute.length > 0) {
+            parts.push(`BYMINUTE=${rule.byMinute.join(',')}`);
+        }
+
+        if (rule.bySetPos.length > 0) {
+            parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+        }
+
+        if (rule.wkst !== 1) {
+            parts.push(`WKST=${WEEKDAY_CODES[rule.wkst]}`);
+        }
+
+        return parts.join(';');
+    }
+
+    /**
+     * Get the RRULE for a recurrence pattern, converting the structured fields used before
+     * RRULE support (frequency, interval, daysOfWeek, dayOfWeek, dayOfMonth, monthOfYear)
+     * @param {Object} recurrencePattern - Recurrence pattern
+     * @param {String} recurrence - Reminder recurrence type, used when the pattern is empty
+     * @returns {String|null} - RRULE string, or null if the pattern doesn't describe a recurrence
+     */
+    patternToRRule(recurrencePattern, recurrence = null) {
+        if (recurrencePattern && recurrencePattern.rrule) {
+            return recurrencePattern.rrule;
+        }
+
+        const simpleFrequencies = { daily: 'day', weekly: 'week', monthly: 'month' };
+        const frequency = (recurrencePattern && recurrencePattern.frequency) || simpleFrequencies[recurrence];
+        const freq = {
+            minute: 'MINUTELY', hour: 'HOURLY', day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY'
+        }[frequency];
+
+        if (!freq) {
+            return null;
+        }
+
+        const pattern = recurrencePattern || {};
+        const rule = this.createRule(freq);
+        rule.interval = pattern.interval || 1;
+
+        // Weekly patterns pick their days; for hour and minute patterns the days are a filter
+        if (['week', 'hour', 'minute'].includes(frequency)) {
+            if (pattern.daysOfWeek && pattern.daysOfWeek.length > 0) {
+                rule.byDay = [...pattern.daysOfWeek].sort((a, b) => a - b).map(weekday => ({ ordinal: null, weekday }));
+            } else if (pattern.dayOfWeek !== null && pattern.dayOfWeek !== undefined) {
+                rule.byDay = [{ ordinal: null, weekday: pattern.dayOfWeek }];
+            }
+        }
+
+        if (frequency === 'month' && pattern.dayOfMonth) {
+            if (pattern.dayOfMonth > 28) {
+                // The old patterns fell back to the last day in shorter months
+                for (let day = 28; day <= pattern.dayOfMonth; day++) {
+                    rule.byMonthDay.push(day);
+                }
+                rule.bySetPos = [-1];
+            } else {
+                rule.byMonthDay = [pattern.dayOfMonth];
+            }
+        }
+
+        if (frequency === 'year' && pattern.monthOfYear !== null && pattern.monthOfYear !== undefined) {
+            rule.byMonth = [pattern.monthOfYear + 1];
+        }
+
+        return this.formatRRule(rule);
+    }
+
+    /**
+     * Make sure a recurrence pattern carries a valid, normalised RRULE
+     * The structured frequency and interval are filled in from the rule for older code paths.
+     * @param {Object} recurrencePattern - Recurrence pattern
+     * @param {String} recurrence - Reminder recurrence type
+     * @returns {Object} - Pattern including the rrule
+     */
+    normalizeRecurrencePattern(recurrencePattern, recurrence = null) {
+        const rrule = this.patternToRRule(recurrencePattern, recurrence);
+
+        if (!rrule) {
+            return recurrencePattern;
+        }
+
+        const rule = this.parseRRule(rrule);
+        const frequencies = {
+            MINUTELY: 'minute', HOURLY: 'hour', DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year'
+        };
+
+        // An unreadable window is dropped rather than failing the whole reminder
+        let activeWindow = recurrencePattern && recurrencePattern.activeWindow;
+        if (activeWindow && (activeWindow.start || activeWindow.end)) {
+            try {
+                this.parseActiveWindow(activeWindow);
+            } catch (error) {
+                console.error('Ignoring invalid active window:', error.message);
+                activeWindow = null;
+            }
+        }
+
+        const businessDays = recurrencePattern && recurrencePattern.businessDays;
+
+        // A count from the LLM's structured fields limits the rule unless it already has an end
+        const count = recurrencePattern && parseInt(recurrencePattern.count);
+        if (count > 0 && !rule.count && !rule.until) {
+            rule.count = count;
+        }
+
+        return {
+            ...recurrencePattern,
+            frequency: (recurrencePattern && recurrencePattern.frequency) || frequencies[rule.freq],
+            interval: (recurrencePattern && recurrencePattern.interval) || rule.interval,
+            rrule: this.formatRRule(rule),
+            activeWindow: activeWindow || null,
+            businessDays: BUSINESS_DAY_POLICIES.includes(businessDays) ? businessDays : null
+        };
+    }
+
+    /**
+     * Parse the daily active window of an hour- or minute-level pattern
+     * A window whose end is before its start runs past midnight.
+     * @param {Object} activeWindow - { start, end } as "HH:MM"
+     * @returns {Object|null} - { start, end } in minutes after midnight, or null if no window is set
+     */
+    parseActiveWindow(activeWindow) {
+        if (!activeWindow || (!activeWindow.start && !activeWindow.end)) {
+            return null;
+        }
+
+        const toMinutes = (value) => {
+            const match = typeof value === 'string' && value.trim().match(/^(\d{1,2}):(\d{2})$/);
+
+            if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+                throw new Error(`Invalid active window time: ${value}`);
+            }
+
+            return parseInt(match[1]) * 60 + parseInt(match[2]);
+        };
+
+        return {
+            start: toMinutes(activeWindow.start),
+            end: toMinutes(activeWindow.end)
+        };
+    }
+
+    /**
+     * Get the parsed rule for a recurrence pattern, with the active window attached for
+     * hour- and minute-level rules
+     * @param {Object} recurrencePattern - Recurrence pattern
+     * @returns {Object|null} - Parsed rule, or null if the pattern doesn't describe a recurrence
+     */
+    getPatternRule(recurrencePattern) {
+        const rrule = this.patternToRRule(recurrencePattern);
+        if (!rrule) return null;
+
+        const rule = this.parseRRule(rrule);
+
+        if (SUB_DAILY_FREQUENCIES.includes(rule.freq)) {
+            rule.activeWindow = this.parseActiveWindow(recurrencePattern.activeWindow);
+        }
+
+        return rule;
+    }
+
+    /**
+     * Get the number of occurrences a recurrence is limited to
+     * @param {Object} recurrencePattern - Recurrence pattern
+     * @returns {Number|null} - COUNT of the rule, or null if it isn't count-limited
+     */
+    getOccurrenceLimit(recurrencePattern) {
+        if (!recurrencePattern) return null;
+
+        try {
+            const rule = this.getPatternRule(recurrencePattern);
+            return (rule && rule.count) || parseInt(recurrencePattern.count) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Calculate the next occurrence of a recurring event
+     * The rule is expanded on wall-clock time in the given zone, so "9am daily" stays at 9am
+     * local time across DST changes.
      * @param {Date} baseDate - The base date to calculate from
      * @param {Object} recurrencePattern - The recurrence pattern
      * @param {Date} endDate - Optional end date for the recurrence
+     * @param {Date} startDate - First occurrence of the series (DTSTART); its time of day is used
+     *   for every occurrence and COUNT is counted from it
+     * @param {String} timeZone - IANA time zone of the series
      * @returns {Date|null} - The next occurrence, or null if past end date
      */
-    calculateNextOccurrence(baseDate, recurrencePattern, endDate = null) {
+    calculateNextOccurrence(baseDate, recurrencePattern, endDate = null, startDate = null, timeZone = DEFAULT_TIME_ZONE) {
         if (!recurrencePattern) return null;
 
-        const { frequency, interval, dayOfWeek, dayOfMonth } = recurrencePattern;
-        let nextDate = new Date(baseDate);
+        let rule;
+        try {
+            rule = this.getPatternRule(recurrencePattern);
+        } catch (error) {
+            console.error('Error parsing recurrence rule:', error.message);
+            return null;
+        }
+
+        if (!rule) return null;
+
+        let zone = timeZone || DEFAULT_TIME_ZONE;
+        if (!this.isValidTimeZone(zone)) {
+            console.error(`Unknown time zone ${zone}, using ${DEFAULT_TIME_ZONE}`);
+            zone = DEFAULT_TIME_ZONE;
+        }
+
+        if (rule.until && rule.untilIsUtc) {
+            rule.until = this.toWallClock(rule.until, zone);
+        }
+
+        // Expand from the start of the series so a time moved by a DST gap doesn't carry over
+        const dtstart = this.toWallClock(startDate || baseDate, zone);
+
+        let after = this.toWallClock(baseDate, zone);
+        let nextDate = null;
+
+        // A wall-clock time can map back to (or before) the base date around a DST change
+        for (let i = 0; i < 3; i++) {
+            const nextWallClock = this.getNextRRuleOccurrence(rule, dtstart, after);
+            nextDate = nextWallClock ? this.fromWallClock(nextWallClock, zone) : null;
+
+            if (!nextDate || nextDate > new Date(baseDate)) break;
+
+            after = nextWallClock;
+            nextDate = null;
+        }
+
+        // Check if we've passed the end date
+        if (!nextDate || (endDate && isBefore(endDate, nextDate))) {
+            return null;
+        }
 
-        switch (frequency) {
-            case 'day':
-                nextDate = addDays(baseDate, interval);
+        return nextDate;
+    }
+
+    /**
+     * @param {String} timeZone - IANA time zone name
+     * @returns {Boolean} - Whether the zone is known
+     */
+    isValidTimeZone(timeZone) {
+        try {
+            getWallClockFormatter(timeZone);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the wall-clock time of an instant in a time zone
+     * @param {Date} date - Instant
+     * @param {String} timeZone - IANA time zone
+     * @returns {Date} - Floating date holding the local date and time
+     */
+    toWallClock(date, timeZone) {
+        const parts = {};
+        for (const { type, value } of getWallClockFormatter(timeZone).formatToParts(new Date(date))) {
+            parts[type] = parseInt(value);
+        }
+
+        return floatingDate(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    }
+
+    /**
+     * Get the UTC offset of a time zone at an instant
+     * (date-fns-tz's getTimezoneOffset is unreliable in the hour around a DST change)
+     * @param {Number} instant - Milliseconds since the epoch
+     * @param {String} timeZone - IANA time zone
+     * @returns {Number} - Offset in milliseconds
+     */
+    getUtcOffset(instant, timeZone) {
+        const wholeSeconds = Math.floor(instant / 1000) * 1000;
+        return this.toWallClock(new Date(wholeSeconds), timeZone).getTime() - wholeSeconds;
+    }
+
+    /**
+     * Get the instant at which a wall-clock time happens in a time zone
+     * As in RFC 5545, a time skipped by a DST change moves forward by the length of the gap
+     * (02:30 becomes 03:30) and a time that happens twice resolves to the first of the two.
+     * @param {Date} wallClock - Floating date holding the local date and time
+     * @param {String} timeZone - IANA time zone
+     * @returns {Date} - Instant
+     */
+    fromWallClock(wallClock, timeZone) {
+        const local = wallClock.getTime();
+
+        // Offsets a day either side of the time; they differ only if a DST change is close by.
+        // A day is well beyond the largest UTC offset, so the change can't fall on a probe.
+        const offsets = [...new Set([
+            this.getUtcOffset(local - MS_PER_DAY, timeZone),
+            this.getUtcOffset(local + MS_PER_DAY, timeZone)
+        ])];
+
+        const instants = offsets
+            .map(offset => local - offset)
+            .filter((instant, index) => this.getUtcOffset(instant, timeZone) === offsets[index]);
+
+        if (instants.length === 0) {
+            // In a DST gap: use the offset from before the change
+            return new Date(local - offsets[0]);
+        }
+
+        return new Date(Math.min(...instants));
+    }
+
+    /**
+     * Find the first occurrence of a rule after a given time
+     * Works on floating wall-clock dates throughout.
+     * @param {Object} rule - Parsed rule
+     * @param {Date} dtstart - Start of the series; its time of day is used for every occurrence
+     * @param {Date} after - Occurrences at or before this time are skipped
+     * @returns {Date|null} - Next occurrence, or null if COUNT or UNTIL ended the series
+     */
+    getNextRRuleOccurrence(rule, dtstart, after) {
+        // With COUNT every occurrence since the start has to be counted
+        let periodIndex = rule.count ? 0 : this.getRRulePeriodOffset(rule, dtstart, after);
+        let occurrences = 0;
+
+        // Hour and minute rules are walked a day at a time; the interval applies within the day
+        const step = SUB_DAILY_FREQUENCIES.includes(rule.freq) ? 1 : rule.interval;
+
+        for (let i = 0; i < MAX_RRULE_PERIODS; i++, periodIndex += step) {
+            for (const candidate of this.expandRRulePeriod(rule, dtstart, periodIndex)) {
+                if (candidate < dtstart) continue;
+
+                if (rule.until && candidate > rule.until) {
+                    return null;
+                }
+
+                occurrences++;
+                if (rule.count && occurrences > rule.count) {
+                    return null;
+                }
+
+                if (candidate > after) {
+                    return candidate;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the index of a period shortly before a given time, aligned to the rule's interval
+     * @param {Object} rule - Parsed rule
+     * @param {Date} dtstart - Start of the series
+     * @param {Date} after - Time to skip ahead to
+     * @returns {Number} - Period index to start evaluating from
+     */
+    getRRulePeriodOffset(rule, dtstart, after) {
+        const elapsedDays = Math.round((floatingStartOfDay(after) - floatingStartOfDay(dtstart)) / MS_PER_DAY);
+
+        if (SUB_DAILY_FREQUENCIES.includes(rule.freq)) {
+            return Math.max(0, elapsedDays);
+        }
+
+        let elapsed;
+
+        switch (rule.freq) {
+            case 'DAILY':
+                elapsed = elapsedDays;
                 break;
+            case 'WEEKLY':
+                elapsed = Math.round((floatingStartOfWeek(after, rule.wkst) - floatingStartOfWeek(dtstart, rule.wkst)) / (7 * MS_PER_DAY));
+                break;
+            case 'MONTHLY':
+                elapsed = (after.getUTCFullYear() - dtstart.getUTCFullYear()) * 12 + after.getUTCMonth() - dtstart.getUTCMonth();
+                break;
+            default:
+                elapsed = after.getUTCFullYear() - dtstart.getUTCFullYear();
+        }
 
-            case 'week':
-                // Handle multiple days of week
-                if (daysOfWeek && daysOfWeek.length > 0) {
-                    // Find the next occurrence of any of the specified days
-                    const currentDay = baseDate.getDay();
-
-                    // Sort days to find the next one after the current day
-                    const sortedDays = [...daysOfWeek].sort((a, b) => a - b);
-
-                    // Find the next day in the same week
-                    let nextDay = sortedDays.find(day => day > currentDay);
-
-                    if (nextDay !== undefined) {
-                        // Found a day later this week
-                        const daysToAdd = nextDay - currentDay;
-                        nextDate = addDays(baseDate, daysToAdd);
-                    } else {
-                        // No days left this week, move to the first day next week
-                        const daysToAdd = 7 - currentDay + sortedDays[0];
-                        nextDate = addDays(baseDate, daysToAdd);
-                    }
-                } else if (dayOfWeek !== null && dayOfWeek !== undefined) {
-                    // Single day of week handling (existing code)
-                    nextDate = addWeeks(baseDate, interval);
-
-                    // Adjust to the specified day of week
-                    const currentDay = nextDate.getDay();
-                    const daysToAdd = (dayOfWeek - currentDay + 7) % 7;
-                    nextDate = addDays(nextDate, daysToAdd);
-                } else {
-                    // Simple weekly recurrence
-                    nextDate = addWeeks(baseDate, interval);
+        // Step back one interval so occurrences early in the current period aren't skipped
+        const aligned = Math.floor(Math.max(0, elapsed) / rule.interval) * rule.interval;
+        return Math.max(0, aligned - rule.interval);
+    }
+
+    /**
+     * List the occurrences of a rule within one period (day, week, month or year; a day for
+     * hour- and minute-level rules)
+     * @param {Object} rule - Parsed rule
+     * @param {Date} dtstart - Start of the series
+     * @param {Number} periodIndex - Periods since the one containing dtstart
+     * @returns {Array<Date>} - Occurrences in chronological order
+     */
+    expandRRulePeriod(rule, dtstart, periodIndex) {
+        if (SUB_DAILY_FREQUENCIES.includes(rule.freq)) {
+            return this.expandSubDailyPeriod(rule, dtstart, periodIndex);
+        }
+
+        let days = [];
+
+        switch (rule.freq) {
+            case 'DAILY': {
+                const day = addFloatingDays(floatingStartOfDay(dtstart), periodIndex);
+                if (this.matchesRRuleDayFilters(rule, day)) {
+                    days.push(day);
                 }
                 break;
+            }
 
-            case 'month':
-                nextDate = addMonths(baseDate, interval);
+            case 'WEEKLY': {
+                const weekStart = addFloatingDays(floatingStartOfWeek(dtstart, rule.wkst), periodIndex * 7);
+                const weekdays = rule.byDay.length > 0 ? rule.byDay.map(({ weekday }) => weekday) : [dtstart.getUTCDay()];
 
-                // If specific day of month is specified, adjust to that day
-                if (dayOfMonth !== null && dayOfMonth !== undefined) {
-                    nextDate.setDate(Math.min(dayOfMonth, this.getDaysInMonth(nextDate)));
+                for (let offset = 0; offset < 7; offset++) {
+                    const day = addFloatingDays(weekStart, offset);
+                    if (weekdays.includes(day.getUTCDay()) &&
+                        (rule.byMonth.length === 0 || rule.byMonth.includes(day.getUTCMonth() + 1))) {
+                        days.push(day);
+                    }
                 }
                 break;
+            }
 
-            case 'year':
-                nextDate = addYears(baseDate, interval);
+            case 'MONTHLY': {
+                const month = floatingDate(dtstart.getUTCFullYear(), dtstart.getUTCMonth() + periodIndex, 1);
+                if (rule.byMonth.length === 0 || rule.byMonth.includes(month.getUTCMonth() + 1)) {
+                    days = this.getRRuleMonthDays(rule, dtstart, month.getUTCFullYear(), month.getUTCMonth());
+                }
                 break;
+            }
 
-            default:
-                return null;
+            case 'YEARLY': {
+                const year = dtstart.getUTCFullYear() + periodIndex;
+
+                if (rule.byDay.length > 0 && rule.byMonth.length === 0 && rule.byMonthDay.length === 0) {
+                    // e.g. BYDAY=20MO is the 20th Monday of the year
+                    days = this.getRRuleWeekdaysInRange(rule.byDay, floatingDate(year, 0, 1), floatingDate(year, 11, 31));
+                } else {
+                    let months = [dtstart.getUTCMonth()];
+                    if (rule.byMonth.length > 0) {
+                        months = rule.byMonth.map(month => month - 1);
+                    } else if (rule.byMonthDay.length > 0) {
+                        months = [...Array(12).keys()];
+                    }
+
+                    for (const month of months) {
+                        days.push(...this.getRRuleMonthDays(rule, dtstart, year, month));
+                    }
+                }
+                break;
+            }
         }
 
-        // Check if we've passed the end date
-        if (endDate && isBefore(endDate, nextDate)) {
-            return null;
+        // BYHOUR / BYMINUTE give several times a day; otherwise the time of dtstart is used
+        const hours = rule.byHour.length > 0 ? rule.byHour : [dtstart.getUTCHours()];
+        const minutes = rule.byMinute.length > 0 ? rule.byMinute : [dtstart.getUTCMinutes()];
+
+        let occurrences = days
+            .flatMap(day => hours.flatMap(hour => minutes.map(minute =>
+                floatingDate(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hour, minute, dtstart.getUTCSeconds())
+            )))
+            .sort((a, b) => a - b);
+
+        if (rule.bySetPos.length > 0) {
+            const selected = rule.bySetPos
+                .map(position => occurrences[position > 0 ? position - 1 : occurrences.length + position])
+                .filter(Boolean);
+
+            occurrences = [...new Map(selected.map(date => [date.getTime(), date])).values()].sort((a, b) => a - b);
         }
 
-        return nextDate;
+        return occurrences;
+    }
+
+    /**
+     * List the occurrences of an hour- or minute-level rule on one day
+     * With an active window the occurrences restart at the window start every day; without
+     * one they follow on from dtstart at the interval.
+     * @param {Object} rule - Parsed rule (with activeWindow, if any)
+     * @param {Date} dtstart - Start of the series
+     * @param {Number} dayIndex - Days since the day of dtstart
+     * @returns {Array<Date>} - Occurrences in chronological order
+     */
+    expandSubDailyPeriod(rule, dtstart, dayIndex) {
+        const day = addFloatingDays(floatingStartOfDay(dtstart), dayIndex);
+        const stepMinutes = rule.interval * (rule.freq === 'HOURLY' ? 60 : 1);
+        const minutesPerDay = 24 * 60;
+        const times = [];
+
+        if (rule.activeWindow) {
+            const { start } = rule.activeWindow;
+            const end = rule.activeWindow.end >= start ? rule.activeWindow.end : rule.activeWindow.end + minutesPerDay;
+
+            // A window that runs past midnight belongs to the day it starts on, so the early
+            // hours of this day come from yesterday's window
+            for (const [windowDay, offset] of [[addFloatingDays(day, -1), -minutesPerDay], [day, 0]]) {
+                if (!this.matchesRRuleDayFilters(rule, windowDay)) continue;
+
+                for (let minute = start; minute <= end; minute += stepMinutes) {
+                    const minuteOfDay = minute + offset;
+                    if (minuteOfDay >= 0 && minuteOfDay < minutesPerDay) {
+                        times.push(floatingDate(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), 0, minuteOfDay));
+                    }
+                }
+            }
+        } else {
+            if (!this.matchesRRuleDayFilters(rule, day)) {
+                return [];
+            }
+
+            const stepMs = stepMinutes * 60 * 1000;
+            const dayEnd = addFloatingDays(day, 1).getTime();
+            const stepsToDay = Math.ceil(Math.max(0, day.getTime() - dtstart.getTime()) / stepMs);
+
+            for (let time = dtstart.getTime() + stepsToDay * stepMs; time < dayEnd; time += stepMs) {
+                times.push(new Date(time));
+            }
+        }
+
+        return times.filter(time =>
+            (rule.byHour.length === 0 || rule.byHour.includes(time.getUTCHours())) &&
+            (rule.byMinute.length === 0 || rule.byMinute.includes(time.getUTCMinutes()))
+        );
+    }
+
+    /**
+     * Check a day against BYMONTH, BYMONTHDAY and BYDAY for daily rules
+     * @param {Object} rule - Parsed rule
+     * @param {Date} day - Day to check
+     * @returns {Boolean} - Whether the day matches
+     */
+    matchesRRuleDayFilters(rule, day) {
+        if (rule.byMonth.length > 0 && !rule.byMonth.includes(day.getUTCMonth() + 1)) {
+            return false;
+        }
+
+        if (rule.byMonthDay.length > 0) {
+            const daysInMonth = this.getDaysInMonth(day);
+            const matchesMonthDay = rule.byMonthDay.some(monthDay =>
+                (monthDay > 0 ? monthDay : daysInMonth + 1 + monthDay) === day.getUTCDate()
+            );
+            if (!matchesMonthDay) {
+                return false;
+            }
+        }
+
+        if (rule.byDay.length > 0 && !rule.byDay.some(({ weekday }) => weekday === day.getUTCDay())) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the days of a month selected by BYMONTHDAY and/or BYDAY
+     * Without either, the day of month of dtstart is used; months too short for it are skipped.
+     * @param {Object} rule - Parsed rule
+     * @param {Date} dtstart - Start of the series
+     * @param {Number} year - Year
+     * @param {Number} month - Month (0 = January)
+     * @returns {Array<Date>} - Matching days
+     */
+    getRRuleMonthDays(rule, dtstart, year, month) {
+        const daysInMonth = floatingDate(year, month + 1, 0).getUTCDate();
+
+        let monthDays = null;
+        if (rule.byMonthDay.length > 0) {
+            monthDays = rule.byMonthDay
+                .map(monthDay => monthDay > 0 ? monthDay : daysInMonth + 1 + monthDay)
+                .filter(monthDay => monthDay >= 1 && monthDay <= daysInMonth);
+        }
+
+        let weekdayDays = null;
+        if (rule.byDay.length > 0) {
+            weekdayDays = this.getRRuleWeekdaysInRange(rule.byDay, floatingDate(year, month, 1), floatingDate(year, month, daysInMonth))
+                .map(day => day.getUTCDate());
+        }
+
+        let result;
+        if (monthDays && weekdayDays) {
+            result = monthDays.filter(monthDay => weekdayDays.includes(monthDay));
+        } else {
+            result = monthDays || weekdayDays || (dtstart.getUTCDate() <= daysInMonth ? [dtstart.getUTCDate()] : []);
+        }
+
+        return [...new Set(result)].map(monthDay => floatingDate(year, month, monthDay));
+    }
+
+    /**
+     * Get the days in a range that match BYDAY entries, honouring ordinals (2TU, -1FR)
+     * @param {Array<Object>} byDay - Entries as { ordinal, weekday }
+     * @param {Date} start - First day of the range
+     * @param {Date} end - Last day of the range
+     * @returns {Array<Date>} - Matching days
+     */
+    getRRuleWeekdaysInRange(byDay, start, end) {
+        const matches = [];
+
+        for (const { ordinal, weekday } of byDay) {
+            const days = [];
+            for (let day = start; day <= end; day = addFloatingDays(day, 1)) {
+                if (day.getUTCDay() === weekday) {
+                    days.push(day);
+                }
+            }
+
+            if (ordinal === null) {
+                matches.push(...days);
+            } else {
+                const picked = ordinal > 0 ? days[ordinal - 1] : days[days.length + ordinal];
+                if (picked) {
+                    matches.push(picked);
+                }
+            }
+        }
+
+        return matches;
     }
 
     /**
      * Get the number of days in the month for a given date
-     * @param {Date} date - The date to check
+     * @param {Date} date - Floating date to check
      * @returns {Number} - Number of days in the month
      */
     getDaysInMonth(date) {
-        return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+        return floatingDate(date.getUTCFullYear(), date.getUTCMonth() + 1, 0).getUTCDate();
     }
 
     /**
@@ -362,73 +1488,160 @@ class RecurrenceParserService {
   * @param {Object} recurrencePattern - The recurrence pattern
   * @param {Date} startDate - Start date of the recurrence
   * @param {Date} endDate - End date of the recurrence
+  * @param {String} timeZone - Zone to show the dates in
   * @returns {String} - Human-readable description
   */
-    formatRecurrenceForDisplay(recurrencePattern, startDate, endDate = null) {
+    formatRecurrenceForDisplay(recurrencePattern, startDate, endDate = null, timeZone = DEFAULT_TIME_ZONE) {
         if (!recurrencePattern) return "One-time reminder";
 
-        const { frequency, interval, dayOfWeek, daysOfWeek } = recurrencePattern;
-        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        let description;
+        try {
+            const rule = this.getPatternRule(recurrencePattern);
+            if (!rule) return "Custom recurrence";
 
-        let description = "";
+            description = this.describeRRule(rule);
+        } catch (error) {
+            console.error('Error describing recurrence rule:', error.message);
+            return "Custom recurrence";
+        }
 
-        // Determine interval phrase
-        const intervalPhrase = interval === 1 ? "every" : interval === 2 ? "every other" : `every ${interval}`;
+        // Add start date if provided
+        if (startDate) {
+            description += ` starting ${formatInTimeZone(startDate, timeZone, 'MMMM do, yyyy')}`;
+        }
 
-        // Build frequency phrase
-        switch (frequency) {
-            case 'day':
-                description = `${intervalPhrase} day`;
-                break;
+        // Add end date if provided
+        if (endDate) {
+            description += ` until ${formatInTimeZone(endDate, timeZone, 'MMMM do, yyyy')}`;
+        }
 
-            case 'week':
-                if (daysOfWeek && daysOfWeek.length > 0) {
-                    // Handle multiple days of the week
-                    const daysList = daysOfWeek.map(day => dayNames[day]);
-
-                    if (daysList.length === 2) {
-                        description = `${intervalPhrase} ${daysList[0]} and ${daysList[1]}`;
-                    } else {
-                        // Format list with Oxford comma
-                        const lastDay = daysList.pop();
-                        description = `${intervalPhrase} ${daysList.join(', ')}${daysList.length > 0 ? ',' : ''} and ${lastDay}`;
-                    }
-                } else if (dayOfWeek !== null && dayOfWeek !== undefined) {
-                    description = `${intervalPhrase} ${dayNames[dayOfWeek]}`;
-                } else {
-                    description = `${intervalPhrase} week`;
-                }
-                break;
+        const businessDayDescriptions = {
+            skip: 'skipping weekends and holidays',
+            next: 'moved to the next business day when it falls on a weekend or holiday',
+            previous: 'moved to the previous business day when it falls on a weekend or holiday'
+        };
 
-            case 'month':
-                description = `${intervalPhrase} month`;
+        if (businessDayDescriptions[recurrencePattern.businessDays]) {
+            description += `, ${businessDayDescriptions[recurrencePattern.businessDays]}`;
+        }
 
-                // Add day of month detail if specified
-                if (recurrencePattern.dayOfMonth) {
-                    description += ` on day ${recurrencePattern.dayOfMonth}`;
-                }
-                break;
+        return description;
+    }
 
-            case 'year':
-                description = `${intervalPhrase} year`;
-                break;
+    /**
+     * Describe a parsed rule in plain English, e.g. "every month on the second Tuesday"
+     * @param {Object} rule - Parsed rule
+     * @returns {String} - Description
+     */
+    describeRRule(rule) {
+        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        const monthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+            'July', 'August', 'September', 'October', 'November', 'December'];
+        const unit = {
+            MINUTELY: 'minute', HOURLY: 'hour', DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year'
+        }[rule.freq];
+        const formatClock = (hour, minute) => format(new Date(2000, 0, 1, hour, minute), 'h:mm a');
 
-            default:
-                return "Custom recurrence";
+        // Determine interval phrase
+        const intervalPhrase = rule.interval === 1 ? "every" : rule.interval === 2 ? "every other" : `every ${rule.interval}`;
+
+        const hasOrdinals = rule.byDay.some(({ ordinal }) => ordinal !== null);
+        const weekdays = [...new Set(rule.byDay.map(({ weekday }) => weekday))].sort((a, b) => a - b);
+        const isWorkWeek = weekdays.join(',') === '1,2,3,4,5';
+        const dayList = this.joinList(weekdays.map(weekday => dayNames[weekday]));
+
+        let description;
+
+        if (rule.freq === 'WEEKLY' && rule.byDay.length > 0 && !isWorkWeek) {
+            // Keep the familiar "every Monday and Wednesday" form
+            description = `${intervalPhrase} ${dayList}`;
+        } else {
+            description = `${intervalPhrase} ${rule.interval > 2 ? `${unit}s` : unit}`;
+
+            if (rule.byDay.length > 0 && rule.bySetPos.length > 0 && !hasOrdinals) {
+                // e.g. "last weekday of the month"
+                const target = isWorkWeek ? 'weekday' : dayList;
+                description += ` on the ${this.joinList(rule.bySetPos.map(position => this.getOrdinalWord(position)))} ${target}`;
+            } else if (hasOrdinals) {
+                const days = rule.byDay.map(({ ordinal, weekday }) =>
+                    ordinal !== null ? `${this.getOrdinalWord(ordinal)} ${dayNames[weekday]}` : dayNames[weekday]
+                );
+                description += ` on the ${this.joinList(days)}`;
+            } else if (rule.byDay.length > 0) {
+                description += isWorkWeek ? ' on weekdays' : ` on ${dayList}`;
+            }
         }
 
-        // Add start date if provided
-        if (startDate) {
-            description += ` starting ${format(startDate, 'MMMM do, yyyy')}`;
+        if (rule.byMonthDay.length > 0) {
+            if (rule.bySetPos.length > 0 && rule.byDay.length === 0) {
+                // Converted "day N" patterns that fall back to the last day of shorter months
+                description += ` on day ${Math.max(...rule.byMonthDay)} (or the last day of shorter months)`;
+            } else {
+                const monthDays = rule.byMonthDay.map(monthDay =>
+                    monthDay > 0 ? `day ${monthDay}` : `the ${this.getOrdinalWord(monthDay)} day`
+                );
+                description += ` on ${this.joinList(monthDays)}`;
+            }
         }
 
-        // Add end date if provided
-        if (endDate) {
-            description += ` until ${format(endDate, 'MMMM do, yyyy')}`;
+        if (rule.byMonth.length > 0) {
+            description += ` in ${this.joinList(rule.byMonth.map(month => monthNames[month - 1]))}`;
+        }
+
+        if (SUB_DAILY_FREQUENCIES.includes(rule.freq)) {
+            if (rule.activeWindow) {
+                const { start, end } = rule.activeWindow;
+                description += ` between ${formatClock(0, start)} and ${formatClock(0, end)}`;
+            }
+
+            if (rule.byHour.length > 0) {
+                description += ` during the ${this.joinList(rule.byHour.map(hour => format(new Date(2000, 0, 1, hour), 'h a')))} hour${rule.byHour.length === 1 ? '' : 's'}`;
+            }
+        } else if (rule.byHour.length > 0 || rule.byMinute.length > 0) {
+            // e.g. "every day at 9:00 AM, 1:00 PM and 5:00 PM"; without BYHOUR the hour is the start time's
+            const hours = rule.byHour.length > 0 ? rule.byHour : [null];
+            const minutes = rule.byMinute.length > 0 ? rule.byMinute : [0];
+            const times = hours.flatMap(hour => minutes.map(minute =>
+                hour === null ? `minute ${minute}` : formatClock(hour, minute)
+            ));
+            description += ` at ${this.joinList(times)}`;
+        }
+
+        if (rule.count) {
+            description += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+        }
+
+        if (rule.until) {
+            // Floating dates hold the local date in their UTC fields
+            description += ` until ${formatInTimeZone(rule.until, 'UTC', 'MMMM do, yyyy')}`;
         }
 
         return description;
     }
+
+    /**
+     * @param {Number} position - 1-based position, negative counts from the end
+     * @returns {String} - e.g. "second", "last", "second to last"
+     */
+    getOrdinalWord(position) {
+        const words = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+        if (position === -1) return 'last';
+        if (position < 0) return `${words[-position - 1] || `${-position}th`} to last`;
+
+        return words[position - 1] || `${position}th`;
+    }
+
+    /**
+     * Join words as "a", "a and b" or "a, b and c"
+     * @param {Array<String>} items - Words
+     * @returns {String} - Joined list
+     */
+    joinList(items) {
+        if (items.length <= 1) return items.join('');
+        return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+    }
 }
 
+
 module.exports = new RecurrenceParserService();
\ No newline at end of file
@@ -1,223 +1,1996 @@
 // src/services/reminderService.js
 
+const EventEmitter = require('events');
 const Reminder = require('../models/reminder');
+const Series = require('../models/series');
+const User = require('../models/user');
+const holidayCalendarService = require('./holidayCalendarService');
+
+// Emits 'changed' (reminder) when a reminder is created or rescheduled or changes status,
+// and 'removed' (reminderId) when one is deleted, so the in-process scheduler stays current
+const reminderEvents = new EventEmitter();
+
+// Reminder lifecycle: the statuses a reminder may move to from each status.
+// pending → delivering (claimed by a worker) → delivered, or back to pending when deferred or
+// retried; a delivered reminder is then completed, snoozed or cancelled by the user. Deadlines
+// may also be completed while still pending, from one of their nudges.
+const REMINDER_TRANSITIONS = {
+    pending: ['delivering', 'completed', 'cancelled'],
+    delivering: ['delivered', 'pending', 'missed', 'failed', 'cancelled'],
+    delivered: ['completed', 'snoozed', 'cancelled'],
+    snoozed: ['delivering', 'completed', 'cancelled'],
+    completed: [],
+    missed: [],
+    failed: [],
+    cancelled: []
+};
+
+// Statuses a reminder can't leave
+const FINAL_STATUSES = Object.keys(REMINDER_TRANSITIONS)
+    .filter(status => REMINDER_TRANSITIONS[status].length === 0);
+
+// Timestamp recorded when a reminder reaches a status
+const STATUS_TIMESTAMP_FIELDS = {
+    delivered: 'deliveredAt',
+    snoozed: 'snoozedAt',
+    completed: 'completedAt',
+    missed: 'missedAt',
+    failed: 'failedAt',
+    cancelled: 'cancelledAt'
+};
+
+// Older transitions are dropped from statusHistory beyond this many
+const MAX_STATUS_HISTORY = 50;
+
+// Statuses a reminder waits to be delivered in
+const DUE_STATUSES = ['pending', 'snoozed'];
+
+// Outcome recorded on the series when an occurrence reaches one of these statuses. Missed
+// occurrences were never sent (e.g. downtime), so they don't count against the user.
+const OCCURRENCE_OUTCOMES = {
+    completed: 'completed',
+    missed: 'skipped',
+    failed: 'skipped',
+    cancelled: 'skipped'
+};
+
+// Series keep the outcomes of this many recent occurrences
+const MAX_SERIES_OUTCOMES = 400;
+
+// A checklist reminder with items left after the user ticks some off comes back this much later
+const CHECKLIST_RENUDGE_MINUTES = 60;
+
+// Nudge ladder for deadlines that don't set their own, in minutes before the deadline
+// (7 days, 2 days, 1 day and 2 hours)
+const DEFAULT_DEADLINE_NUDGES = [7 * 24 * 60, 2 * 24 * 60, 24 * 60, 120];
+
+// Earliest nudge a deadline may have (30 days before)
+const MAX_DEADLINE_NUDGE_MINUTES = 30 * 24 * 60;
+
+/**
+ * Tell listeners that a reminder was created or changed
+ * Listener errors are logged and never affect the database operation.
+ * @param {Object} reminder - Reminder document
+ */
+const notifyReminderChanged = (reminder) => {
+    if (!reminder) {
+        return;
+    }
+
+    try {
+        reminderEvents.emit('changed', reminder);
+    } catch (error) {
+        console.error('Error in reminder change listener:', error);
+    }
+};
+
+/**
+ * Create a new reminder
+ * @param {Object} reminderData - Data for creating the reminder
+ * @returns {Promise<Object>} - Created reminder object
+ */
+const createReminder = async (reminderData) => {
+    try {
+        const reminder = new Reminder(reminderData);
+        await reminder.save();
+        notifyReminderChanged(reminder);
+        return reminder;
+    } catch (error) {
+        console.error('Error creating reminder:', error);
+        throw error;
+    }
+};
+
+/**
+ * Create a deadline reminder with a ladder of countdown nudges before it
+ * Nudges whose time has already passed are left out, so a deadline set a few days ahead
+ * doesn't get a burst of catch-up nudges straight away.
+ * @param {Object} reminderData - Reminder data; scheduledFor is the deadline
+ * @param {Array<Number>} nudges - Minutes before the deadline to nudge at
+ * @returns {Promise<Object>} - Created reminder
+ */
+const createDeadlineReminder = async (reminderData, nudges = DEFAULT_DEADLINE_NUDGES) => {
+    try {
+        const minutesUntilDue = (new Date(reminderData.scheduledFor).getTime() - Date.now()) / 60000;
+        const ladder = [...new Set(nudges)]
+            .filter(minutes => minutes > 0 && minutes <= MAX_DEADLINE_NUDGE_MINUTES)
+            .sort((a, b) => b - a);
+
+        return await createReminder({
+            ...reminderData,
+            deadline: true,
+            recurrence: 'none',
+            advanceNoticeMinutes: ladder.filter(minutes => minutes < minutesUntilDue)
+        });
+    } catch (error) {
+        console.error('Error creating deadline reminder:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get all reminders for a user
+ * @param {String} userId - User ID to get reminders for
+ * @returns {Promise<Array>} - List of reminders
+ */
+const getUserReminders = async (userId) => {
+    try {
+        const reminders = await Reminder.find({
+            user: userId,
+            status: { $nin: FINAL_STATUSES }  // Use $nin (not in) to exclude multiple statuses
+        }).sort({ scheduledFor: 1 });
+
+        return reminders;
+    } catch (error) {
+        console.error('Error fetching user reminders:', error);
+        throw error;
+    }
+};
+
+/**
+ * Check whether a reminder may move from one status to another
+ * @param {String} from - Current status
+ * @param {String} to - New status
+ * @returns {Boolean} - True if the lifecycle allows it
+ */
+const canTransition = (from, to) => {
+    return Boolean(REMINDER_TRANSITIONS[from] && REMINDER_TRANSITIONS[from].includes(to));
+};
+
+/**
+ * Build the update that moves a reminder between two statuses: the new status, its timestamp
+ * and a statusHistory entry
+ * Used by every status change, including the atomic ones (claiming, retrying) that filter on
+ * the current status themselves.
+ * @param {String} from - Status the reminder is known to be in
+ * @param {String} to - New status
+ * @param {String|null} reason - Why, for the history
+ * @returns {Object} - Update to merge into a findOneAndUpdate/updateMany
+ */
+const buildStatusUpdate = (from, to, reason = null) => {
+    if (!canTransition(from, to)) {
+        throw new Error(`Invalid reminder status transition from ${from} to ${to}`);
+    }
+
+    const now = new Date();
+    const update = {
+        status: to,
+        $push: {
+            statusHistory: {
+                $each: [{ from, to, at: now, reason }],
+                $slice: -MAX_STATUS_HISTORY
+            }
+        }
+    };
+
+    if (STATUS_TIMESTAMP_FIELDS[to]) {
+        update[STATUS_TIMESTAMP_FIELDS[to]] = now;
+    }
+
+    // Once a reminder is completed, snoozed, cancelled etc. there's nothing left to escalate
+    if (to !== 'delivered') {
+        update.nextEscalationAt = null;
+    }
+
+    return update;
+};
+
+/**
+ * Move a reminder to a new lifecycle status
+ * This is the only way a reminder's status changes after creation. Moving to the status the
+ * reminder is already in does nothing.
+ * @param {String} reminderId - Reminder ID
+ * @param {String} status - New status
+ * @param {Object} options - Optional settings
+ * @param {String} options.leaseOwner - Only update if this worker holds the dispatch lease, and release it
+ * @param {String} options.reason - Why the status changes, for the history
+ * @param {Object} options.update - Other fields to change in the same write
+ * @returns {Promise<Object|null>} - Updated reminder, or null if it doesn't exist, the lease
+ *   was not held or it changed status in the meantime
+ */
+const transitionReminder = async (reminderId, status, options = {}) => {
+    try {
+        const current = await Reminder.findById(reminderId).select('status leaseOwner');
+
+        if (!current || (options.leaseOwner && current.leaseOwner !== options.leaseOwner)) {
+            return null;
+        }
+
+        if (current.status === status && !options.leaseOwner) {
+            return Reminder.findById(reminderId);
+        }
+
+        const filter = { _id: reminderId, status: current.status };
+        const update = { ...(options.update || {}) };
+        const statusUpdate = buildStatusUpdate(current.status, status, options.reason || null);
+
+        // Keep any $push etc. of the caller's alongside the status history
+        for (const [key, value] of Object.entries(statusUpdate)) {
+            update[key] = key.startsWith('$') ? { ...(update[key] || {}), ...value } : value;
+        }
+
+        if (options.leaseOwner) {
+            filter.leaseOwner = options.leaseOwner;
+            update.leaseOwner = null;
+            update.leaseExpiresAt = null;
+        }
+
+        const reminder = await Reminder.findOneAndUpdate(
+            filter,
+            update,
+            { new: true }
+        );
+
+        // Occurrences of a series feed its habit streak
+        if (reminder && reminder.series && OCCURRENCE_OUTCOMES[status]) {
+            await recordOccurrenceOutcome(reminder, OCCURRENCE_OUTCOMES[status]);
+        }
+
+        notifyReminderChanged(reminder);
+        return reminder;
+    } catch (error) {
+        console.error('Error updating reminder status:', error);
+        throw error;
+    }
+};
+
+/**
+ * Move reminders saved with the statuses used before the lifecycle had its own states
+ * ('sent', 'acknowledged') to their current equivalents
+ * Reminders snoozed before snoozing was done in place were closed and replaced by a
+ * follow-up; they are cancelled so they don't come due again as snoozed reminders.
+ * @returns {Promise<Number>} - Number of reminders migrated
+ */
+const migrateLegacyStatuses = async () => {
+    try {
+        const now = new Date();
+        let migratedCount = 0;
+
+        const migrations = [
+            { filter: { status: 'sent' }, from: 'sent', to: 'delivered', reason: 'migrated' },
+            {
+                filter: { status: 'acknowledged', snoozedAt: { $ne: null } },
+                from: 'acknowledged',
+                to: 'cancelled',
+                reason: 'replaced_by_follow_up'
+            },
+            { filter: { status: 'acknowledged' }, from: 'acknowledged', to: 'completed', reason: 'migrated' }
+        ];
+
+        for (const { filter, from, to, reason } of migrations) {
+            const result = await Reminder.updateMany(filter, {
+                status: to,
+                $push: { statusHistory: { from, to, at: now, reason } }
+            });
+            migratedCount += result.modifiedCount;
+        }
+
+        // Timestamps were named after the old statuses
+        const renamedFields = { sentAt: 'deliveredAt', acknowledgedAt: 'completedAt' };
+        for (const [from, to] of Object.entries(renamedFields)) {
+            await Reminder.updateMany(
+                { [from]: { $exists: true } },
+                { $rename: { [from]: to } },
+                { strict: false }
+            );
+        }
+
+        return migratedCount;
+    } catch (error) {
+        console.error('Error migrating reminder statuses:', error);
+        throw error;
+    }
+};
+
+/**
+ * Push a claimed reminder back to a later time and release its dispatch lease
+ * The original occurrence time is kept so recurrence keeps its schedule.
+ * @param {Object} reminder - Reminder document
+ * @param {Date} newTime - When the reminder should become due again
+ * @param {String} workerId - Worker that holds the lease
+ * @param {String} reason - Why it is held back (e.g. 'quiet_hours'), for the status history
+ * @returns {Promise<Object|null>} - Updated reminder, or null if the lease was not held
+ */
+const deferReminder = async (reminder, newTime, workerId, reason = 'deferred') => {
+    try {
+        return await transitionReminder(reminder._id, 'pending', {
+            leaseOwner: workerId,
+            reason,
+            update: {
+                scheduledFor: newTime,
+                originalScheduledFor: reminder.originalScheduledFor || reminder.scheduledFor
+            }
+        });
+    } catch (error) {
+        console.error('Error deferring reminder:', error);
+        throw error;
+    }
+};
+
+/**
+ * Push a claimed reminder back after a transient delivery failure and release its lease
+ * @param {Object} reminder - Reminder document
+ * @param {Date} retryAt - When to try delivering again
+ * @param {String} workerId - Worker that holds the lease
+ * @param {String} errorMessage - Why the attempt failed
+ * @returns {Promise<Object|null>} - Updated reminder, or null if the lease was not held
+ */
+const scheduleDeliveryRetry = async (reminder, retryAt, workerId, errorMessage) => {
+    try {
+        return await transitionReminder(reminder._id, 'pending', {
+            leaseOwner: workerId,
+            reason: 'retry',
+            update: {
+                scheduledFor: retryAt,
+                originalScheduledFor: reminder.originalScheduledFor || reminder.scheduledFor,
+                lastDeliveryError: errorMessage,
+                $inc: { deliveryAttempts: 1 }
+            }
+        });
+    } catch (error) {
+        console.error('Error scheduling delivery retry:', error);
+        throw error;
+    }
+};
+
+/**
+ * Give up on delivering a claimed reminder and release its lease
+ * @param {String} reminderId - Reminder ID
+ * @param {String} workerId - Worker that holds the lease
+ * @param {String} errorMessage - Why the last attempt failed
+ * @returns {Promise<Object|null>} - Updated reminder, or null if the lease was not held
+ */
+const markDeliveryFailed = async (reminderId, workerId, errorMessage) => {
+    try {
+        return await transitionReminder(reminderId, 'failed', {
+            leaseOwner: workerId,
+            reason: errorMessage,
+            update: {
+                lastDeliveryError: errorMessage,
+                $inc: { deliveryAttempts: 1 }
+            }
+        });
+    } catch (error) {
+        console.error('Error marking reminder delivery as failed:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get pending and snoozed reminders due for notification
+ * Reminders being delivered by a worker are 'delivering' and so excluded; recoverStaleLeases
+ * puts them back if their worker crashed
+ * @param {Date} dueBefore - Only include reminders due at or before this time (default now)
+ * @returns {Promise<Array>} - List of due reminders
+ */
+const getDueReminders = async (dueBefore = new Date()) => {
+    try {
+        const dueReminders = await Reminder.find({
+            scheduledFor: { $lte: dueBefore },
+            status: { $in: DUE_STATUSES }
+        }).populate('user');
+
+        return dueReminders;
+    } catch (error) {
+        console.error('Error fetching due reminders:', error);
+        throw error;
+    }
+};
+
+/**
+ * Atomically claim a due reminder for dispatch, moving it from pending (or snoozed) to delivering
+ * Only one worker can hold the lease at a time; a reminder left delivering by a crashed
+ * worker goes back to pending once its lease has expired (see recoverStaleLeases).
+ * @param {String} reminderId - Reminder ID
+ * @param {String} workerId - Identifier of the claiming worker
+ * @param {Number} leaseMs - Lease duration in milliseconds
+ * @returns {Promise<Object|null>} - Claimed reminder with populated user, or null if already taken
+ */
+const claimReminder = async (reminderId, workerId, leaseMs) => {
+    try {
+        const now = new Date();
+        const current = await Reminder.findById(reminderId).select('status');
+
+        if (!current || !DUE_STATUSES.includes(current.status)) {
+            return null;
+        }
+
+        const reminder = await Reminder.findOneAndUpdate(
+            {
+                _id: reminderId,
+                status: current.status,
+                scheduledFor: { $lte: now }
+            },
+            {
+                ...buildStatusUpdate(current.status, 'delivering', 'claimed'),
+                leaseOwner: workerId,
+                leaseExpiresAt: new Date(now.getTime() + leaseMs)
+            },
+            { new: true }
+        ).populate('user');
+
+        return reminder;
+    } catch (error) {
+        console.error('Error claiming reminder:', error);
+        throw error;
+    }
+};
+
+/**
+ * Extend a dispatch lease that this worker still holds, e.g. while a send waits for the rate limiter
+ * @param {String} reminderId - Reminder ID
+ * @param {String} workerId - Worker that holds the lease
+ * @param {Number} leaseMs - How long from now the lease should last
+ * @returns {Promise<Boolean>} - False if the lease was no longer held
+ */
+const renewReminderLease = async (reminderId, workerId, leaseMs) => {
+    try {
+        const result = await Reminder.updateOne(
+            { _id: reminderId, status: 'delivering', leaseOwner: workerId },
+            { $set: { leaseExpiresAt: new Date(Date.now() + leaseMs) } }
+        );
+
+        return result.modifiedCount > 0;
+    } catch (error) {
+        console.error('Error renewing reminder lease:', error);
+        throw error;
+    }
+};
+
+/**
+ * Release a dispatch lease without delivering, putting the reminder back to pending
+ * @param {String} reminderId - Reminder ID
+ * @param {String} workerId - Worker that holds the lease
+ * @returns {Promise<Object|null>} - Updated reminder, or null if the lease was not held
+ */
+const releaseReminderLease = async (reminderId, workerId) => {
+    try {
+        const reminder = await Reminder.findOneAndUpdate(
+            { _id: reminderId, status: 'delivering', leaseOwner: workerId },
+            {
+                ...buildStatusUpdate('delivering', 'pending', 'released'),
+                leaseOwner: null,
+                leaseExpiresAt: null
+            },
+            { new: true }
+        );
+
+        return reminder;
+    } catch (error) {
+        console.error('Error releasing reminder lease:', error);
+        throw error;
+    }
+};
+
+/**
+ * Put reminders left delivering by workers that crashed mid-dispatch back to pending
+ * once their lease has expired
+ * @returns {Promise<Number>} - Number of leases recovered
+ */
+const recoverStaleLeases = async () => {
+    try {
+        const result = await Reminder.updateMany(
+            {
+                status: 'delivering',
+                leaseExpiresAt: { $lte: new Date() }
+            },
+            {
+                ...buildStatusUpdate('delivering', 'pending', 'lease_expired'),
+                leaseOwner: null,
+                leaseExpiresAt: null
+            }
+        );
+
+        return result.modifiedCount;
+    } catch (error) {
+        console.error('Error recovering stale leases:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get pending reminders scheduled between now and a future time
+ * @param {Date} until - Upper bound for scheduledFor
+ * @param {Date} deadlineUntil - Upper bound for deadline reminders, whose nudges start earlier
+ * @returns {Promise<Array>} - Upcoming reminders with populated users
+ */
+const getUpcomingReminders = async (until, deadlineUntil = until) => {
+    try {
+        const now = new Date();
+        const reminders = await Reminder.find({
+            status: 'pending',
+            $or: [
+                { scheduledFor: { $gt: now, $lte: until } },
+                { deadline: true, scheduledFor: { $gt: now, $lte: deadlineUntil } }
+            ]
+        }).populate('user');
+
+        return reminders;
+    } catch (error) {
+        console.error('Error fetching upcoming reminders:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get the times of pending and snoozed reminders due within a window, for arming scheduler timers
+ * @param {Date} from - Lower bound for scheduledFor
+ * @param {Date} until - Upper bound for scheduledFor
+ * @returns {Promise<Array>} - Reminders with only their ID, status and scheduled time
+ */
+const getScheduleWindow = async (from, until) => {
+    try {
+        const reminders = await Reminder.find({
+            scheduledFor: { $gte: from, $lte: until },
+            status: { $in: DUE_STATUSES }
+        }).select('_id status scheduledFor');
+
+        return reminders;
+    } catch (error) {
+        console.error('Error fetching reminder schedule window:', error);
+        throw error;
+    }
+};
+
+/**
+ * Atomically record that advance notices were sent for a reminder
+ * Succeeds only for the first caller, so a heads-up goes out once even with several workers.
+ * @param {String} reminderId - Reminder ID
+ * @param {Array<Number>} offsets - Offsets in minutes being sent
+ * @returns {Promise<Object|null>} - Updated reminder, or null if already recorded
+ */
+const markAdvanceNoticesSent = async (reminderId, offsets) => {
+    try {
+        const reminder = await Reminder.findOneAndUpdate(
+            {
+                _id: reminderId,
+                status: 'pending',
+                advanceNoticesSent: { $nin: offsets }
+            },
+            {
+                $addToSet: { advanceNoticesSent: { $each: offsets } },
+                $set: { lastAdvanceNoticeAt: new Date() }
+            },
+            { new: true }
+        );
+
+        return reminder;
+    } catch (error) {
+        console.error('Error marking advance notices as sent:', error);
+        throw error;
+    }
+};
+
+/**
+ * Schedule the first escalation step for a reminder that has just been sent
+ * @param {String} reminderId - Reminder ID
+ * @param {Date} firstStepAt - When to run the first step if still unacknowledged
+ * @returns {Promise<Object>} - Updated reminder
+ */
+const startEscalation = async (reminderId, firstStepAt) => {
+    try {
+        const reminder = await Reminder.findOneAndUpdate(
+            { _id: reminderId, status: 'delivered' },
+            { escalationStep: 0, nextEscalationAt: firstStepAt },
+            { new: true }
+        );
+
+        return reminder;
+    } catch (error) {
+        console.error('Error starting escalation:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get delivered, unacknowledged reminders whose next escalation step is due
+ * @returns {Promise<Array>} - Reminders with populated users
+ */
+const getDueEscalations = async () => {
+    try {
+        const reminders = await Reminder.find({
+            status: 'delivered',
+            nextEscalationAt: { $ne: null, $lte: new Date() }
+        }).populate('user');
+
+        return reminders;
+    } catch (error) {
+        console.error('Error fetching due escalations:', error);
+        throw error;
+    }
+};
+
+/**
+ * Atomically advance a reminder past an escalation step
+ * Only succeeds if the reminder is still unacknowledged and on the expected step,
+ * so each step runs once even with several workers.
+ * @param {String} reminderId - Reminder ID
+ * @param {Number} step - Step being claimed
+ * @param {Date|null} nextStepAt - When the following step is due, or null if this is the last
+ * @returns {Promise<Object|null>} - Updated reminder, or null if the step was already taken
+ */
+const claimEscalationStep = async (reminderId, step, nextStepAt) => {
+    try {
+        const reminder = await Reminder.findOneAndUpdate(
+            {
+                _id: reminderId,
+                status: 'delivered',
+                escalationStep: step,
+                nextEscalationAt: { $ne: null, $lte: new Date() }
+            },
+            { escalationStep: step + 1, nextEscalationAt: nextStepAt },
+            { new: true }
+        );
+
+        return reminder;
+    } catch (error) {
+        console.error('Error claiming escalation step:', error);
+        throw error;
+    }
+};
+
+/**
+ * Snooze a delivered reminder: it is rescheduled in place and delivered again at newTime
+ * Recurring occurrences keep their place in the series, since the slot the rule put them at
+ * is kept in originalScheduledFor.
+ * @param {Object} reminder - Reminder being snoozed
+ * @param {Date} newTime - When to remind again
+ * @param {Object} options - Optional settings
+ * @param {String} options.channel - 'whatsapp' or 'voice', where the user asked for it
+ * @returns {Promise<Object>} - The snoozed reminder
+ */
+const snoozeReminder = async (reminder, newTime, options = {}) => {
+    try {
+        const user = reminder.user && reminder.user.preferences
+            ? reminder.user
+            : await User.findById(reminder.user);
+        const maxSnoozes = getSnoozeLimit(user);
+
+        if (!canTransition(reminder.status, 'snoozed')) {
+            throw new Error(`A ${reminder.status} reminder can't be snoozed`);
+        }
+
+        if (maxSnoozes !== null && (reminder.snoozeCount || 0) >= maxSnoozes) {
+            throw new Error('Snooze limit reached');
+        }
+
+        const now = new Date();
+
+        const snoozed = await transitionReminder(reminder._id, 'snoozed', {
+            reason: options.channel || null,
+            update: {
+                scheduledFor: newTime,
+                originalScheduledFor: reminder.originalScheduledFor || reminder.scheduledFor,
+                escalationStep: 0,
+                advanceNoticesSent: [],
+                $inc: { snoozeCount: 1 },
+                $push: {
+                    snoozeHistory: {
+                        snoozedAt: now,
+                        from: reminder.scheduledFor,
+                        until: newTime,
+                        minutes: Math.round((newTime.getTime() - now.getTime()) / 60000),
+                        channel: options.channel || null
+                    }
+                }
+            }
+        });
+
+        if (!snoozed) {
+            throw new Error('Reminder not found');
+        }
+
+        return snoozed;
+    } catch (error) {
+        console.error('Error snoozing reminder:', error);
+        throw error;
+    }
+};
+
+/**
+ * Tick items off a checklist reminder
+ * The reminder is completed once every item is ticked off. Otherwise a delivered reminder
+ * comes back CHECKLIST_RENUDGE_MINUTES later for the remaining items; this doesn't count
+ * towards the user's snooze limit.
+ * @param {Object} reminder - Reminder with a checklist
+ * @param {Array<Number>} indexes - Zero-based indexes of the items ticked off
+ * @returns {Promise<Object>} - { reminder, remaining } where remaining lists the items left
+ */
+const checkOffItems = async (reminder, indexes) => {
+    try {
+        if (!Array.isArray(reminder.checklist) || reminder.checklist.length === 0) {
+            throw new Error('Reminder has no checklist');
+        }
+
+        const now = new Date();
+        const checklist = reminder.checklist.map((item, index) => ({
+            text: item.text,
+            done: item.done || indexes.includes(index),
+            doneAt: item.done ? item.doneAt : (indexes.includes(index) ? now : null)
+        }));
+        const remaining = checklist.filter(item => !item.done);
+
+        let updated;
+
+        if (remaining.length === 0) {
+            updated = await transitionReminder(reminder._id, 'completed', {
+                reason: 'checklist_done',
+                update: { checklist }
+            });
+        } else if (canTransition(reminder.status, 'snoozed') && reminder.status !== 'snoozed') {
+            const renudgeAt = new Date(now.getTime() + CHECKLIST_RENUDGE_MINUTES * 60 * 1000);
+
+            updated = await transitionReminder(reminder._id, 'snoozed', {
+                reason: 'checklist_remaining',
+                update: {
+                    checklist,
+                    scheduledFor: renudgeAt,
+                    originalScheduledFor: reminder.originalScheduledFor || reminder.scheduledFor,
+                    escalationStep: 0,
+                    advanceNoticesSent: [],
+                    // Kept in the snooze history so the return is known to be a repeat delivery
+                    $push: {
+                        snoozeHistory: {
+                            snoozedAt: now,
+                            from: reminder.scheduledFor,
+                            until: renudgeAt,
+                            minutes: CHECKLIST_RENUDGE_MINUTES,
+                            channel: 'checklist'
+                        }
+                    }
+                }
+            });
+        } else {
+            // Not sent yet, or already coming back: just record the ticks
+            updated = await Reminder.findOneAndUpdate(
+                { _id: reminder._id, status: { $nin: FINAL_STATUSES } },
+                { $set: { checklist } },
+                { new: true }
+            );
+        }
+
+        if (!updated) {
+            throw new Error('Reminder not found');
+        }
+
+        return { reminder: updated, remaining };
+    } catch (error) {
+        console.error('Error checking off checklist items:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get how many times a user allows a single reminder to be snoozed
+ * @param {Object} user - User document
+ * @returns {Number|null} - Maximum number of snoozes, or null for no limit
+ */
+const getSnoozeLimit = (user) => {
+    const settings = (user && user.preferences && user.preferences.notifications) || {};
+    return settings.maxSnoozes > 0 ? settings.maxSnoozes : null;
+};
+
+/**
+ * Check whether a reminder has been delivered before and is coming round again, after a
+ * snooze or a checklist re-nudge
+ * A recurring occurrence generated its successor the first time it was delivered.
+ * @param {Object} reminder - Reminder document, as it was before the current delivery
+ * @returns {Boolean} - True if the reminder was delivered before
+ */
+const wasDeliveredBefore = (reminder) => {
+    return Boolean(reminder.deliveredAt) ||
+        Boolean(reminder.snoozeHistory && reminder.snoozeHistory.length > 0);
+};
+
+/**
+ * Get a user's reminders that were due in a period and have been dealt with
+ * @param {String} userId - User ID
+ * @param {Date} startDate - Start of the period
+ * @param {Date} endDate - End of the period
+ * @returns {Promise<Array>} - Reminders sorted by scheduled time
+ */
+const getReminderHistory = async (userId, startDate, endDate) => {
+    try {
+        const reminders = await Reminder.find({
+            user: userId,
+            scheduledFor: { $gte: startDate, $lte: endDate },
+            status: { $nin: ['pending', 'delivering'] }
+        }).sort({ scheduledFor: 1 });
+
+        return reminders;
+    } catch (error) {
+        console.error('Error fetching reminder history:', error);
+        throw error;
+    }
+};
+
+/**
+ * Delete a reminder
+ * @param {String} reminderId - Reminder ID
+ * @returns {Promise<Boolean>} - Success status
+ */
+const deleteReminder = async (reminderId) => {
+    try {
+        await Reminder.findByIdAndDelete(reminderId);
+
+        try {
+            reminderEvents.emit('removed', reminderId.toString());
+        } catch (listenerError) {
+            console.error('Error in reminder removal listener:', listenerError);
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error deleting reminder:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get reminders within a date range
+ * @param {String} userId - User ID
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @returns {Promise<Array>} - Reminders in range
+ */
+const getRemindersInRange = async (userId, startDate, endDate) => {
+    try {
+        const reminders = await Reminder.find({
+            user: userId,
+            scheduledFor: { $gte: startDate, $lte: endDate },
+            status: { $nin: FINAL_STATUSES }  // Use $nin (not in) to exclude multiple statuses
+        }).sort({ scheduledFor: 1 });
+
+        return reminders;
+    } catch (error) {
+        console.error('Error fetching user reminders:', error);
+        throw error;
+    }
+};
+
+/**
+ * Create a recurring reminder
+ * The rule is stored on a new Series; only its first occurrence is created as a reminder.
+ * @param {Object} reminderData - Base reminder data
+ * @param {Object} recurrencePattern - Recurrence pattern details
+ * @param {Date|String} endDate - Optional end date for recurrence
+ * @returns {Promise<Object>} - Created reminder object (the first occurrence)
+ */
+const createRecurringReminder = async (reminderData, recurrencePattern, endDate = null) => {
+    try {
+        // Handle end date formatting if it's a string and not "null"
+        let formattedEndDate = null;
+
+        if (endDate && endDate !== "null" && endDate !== null) {
+            // Convert string to Date object if it's a valid date string
+            if (typeof endDate === 'string') {
+                // Check if it's a valid date string
+                const parsedDate = new Date(endDate);
+                if (!isNaN(parsedDate.getTime())) {
+                    formattedEndDate = parsedDate;
+                }
+            } else if (endDate instanceof Date && !isNaN(endDate.getTime())) {
+                // It's already a valid Date object
+                formattedEndDate = endDate;
+            }
+        }
+
+        console.log(`Creating recurring reminder with endDate: ${formattedEndDate}`);
+
+        // Store the pattern with its RRULE, which drives all later occurrences
+        const recurrenceParserService = require('./recurrenceParserService');
+        const normalizedPattern = recurrenceParserService.normalizeRecurrencePattern(recurrencePattern, reminderData.recurrence);
+        const recurrence = recurrencePattern.frequency || recurrencePattern.rrule ? 'custom' : reminderData.recurrence;
+
+        const series = new Series({
+            user: reminderData.user,
+            content: reminderData.content,
+            recurrence,
+            recurrencePattern: normalizedPattern,
+            recurrenceStart: reminderData.scheduledFor,
+            endDate: formattedEndDate,  // Use the safely parsed end date
+            ...await getSeriesSettings(reminderData.user),
+            notificationMethod: reminderData.notificationMethod,
+            advanceNoticeMinutes: reminderData.advanceNoticeMinutes,
+            escalationSteps: reminderData.escalationSteps,
+            urgent: reminderData.urgent,
+            checklist: Array.isArray(reminderData.checklist)
+                ? reminderData.checklist.map(item => item.text || item)
+                : []
+        });
+
+        await series.save();
+
+        // The first occurrence follows the business-day policy like every later one
+        const firstSlot = new Date(reminderData.scheduledFor);
+        let first = { slot: firstSlot, scheduledFor: applyBusinessDayPolicy(series, firstSlot, null), number: 1 };
+
+        if (!first.scheduledFor || (first.scheduledFor.getTime() !== firstSlot.getTime() && first.scheduledFor < new Date())) {
+            first = getNextOccurrence(series, firstSlot, 1) || { slot: firstSlot, scheduledFor: firstSlot, number: 1 };
+        }
+
+        const moved = first.scheduledFor.getTime() !== first.slot.getTime();
+
+        // Create the first occurrence with recurrence information
+        const reminder = new Reminder({
+            ...reminderData,
+            scheduledFor: first.scheduledFor,
+            originalScheduledFor: moved ? first.slot : null,
+            occurrenceNumber: first.number,
+            series: series._id,
+            recurrence,
+            recurrencePattern: normalizedPattern,
+            recurrenceStart: reminderData.scheduledFor,
+            endDate: formattedEndDate
+        });
+
+        await reminder.save();
+        notifyReminderChanged(reminder);
+        return reminder;
+    } catch (error) {
+        console.error('Error creating recurring reminder:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get the user settings a new series is expanded with
+ * @param {Object|String} user - User document or ID
+ * @returns {Promise<Object>} - { timeZone, holidayCalendar }
+ */
+const getSeriesSettings = async (user) => {
+    const found = user && user.preferences
+        ? user
+        : user && await User.findById(user._id || user).select('timeZone preferences.holidayCalendar');
+
+    if (!found) {
+        return { timeZone: 'Asia/Kolkata', holidayCalendar: 'IN' };
+    }
+
+    return {
+        timeZone: found.timeZone || 'Asia/Kolkata',
+        holidayCalendar: found.preferences.holidayCalendar || null
+    };
+};
+
+/**
+ * Calculate the occurrence that follows a given date in a series
+ * The rule is expanded on wall-clock time in the series' time zone, starting from
+ * recurrenceStart, so occurrences keep their local time of day across DST changes.
+ * @param {Object} series - Series, or a recurring reminder that predates series
+ * @param {Date} baseDate - Occurrence to calculate from
+ * @returns {Date|null} - Next occurrence, or null if the series has ended
+ */
+const calculateNextRecurrenceDate = (series, baseDate) => {
+    const recurrenceParserService = require('./recurrenceParserService');
+    const endDate = series.endDate;
+    const pattern = series.recurrencePattern || {};
+
+    // Daily/weekly/monthly reminders without a stored rule get one from their recurrence type
+    const rrule = recurrenceParserService.patternToRRule(pattern, series.recurrence);
+
+    if (!rrule) {
+        return null;
+    }
+
+    const nextDate = recurrenceParserService.calculateNextOccurrence(
+        baseDate,
+        { rrule, activeWindow: pattern.activeWindow },
+        endDate,
+        series.recurrenceStart || baseDate,
+        series.timeZone || 'Asia/Kolkata'
+    );
+
+    // If no next date or we're past the end date, we're done
+    if (!nextDate || (endDate && nextDate > endDate)) {
+        return null;
+    }
+
+    return nextDate;
+};
+
+/**
+ * Check whether a reminder is an occurrence of a recurring series
+ * @param {Object} reminder - Reminder document
+ * @returns {Boolean} - True if it belongs to a series
+ */
+const isRecurringReminder = (reminder) => {
+    return Boolean(reminder.series) || (reminder.recurrence !== 'none' && Boolean(reminder.recurrencePattern));
+};
+
+/**
+ * Get the time the series' rule puts a reminder at, before it was deferred or moved
+ * @param {Object} reminder - Reminder document
+ * @returns {Date} - Occurrence time according to the rule
+ */
+const getOccurrenceSlot = (reminder) => {
+    return new Date(reminder.originalScheduledFor || reminder.scheduledFor);
+};
+
+/**
+ * Find the exception recorded for an occurrence
+ * @param {Object} series - Series document
+ * @param {Date} slot - Occurrence time according to the rule
+ * @returns {Object|undefined} - Exception, if the occurrence was skipped or modified
+ */
+const findSeriesException = (series, slot) => {
+    return (series.exceptions || []).find(exception =>
+        new Date(exception.originalDate).getTime() === new Date(slot).getTime()
+    );
+};
+
+/**
+ * Apply a series' business-day policy to one of its occurrences
+ * @param {Object} series - Series document
+ * @param {Date} slot - Occurrence time according to the rule
+ * @param {Date|null} previousSlot - Rule time of the occurrence before it, if any
+ * @returns {Date|null} - When the occurrence goes out, or null if it's skipped
+ */
+const applyBusinessDayPolicy = (series, slot, previousSlot) => {
+    const policy = series.recurrencePattern && series.recurrencePattern.businessDays;
+
+    if (!policy) {
+        return slot;
+    }
+
+    const adjusted = holidayCalendarService.adjustToBusinessDay(
+        slot,
+        policy,
+        series.holidayCalendar,
+        series.timeZone || 'Asia/Kolkata'
+    );
+
+    if (!adjusted || adjusted.getTime() === slot.getTime()) {
+        return adjusted;
+    }
+
+    // An occurrence moved onto or past a neighbouring one is dropped, e.g. a daily reminder
+    // moved off Saturday would otherwise go out twice on Monday
+    if (policy === 'next') {
+        const following = calculateNextRecurrenceDate(series, slot);
+        return following && adjusted >= following ? null : adjusted;
+    }
+
+    return previousSlot && adjusted <= previousSlot ? null : adjusted;
+};
+
+/**
+ * Work out the occurrence of a series after a given one, applying its exceptions and
+ * business-day policy
+ * @param {Object} series - Series document
+ * @param {Date} afterSlot - Rule time of the previous occurrence
+ * @param {Number|null} afterNumber - Position of the previous occurrence, if known
+ * @returns {Object|null} - { slot, scheduledFor, content, number }, or null if the series has ended
+ */
+const getNextOccurrence = (series, afterSlot, afterNumber = null) => {
+    let slot = calculateNextRecurrenceDate(series, afterSlot);
+
+    // Guard against a long run of skipped occurrences
+    for (let i = 0; slot && i < 1000; i++) {
+        const exception = findSeriesException(series, slot);
+        // Skipped occurrences still use up a position, as they do for COUNT
+        const number = afterNumber ? afterNumber + i + 1 : null;
+
+        if (!exception) {
+            const scheduledFor = applyBusinessDayPolicy(series, slot, afterSlot);
+
+            if (scheduledFor) {
+                return { slot, scheduledFor, content: series.content, number };
+            }
+        } else if (exception.type === 'modify') {
+            return {
+                slot,
+                scheduledFor: exception.scheduledFor || slot,
+                content: exception.content || series.content,
+                number
+            };
+        }
+
+        slot = calculateNextRecurrenceDate(series, slot);
+    }
+
+    return null;
+};
+
+/**
+ * Get the position of an occurrence in its series
+ * Reminders created before positions were tracked are counted from the start of the series,
+ * which is only done for count-limited series where the count is bounded.
+ * @param {Object} series - Series document
+ * @param {Object} reminder - Occurrence
+ * @returns {Number|null} - Position (1 for the first), or null if unknown
+ */
+const getOccurrenceNumber = (series, reminder) => {
+    if (reminder.occurrenceNumber) {
+        return reminder.occurrenceNumber;
+    }
+
+    const recurrenceParserService = require('./recurrenceParserService');
+    const limit = recurrenceParserService.getOccurrenceLimit(series.recurrencePattern);
+
+    if (!limit || !series.recurrenceStart) {
+        return null;
+    }
+
+    const slot = getOccurrenceSlot(reminder);
+    let current = new Date(series.recurrenceStart);
+    let number = 1;
+
+    while (current && current < slot && number <= limit) {
+        current = calculateNextRecurrenceDate(series, current);
+        number++;
+    }
+
+    return current && current.getTime() === slot.getTime() ? number : null;
+};
+
+/**
+ * Get how far a count-limited series has got, for "3 of 14" in notifications
+ * @param {Object} reminder - Occurrence
+ * @returns {Object|null} - { number, total, remaining }, or null if the series isn't count-limited
+ */
+const getOccurrenceProgress = (reminder) => {
+    const recurrenceParserService = require('./recurrenceParserService');
+    const total = recurrenceParserService.getOccurrenceLimit(reminder.recurrencePattern);
+
+    if (!total || !reminder.occurrenceNumber) {
+        return null;
+    }
+
+    return {
+        number: reminder.occurrenceNumber,
+        total,
+        remaining: Math.max(0, total - reminder.occurrenceNumber)
+    };
+};
+
+/**
+ * Count the occurrences completed in a row at the end of a series' outcomes
+ * Skipped occurrences are passed over; a missed one ends the streak.
+ * @param {Array} outcomes - Series outcomes, oldest first
+ * @param {Number} end - Count back from just before this index (default the end)
+ * @returns {Number} - Length of the streak
+ */
+const getCurrentStreak = (outcomes, end = outcomes.length) => {
+    let streak = 0;
+
+    for (let i = end - 1; i >= 0; i--) {
+        if (outcomes[i].outcome === 'missed') {
+            break;
+        }
+
+        if (outcomes[i].outcome === 'completed') {
+            streak++;
+        }
+    }
+
+    return streak;
+};
+
+/**
+ * Record how an occurrence of a series turned out, replacing any earlier outcome for it
+ * (e.g. when an occurrence recorded as missed is completed late)
+ * @param {Object} reminder - Occurrence
+ * @param {String} outcome - 'completed', 'missed' or 'skipped'
+ * @returns {Promise<Object|null>} - Updated series, or null for one-off reminders
+ */
+const recordOccurrenceOutcome = async (reminder, outcome) => {
+    try {
+        if (!reminder.series) {
+            return null;
+        }
+
+        const seriesId = reminder.series._id || reminder.series;
+        const slot = getOccurrenceSlot(reminder);
+
+        await Series.updateOne({ _id: seriesId }, { $pull: { outcomes: { slot } } });
+
+        const series = await Series.findByIdAndUpdate(
+            seriesId,
+            {
+                $push: {
+                    outcomes: {
+                        $each: [{ slot, outcome, recordedAt: new Date() }],
+                        $sort: { slot: 1 },
+                        $slice: -MAX_SERIES_OUTCOMES
+                    }
+                }
+            },
+            { new: true }
+        );
+
+        if (!series) {
+            return null;
+        }
+
+        const currentStreak = getCurrentStreak(series.outcomes);
+
+        if (currentStreak > series.longestStreak) {
+            await Series.updateOne(
+                { _id: seriesId, longestStreak: { $lt: currentStreak } },
+                { longestStreak: currentStreak }
+            );
+            series.longestStreak = currentStreak;
+        }
+
+        return series;
+    } catch (error) {
+        console.error('Error recording occurrence outcome:', error);
+        throw error;
+    }
+};
+
+/**
+ * Record earlier occurrences of a series that were delivered and never done as missed
+ * Called when the next occurrence goes out, which is when an unanswered one counts as
+ * missed; completing it late still turns it into a completion.
+ * @param {Object} reminder - Occurrence about to go out
+ * @returns {Promise<Number>} - Number of occurrences recorded as missed
+ */
+const recordUnansweredOccurrences = async (reminder) => {
+    try {
+        if (!reminder.series) {
+            return 0;
+        }
+
+        const seriesId = reminder.series._id || reminder.series;
+
+        const unanswered = await Reminder.find({
+            series: seriesId,
+            _id: { $ne: reminder._id },
+            status: 'delivered',
+            scheduledFor: { $lt: reminder.scheduledFor }
+        });
+
+        if (unanswered.length === 0) {
+            return 0;
+        }
+
+        const series = await Series.findById(seriesId).select('outcomes');
+        const recordedSlots = new Set((series ? series.outcomes : []).map(entry => entry.slot.getTime()));
+        let missedCount = 0;
+
+        for (const occurrence of unanswered) {
+            if (!recordedSlots.has(getOccurrenceSlot(occurrence).getTime())) {
+                await recordOccurrenceOutcome(occurrence, 'missed');
+                missedCount++;
+            }
+        }
+
+        return missedCount;
+    } catch (error) {
+        console.error('Error recording unanswered occurrences:', error);
+        throw error;
+    }
+};
+
+/**
+ * Load the series a recurring reminder belongs to
+ * Recurring reminders created before series existed get one on first use, built from the
+ * reminder itself.
+ * @param {Object} reminder - Reminder document
+ * @returns {Promise<Object|null>} - Series document, or null for one-off reminders
+ */
+const getSeriesForReminder = async (reminder) => {
+    try {
+        if (reminder.series) {
+            return await Series.findById(reminder.series._id || reminder.series);
+        }
+
+        if (!isRecurringReminder(reminder)) {
+            return null;
+        }
+
+        const series = new Series({
+            user: reminder.user._id || reminder.user,
+            content: reminder.content,
+            recurrence: reminder.recurrence,
+            recurrencePattern: reminder.recurrencePattern,
+            recurrenceStart: reminder.recurrenceStart || getOccurrenceSlot(reminder),
+            endDate: reminder.endDate,
+            ...await getSeriesSettings(reminder.user),
+            notificationMethod: reminder.notificationMethod,
+            advanceNoticeMinutes: reminder.advanceNoticeMinutes,
+            escalationSteps: reminder.escalationSteps,
+            urgent: reminder.urgent
+        });
+
+        await series.save();
+
+        // Another worker may have converted the same reminder in the meantime
+        const linked = await Reminder.findOneAndUpdate(
+            { _id: reminder._id, series: null },
+            { series: series._id },
+            { new: true }
+        );
+
+        if (!linked) {
+            await Series.findByIdAndDelete(series._id);
+            const current = await Reminder.findById(reminder._id).select('series');
+            reminder.series = current ? current.series : null;
+            return reminder.series ? await Series.findById(reminder.series) : null;
+        }
+
+        reminder.series = series._id;
+        console.log(`Created series ${series._id} for recurring reminder ${reminder._id}`);
+
+        return series;
+    } catch (error) {
+        console.error('Error loading reminder series:', error);
+        throw error;
+    }
+};
+
+/**
+ * Record an exception for one occurrence, replacing any earlier one for the same occurrence
+ * @param {Object} series - Series document
+ * @param {Date} slot - Occurrence time according to the rule
+ * @param {Object} exception - { type, scheduledFor, content }
+ * @returns {Promise<Object>} - Updated series
+ */
+const setSeriesException = async (series, slot, exception) => {
+    series.exceptions = (series.exceptions || []).filter(existing =>
+        new Date(existing.originalDate).getTime() !== slot.getTime()
+    );
+    series.exceptions.push({ ...exception, originalDate: slot });
+
+    await series.save();
+    return series;
+};
+
+/**
+ * Build (without saving) the reminder for an occurrence of a series
+ * @param {Object} series - Series document
+ * @param {Object} occurrence - { slot, scheduledFor, content } from getNextOccurrence
+ * @returns {Object} - Unsaved reminder document
+ */
+const buildRecurrenceInstance = (series, occurrence) => {
+    const moved = occurrence.scheduledFor.getTime() !== occurrence.slot.getTime();
+
+    return new Reminder({
+        user: series.user,
+        series: series._id,
+        content: occurrence.content,
+        scheduledFor: occurrence.scheduledFor,
+        originalScheduledFor: moved ? occurrence.slot : null,
+        occurrenceNumber: occurrence.number || null,
+        recurrence: series.recurrence,
+        recurrencePattern: series.recurrencePattern,
+        recurrenceStart: series.recurrenceStart,
+        endDate: series.endDate,
+        notificationMethod: series.notificationMethod,
+        advanceNoticeMinutes: series.advanceNoticeMinutes,
+        escalationSteps: series.escalationSteps,
+        urgent: series.urgent,
+        // Every occurrence starts with a fresh checklist
+        checklist: series.checklist && series.checklist.length > 0
+            ? series.checklist.map(text => ({ text }))
+            : undefined
+    });
+};
+
+/**
+ * Generate the next occurrence of a reminder's series
+ * @param {Object} reminder - Occurrence that was just sent (or missed, failed or skipped)
+ * @returns {Promise<Object|null>} - Next reminder instance or null if done
+ */
+const processRecurrence = async (reminder) => {
+    try {
+        // Skip if it's a one-time reminder, or an occurrence coming round again (snoozed or re-nudged) whose successor exists already
+        if (!isRecurringReminder(reminder) || wasDeliveredBefore(reminder)) {
+            return null;
+        }
+
+        const series = await getSeriesForReminder(reminder);
+        if (!series || series.status !== 'active') {
+            return null;
+        }
+
+        // Calculate next occurrence from the original slot, not from any deferred time
+        const occurrence = getNextOccurrence(series, getOccurrenceSlot(reminder), getOccurrenceNumber(series, reminder));
+
+        if (!occurrence) {
+            await Series.updateOne({ _id: series._id, status: 'active' }, { status: 'ended' });
+            return null;
+        }
+
+        const nextReminder = buildRecurrenceInstance(series, occurrence);
+
+        await nextReminder.save();
+        notifyReminderChanged(nextReminder);
+        return nextReminder;
+    } catch (error) {
+        console.error('Error processing recurrence:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get when the occurrence after a reminder will be, taking skipped and moved occurrences into account
+ * @param {Object} reminder - Reminder document
+ * @returns {Promise<Date|null>} - Time of the next occurrence, or null if there is none
+ */
+const getNextOccurrenceDate = async (reminder) => {
+    try {
+        if (!isRecurringReminder(reminder)) {
+            return null;
+        }
+
+        const series = await getSeriesForReminder(reminder);
+        if (!series || series.status !== 'active') {
+            return null;
+        }
+
+        const occurrence = getNextOccurrence(series, getOccurrenceSlot(reminder));
+        return occurrence ? occurrence.scheduledFor : null;
+    } catch (error) {
+        console.error('Error calculating next occurrence:', error);
+        throw error;
+    }
+};
+
+/**
+ * Skip a recurring reminder ahead to its latest occurrence that is already due
+ * Used when several occurrences were missed (e.g. during downtime): the overdue instance is
+ * marked 'missed' and replaced by one for the most recent occurrence, leased to the same worker.
+ * @param {Object} reminder - Claimed recurring reminder
+ * @param {Date} now - Current time
+ * @param {String} workerId - Worker that holds the lease
+ * @param {Number} leaseMs - Lease duration for the replacement instance
+ * @returns {Promise<Object|null>} - Replacement reminder with populated user, or null if
+ *   the reminder is already the latest due occurrence
+ */
+const fastForwardRecurrence = async (reminder, now, workerId, leaseMs) => {
+    try {
+        // An occurrence coming round again is due when the user asked for it, whatever the series did since
+        if (!isRecurringReminder(reminder) || wasDeliveredBefore(reminder)) {
+            return null;
+        }
+
+        const series = await getSeriesForReminder(reminder);
+        if (!series || series.status !== 'active') {
+            return null;
+        }
+
+        let latest = null;
+        let next = getNextOccurrence(series, getOccurrenceSlot(reminder), getOccurrenceNumber(series, reminder));
+
+        // Guard against runaway loops on very old or very frequent series
+        let iterations = 0;
+        while (next && next.scheduledFor <= now && iterations < 10000) {
+            latest = next;
+            next = getNextOccurrence(series, latest.slot, latest.number);
+            iterations++;
+        }
+
+        if (!latest) {
+            return null;
+        }
+
+        const skipped = await transitionReminder(reminder._id, 'missed', {
+            leaseOwner: workerId,
+            reason: 'superseded'
+        });
+        if (!skipped) {
+            return null;
+        }
+
+        // The replacement starts out claimed by this worker
+        const latestReminder = buildRecurrenceInstance(series, latest);
+        latestReminder.status = 'delivering';
+        latestReminder.statusHistory.push({ from: 'pending', to: 'delivering', at: now, reason: 'claimed' });
+        latestReminder.leaseOwner = workerId;
+        latestReminder.leaseExpiresAt = new Date(now.getTime() + leaseMs);
+
+        await latestReminder.save();
+        await latestReminder.populate('user');
+
+        console.log(`Skipped ${iterations} missed occurrence(s) of "${reminder.content}", latest was ${latest.scheduledFor.toISOString()}`);
+
+        return latestReminder;
+    } catch (error) {
+        console.error('Error fast-forwarding recurrence:', error);
+        throw error;
+    }
+};
+
+/**
+ * Skip a single occurrence of a recurring reminder
+ * A pending occurrence is cancelled and the one after it generated in its place; one that
+ * already went out is only cancelled, since its successor exists already.
+ * @param {Object} reminder - Occurrence to skip
+ * @returns {Promise<Object|null>} - The next occurrence, if one was generated
+ */
+const skipOccurrence = async (reminder) => {
+    try {
+        const series = await getSeriesForReminder(reminder);
+        if (!series) {
+            await deleteReminder(reminder._id);
+            return null;
+        }
+
+        await setSeriesException(series, getOccurrenceSlot(reminder), { type: 'skip' });
+
+        const wasPending = reminder.status === 'pending';
+        if (canTransition(reminder.status, 'cancelled')) {
+            await transitionReminder(reminder._id, 'cancelled', { reason: 'skipped' });
+        }
+
+        return wasPending ? await processRecurrence(reminder) : null;
+    } catch (error) {
+        console.error('Error skipping occurrence:', error);
+        throw error;
+    }
+};
 
 /**
- * Create a new reminder
- * @param {Object} reminderData - Data for creating the reminder
- * @returns {Promise<Object>} - Created reminder object
+ * Change a single occurrence of a recurring reminder, leaving the rest of the series alone
+ * @param {Object} reminder - Occurrence to change
+ * @param {Object} updateData - New content and/or scheduledFor
+ * @returns {Promise<Object>} - Updated reminder
  */
-const createReminder = async (reminderData) => {
+const updateOccurrence = async (reminder, updateData) => {
     try {
-        const reminder = new Reminder(reminderData);
-        await reminder.save();
-        return reminder;
+        const series = await getSeriesForReminder(reminder);
+        if (!series) {
+            return await updateReminder(reminder._id, updateData);
+        }
+
+        const slot = getOccurrenceSlot(reminder);
+        const update = { ...updateData };
+
+        // Keep the rule time so the series carries on from it
+        if (updateData.scheduledFor) {
+            update.originalScheduledFor = slot;
+        }
+
+        await setSeriesException(series, slot, {
+            type: 'modify',
+            scheduledFor: updateData.scheduledFor || reminder.scheduledFor,
+            content: updateData.content || reminder.content
+        });
+
+        return await updateReminder(reminder._id, update);
     } catch (error) {
-        console.error('Error creating reminder:', error);
+        console.error('Error updating occurrence:', error);
         throw error;
     }
 };
 
 /**
- * Get all reminders for a user
- * @param {String} userId - User ID to get reminders for
- * @returns {Promise<Array>} - List of reminders
+ * Change a recurring reminder from this occurrence on
+ * A new time moves the whole series by the same amount; one-off changes from this occurrence
+ * on are dropped, skipped occurrences stay skipped.
+ * @param {Object} reminder - Occurrence the change starts from
+ * @param {Object} updateData - New content and/or scheduledFor
+ * @returns {Promise<Object>} - Updated reminder
  */
-const getUserReminders = async (userId) => {
+const updateSeries = async (reminder, updateData) => {
     try {
-        const reminders = await Reminder.find({
-            user: userId,
-            status: { $nin: ['cancelled', 'acknowledged'] }  // Use $nin (not in) to exclude multiple statuses
-        }).sort({ scheduledFor: 1 });
+        const series = await getSeriesForReminder(reminder);
+        if (!series) {
+            return await updateReminder(reminder._id, updateData);
+        }
 
-        return reminders;
+        const slot = getOccurrenceSlot(reminder);
+        const shiftMs = updateData.scheduledFor ? new Date(updateData.scheduledFor).getTime() - slot.getTime() : 0;
+        const shift = (date) => new Date(new Date(date).getTime() + shiftMs);
+
+        if (updateData.content) {
+            series.content = updateData.content;
+        }
+
+        series.exceptions = (series.exceptions || [])
+            .filter(exception => exception.originalDate < slot || exception.type === 'skip')
+            .map(exception => exception.originalDate < slot ? exception : {
+                originalDate: shift(exception.originalDate),
+                type: exception.type,
+                createdAt: exception.createdAt
+            });
+
+        if (shiftMs) {
+            series.recurrenceStart = shift(series.recurrenceStart);
+        }
+
+        await series.save();
+
+        // Bring this occurrence and the pending one after it (if this one already went out) in line
+        const upcoming = await Reminder.find({
+            series: series._id,
+            status: 'pending',
+            _id: { $ne: reminder._id }
+        });
+
+        let updatedReminder = null;
+
+        for (const instance of [reminder, ...upcoming]) {
+            const instanceUpdate = { ...updateData };
+
+            if (updateData.scheduledFor) {
+                instanceUpdate.scheduledFor = shift(getOccurrenceSlot(instance));
+                instanceUpdate.originalScheduledFor = null;
+                instanceUpdate.recurrenceStart = series.recurrenceStart;
+            }
+
+            const updated = await updateReminder(instance._id, instanceUpdate);
+
+            if (instance === reminder) {
+                updatedReminder = updated;
+            }
+        }
+
+        return updatedReminder;
     } catch (error) {
-        console.error('Error fetching user reminders:', error);
+        console.error('Error updating series:', error);
         throw error;
     }
 };
 
 /**
- * Update reminder status
- * @param {String} reminderId - Reminder ID
- * @param {String} status - New status
- * @returns {Promise<Object>} - Updated reminder
+ * Cancel a recurring reminder altogether
+ * Pending occurrences are removed; occurrences that already went out are kept as history.
+ * @param {Object} reminder - Any occurrence of the series
+ * @returns {Promise<Boolean>} - Success status
  */
-const updateReminderStatus = async (reminderId, status) => {
+const cancelSeries = async (reminder) => {
     try {
-        const reminder = await Reminder.findByIdAndUpdate(
-            reminderId,
-            { status },
+        const series = await getSeriesForReminder(reminder);
+        if (!series) {
+            return await cancelOccurrence(reminder);
+        }
+
+        await Series.findByIdAndUpdate(series._id, { status: 'cancelled', cancelledAt: new Date() });
+
+        const upcoming = await Reminder.find({
+            series: series._id,
+            status: 'pending',
+            _id: { $ne: reminder._id }
+        }).select('_id');
+
+        await cancelOccurrence(reminder);
+
+        for (const instance of upcoming) {
+            await deleteReminder(instance._id);
+        }
+
+        return true;
+    } catch (error) {
+        console.error('Error cancelling series:', error);
+        throw error;
+    }
+};
+
+/**
+ * Take a single occurrence out of a cancelled series
+ * A pending occurrence is removed. One that went out and is still waiting on the user is
+ * cancelled so it stays in the history; one being delivered or already finished is left alone.
+ * @param {Object} reminder - Occurrence
+ * @returns {Promise<Boolean>} - Success status
+ */
+const cancelOccurrence = async (reminder) => {
+    if (reminder.status === 'pending') {
+        return await deleteReminder(reminder._id);
+    }
+
+    if (reminder.status !== 'delivering' && canTransition(reminder.status, 'cancelled')) {
+        await transitionReminder(reminder._id, 'cancelled', { reason: 'series_cancelled' });
+    }
+
+    return true;
+};
+
+/**
+ * Work out the first occurrence of a series at or after a given time, without generating the
+ * ones before it
+ * @param {Object} series - Series document
+ * @param {Date} from - Earliest time the occurrence may be at
+ * @returns {Object|null} - Occurrence as from getNextOccurrence, or null if the series has ended
+ */
+const getOccurrenceFrom = (series, from) => {
+    const occurrence = getNextOccurrence(series, new Date(from.getTime() - 1));
+
+    if (occurrence) {
+        occurrence.number = getOccurrenceNumber(series, { occurrenceNumber: null, scheduledFor: occurrence.slot });
+    }
+
+    return occurrence;
+};
+
+/**
+ * Pause a recurring reminder
+ * The pending occurrence is removed; nothing is generated until the series is resumed.
+ * @param {Object} reminder - Any occurrence of the series
+ * @param {Date|null} until - When to pick up again, or null to wait for the user
+ * @returns {Promise<Object|null>} - Paused series, or null if the reminder isn't recurring
+ */
+const pauseSeries = async (reminder, until = null) => {
+    try {
+        const series = await getSeriesForReminder(reminder);
+        if (!series) {
+            return null;
+        }
+
+        const paused = await Series.findOneAndUpdate(
+            { _id: series._id, status: { $in: ['active', 'paused'] } },
+            { status: 'paused', pausedAt: series.pausedAt || new Date(), pausedUntil: until },
             { new: true }
         );
 
-        return reminder;
+        if (!paused) {
+            return null;
+        }
+
+        const upcoming = await Reminder.find({ series: series._id, status: 'pending' }).select('_id');
+
+        for (const instance of upcoming) {
+            await deleteReminder(instance._id);
+        }
+
+        return paused;
     } catch (error) {
-        console.error('Error updating reminder status:', error);
+        console.error('Error pausing series:', error);
         throw error;
     }
 };
 
 /**
- * Get pending reminders due for notification
- * @returns {Promise<Array>} - List of due reminders
+ * Resume a paused recurring reminder
+ * The series carries on with its first occurrence from `from` on; occurrences that fell in
+ * the pause are not made up.
+ * @param {Object} series - Paused series
+ * @param {Date} from - Time to carry on from (default now)
+ * @returns {Promise<Object|null>} - The next occurrence, or null if the series ended in the
+ *   meantime or wasn't paused
  */
-const getDueReminders = async () => {
+const resumeSeries = async (series, from = new Date()) => {
     try {
-        const now = new Date();
+        // Only one caller resumes a series (the user or the resume sweep)
+        const resumed = await Series.findOneAndUpdate(
+            { _id: series._id, status: 'paused' },
+            { status: 'active', pausedAt: null, pausedUntil: null },
+            { new: true }
+        );
 
-        const dueReminders = await Reminder.find({
-            scheduledFor: { $lte: now },
-            status: 'pending'
-        }).populate('user');
+        if (!resumed) {
+            return null;
+        }
 
-        return dueReminders;
+        const occurrence = getOccurrenceFrom(resumed, from);
+
+        if (!occurrence) {
+            await Series.updateOne({ _id: resumed._id, status: 'active' }, { status: 'ended' });
+            return null;
+        }
+
+        const nextReminder = buildRecurrenceInstance(resumed, occurrence);
+
+        await nextReminder.save();
+        notifyReminderChanged(nextReminder);
+        return nextReminder;
     } catch (error) {
-        console.error('Error fetching due reminders:', error);
+        console.error('Error resuming series:', error);
         throw error;
     }
 };
 
 /**
- * Delete a reminder
- * @param {String} reminderId - Reminder ID
- * @returns {Promise<Boolean>} - Success status
+ * Resume series whose pause has run out
+ * Each picks up from the end of its pause, so an occurrence right at that time isn't lost
+ * if the sweep runs a little late.
+ * @param {Date} now - Current time (default now)
+ * @returns {Promise<Number>} - Number of series resumed
  */
-const deleteReminder = async (reminderId) => {
+const resumeDueSeries = async (now = new Date()) => {
     try {
-        await Reminder.findByIdAndDelete(reminderId);
-        return true;
+        const dueSeries = await Series.find({
+            status: 'paused',
+            pausedUntil: { $ne: null, $lte: now }
+        });
+
+        let resumedCount = 0;
+
+        for (const series of dueSeries) {
+            const nextReminder = await resumeSeries(series, series.pausedUntil);
+
+            if (nextReminder) {
+                resumedCount++;
+                console.log(`Resumed series ${series._id} ("${series.content}"), next occurrence ${nextReminder.scheduledFor.toISOString()}`);
+            }
+        }
+
+        return resumedCount;
     } catch (error) {
-        console.error('Error deleting reminder:', error);
+        console.error('Error resuming paused series:', error);
         throw error;
     }
 };
 
 /**
- * Get reminders within a date range
+ * Find a user's series by content
  * @param {String} userId - User ID
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date
- * @returns {Promise<Array>} - Reminders in range
+ * @param {String|null} searchTerm - Content to search for, or null for all of them
+ * @param {Array<String>} statuses - Series statuses to include (default running and paused)
+ * @returns {Promise<Array>} - Matching series
  */
-const getRemindersInRange = async (userId, startDate, endDate) => {
+const searchSeries = async (userId, searchTerm = null, statuses = ['active', 'paused']) => {
     try {
-        const reminders = await Reminder.find({
-            user: userId,
-            status: { $nin: ['cancelled', 'acknowledged'] }  // Use $nin (not in) to exclude multiple statuses
-        }).sort({ scheduledFor: 1 });
+        const seriesList = await Series.find({ user: userId, status: { $in: statuses } });
 
-        return reminders;
+        return searchTerm
+            ? seriesList.filter(series => matchesContent(series.content, searchTerm))
+            : seriesList;
     } catch (error) {
-        console.error('Error fetching user reminders:', error);
+        console.error('Error searching series:', error);
         throw error;
     }
 };
 
 /**
- * Create a recurring reminder
- * @param {Object} reminderData - Base reminder data
- * @param {Object} recurrencePattern - Recurrence pattern details
- * @param {Date|String} endDate - Optional end date for recurrence
- * @returns {Promise<Object>} - Created reminder object
+ * Find a user's paused series by content
+ * @param {String} userId - User ID
+ * @param {String|null} searchTerm - Content to search for, or null for all paused series
+ * @returns {Promise<Array>} - Matching series
  */
-const createRecurringReminder = async (reminderData, recurrencePattern, endDate = null) => {
+const searchPausedSeries = async (userId, searchTerm = null) => {
+    return searchSeries(userId, searchTerm, ['paused']);
+};
+
+/**
+ * Move a claimed occurrence of a recurring reminder to the first occurrence at or after a
+ * given time and release its lease, e.g. to step over the user's vacation
+ * The occurrences in between are never generated, so nothing piles up.
+ * @param {Object} reminder - Claimed occurrence
+ * @param {Date} until - Earliest time the occurrence may go out
+ * @param {String} workerId - Worker that holds the lease
+ * @param {String} reason - Why it is held back (e.g. 'vacation'), for the status history
+ * @returns {Promise<Object|null>} - Moved reminder, or null if the series ends before then
+ *   (the occurrence is cancelled) or the lease was lost
+ */
+const deferOccurrence = async (reminder, until, workerId, reason = 'deferred') => {
     try {
-        // Handle end date formatting if it's a string and not "null"
-        let formattedEndDate = null;
+        const series = await getSeriesForReminder(reminder);
+        const occurrence = series && series.status === 'active' ? getOccurrenceFrom(series, until) : null;
 
-        if (endDate && endDate !== "null" && endDate !== null) {
-            // Convert string to Date object if it's a valid date string
-            if (typeof endDate === 'string') {
-                // Check if it's a valid date string
-                const parsedDate = new Date(endDate);
-                if (!isNaN(parsedDate.getTime())) {
-                    formattedEndDate = parsedDate;
-                }
-            } else if (endDate instanceof Date && !isNaN(endDate.getTime())) {
-                // It's already a valid Date object
-                formattedEndDate = endDate;
+        if (!occurrence) {
+            await transitionReminder(reminder._id, 'cancelled', { leaseOwner: workerId, reason: 'series_ended' });
+
+            if (series) {
+                await Series.updateOne({ _id: series._id, status: 'active' }, { status: 'ended' });
             }
+            return null;
         }
 
-        console.log(`Creating recurring reminder with endDate: ${formattedEndDate}`);
+        const moved = occurrence.scheduledFor.getTime() !== occurrence.slot.getTime();
 
-        // Create the reminder with recurrence information
-        const reminder = new Reminder({
-            ...reminderData,
-            recurrence: recurrencePattern.frequency ? 'custom' : reminderData.recurrence,
-            recurrencePattern: recurrencePattern,
-            endDate: formattedEndDate  // Use the safely parsed end date
+        return await transitionReminder(reminder._id, 'pending', {
+            leaseOwner: workerId,
+            reason,
+            update: {
+                content: occurrence.content,
+                scheduledFor: occurrence.scheduledFor,
+                originalScheduledFor: moved ? occurrence.slot : null,
+                occurrenceNumber: occurrence.number || null,
+                advanceNoticesSent: []
+            }
         });
-
-        await reminder.save();
-        return reminder;
     } catch (error) {
-        console.error('Error creating recurring reminder:', error);
+        console.error('Error deferring occurrence:', error);
         throw error;
     }
 };
 
 /**
- * Process recurrence and create next instance
- * @param {Object} reminder - Completed reminder object
- * @returns {Promise<Object|null>} - Next reminder instance or null if done
+ * Bring back reminders that were held for a vacation that ended early
+ * One-off reminders held until the old end date become due now; recurring ones go back to
+ * their first occurrence from now on.
+ * @param {String} userId - User ID
+ * @param {Date} heldUntil - End date the reminders were held until
+ * @param {Date} now - Current time (default now)
+ * @returns {Promise<Number>} - Number of reminders brought forward
  */
-const processRecurrence = async (reminder) => {
+const releaseHeldReminders = async (userId, heldUntil, now = new Date()) => {
     try {
-        // Skip if no recurrence pattern or it's a one-time reminder
-        if (reminder.recurrence === 'none' || !reminder.recurrencePattern) {
-            return null;
-        }
+        const held = await Reminder.find({
+            user: userId,
+            status: 'pending',
+            scheduledFor: { $gt: now, $lte: heldUntil }
+        });
 
-        const recurrenceParserService = require('./recurrenceParserService');
+        let releasedCount = 0;
 
-        // Calculate next occurrence
-        const baseDate = reminder.scheduledFor;
-        const endDate = reminder.endDate;
-
-        let nextDate;
-
-        // Handle basic recurrence types
-        if (reminder.recurrence === 'daily') {
-            nextDate = addDays(baseDate, 1);
-        } else if (reminder.recurrence === 'weekly') {
-            nextDate = addWeeks(baseDate, 1);
-        } else if (reminder.recurrence === 'monthly') {
-            nextDate = addMonths(baseDate, 1);
-        } else if (reminder.recurrence === 'custom') {
-            // Use the recurrence parser for custom patterns
-            nextDate = recurrenceParserService.calculateNextOccurrence(
-                baseDate,
-                reminder.recurrencePattern,
-                endDate
-            );
-        }
+        for (const reminder of held) {
+            let update = null;
 
-        // If no next date or we're past the end date, we're done
-        if (!nextDate || (endDate && nextDate > endDate)) {
-            return null;
-        }
+            if (!isRecurringReminder(reminder)) {
+                if (reminder.scheduledFor.getTime() === heldUntil.getTime() && reminder.originalScheduledFor) {
+                    update = { scheduledFor: now };
+                }
+            } else {
+                const series = await getSeriesForReminder(reminder);
+                const occurrence = series && series.status === 'active' ? getOccurrenceFrom(series, now) : null;
 
-        // Create the next instance of this reminder
-        const nextReminder = new Reminder({
-            user: reminder.user,
-            content: reminder.content,
-            scheduledFor: nextDate,
-            recurrence: reminder.recurrence,
-            recurrencePattern: reminder.recurrencePattern,
-            endDate: reminder.endDate,
-            notificationMethod: reminder.notificationMethod
-        });
+                if (occurrence && occurrence.scheduledFor < reminder.scheduledFor) {
+                    const moved = occurrence.scheduledFor.getTime() !== occurrence.slot.getTime();
+                    update = {
+                        content: occurrence.content,
+                        scheduledFor: occurrence.scheduledFor,
+                        originalScheduledFor: moved ? occurrence.slot : null,
+                        occurrenceNumber: occurrence.number || null,
+                        advanceNoticesSent: []
+                    };
+                }
+            }
 
-        await nextReminder.save();
-        return nextReminder;
+            if (update) {
+                await updateReminder(reminder._id, update);
+                releasedCount++;
+            }
+        }
+
+        return releasedCount;
     } catch (error) {
-        console.error('Error processing recurrence:', error);
+        console.error('Error releasing held reminders:', error);
         throw error;
     }
 };
 
+/**
+ * Check whether reminder content matches a search term, allowing for plurals and -ing forms
+ * @param {String} content - Reminder content
+ * @param {String} searchTerm - Content to search for
+ * @returns {Boolean} - True if it matches
+ */
+const matchesContent = (content, searchTerm) => {
+    const lowerContent = content.toLowerCase();
+    const cleanTerm = searchTerm.toLowerCase().trim();
+
+    // Direct substring match
+    if (lowerContent.includes(cleanTerm)) {
+        return true;
+    }
+
+    // Check for similar words (basic stemming)
+    const contentWords = lowerContent.split(/\s+/);
+    const searchWords = cleanTerm.split(/\s+/);
+
+    // Check if most search words appear in content
+    const matchingWords = searchWords.filter(searchWord =>
+        contentWords.some(contentWord =>
+            contentWord.includes(searchWord) ||
+            searchWord.includes(contentWord) ||
+            // Handle singular/plural by checking for common endings
+            (contentWord.endsWith('s') && searchWord === contentWord.slice(0, -1)) ||
+            (searchWord.endsWith('s') && contentWord === searchWord.slice(0, -1)) ||
+            // Handle gerund forms (ing)
+            (contentWord.endsWith('ing') && searchWord === contentWord.replace(/ing$/, '')) ||
+            (searchWord.endsWith('ing') && contentWord === searchWord.replace(/ing$/, ''))
+        )
+    );
+
+    // Return true if at least 60% of search words match
+    return matchingWords.length >= Math.ceil(searchWords.length * 0.6);
+};
+
 /**
  * Search reminders by content
  * @param {String} userId - User ID
@@ -226,9 +1999,6 @@ const processRecurrence = async (reminder) => {
  */
 const searchRemindersByContent = async (userId, searchTerm) => {
     try {
-        // Clean up the search term
-        const cleanTerm = searchTerm.toLowerCase().trim();
-
         // Get all reminders for the user
         const allReminders = await Reminder.find({
             user: userId,
@@ -236,35 +2006,7 @@ const searchRemindersByContent = async (userId, searchTerm) => {
         });
 
         // Filter reminders using a more flexible matching algorithm
-        const matchedReminders = allReminders.filter(reminder => {
-            const content = reminder.content.toLowerCase();
-
-            // Direct substring match
-            if (content.includes(cleanTerm)) {
-                return true;
-            }
-
-            // Check for similar words (basic stemming)
-            const contentWords = content.split(/\s+/);
-            const searchWords = cleanTerm.split(/\s+/);
-
-            // Check if most search words appear in content
-            const matchingWords = searchWords.filter(searchWord =>
-                contentWords.some(contentWord =>
-                    contentWord.includes(searchWord) ||
-                    searchWord.includes(contentWord) ||
-                    // Handle singular/plural by checking for common endings
-                    (contentWord.endsWith('s') && searchWord === contentWord.slice(0, -1)) ||
-                    (searchWord.endsWith('s') && contentWord === searchWord.slice(0, -1)) ||
-                    // Handle gerund forms (ing)
-                    (contentWord.endsWith('ing') && searchWord === contentWord.replace(/ing$/, '')) ||
-                    (searchWord.endsWith('ing') && contentWord === searchWord.replace(/ing$/, ''))
-                )
-            );
-
-            // Return true if at least 60% of search words match
-            return matchingWords.length >= Math.ceil(searchWords.length * 0.6);
-        });
+        const matchedReminders = allReminders.filter(reminder => matchesContent(reminder.content, searchTerm));
 
         return matchedReminders;
     } catch (error) {
@@ -290,18 +2032,24 @@ const getReminderById = async (reminderId) => {
 
 /**
  * Update a reminder
+ * The status can't be changed this way; use transitionReminder.
  * @param {String} reminderId - Reminder ID
  * @param {Object} updateData - Fields to update
  * @returns {Promise<Object>} - Updated reminder
  */
 const updateReminder = async (reminderId, updateData) => {
     try {
+        if (updateData.status !== undefined) {
+            throw new Error('Reminder status must be changed with transitionReminder');
+        }
+
         const reminder = await Reminder.findByIdAndUpdate(
             reminderId,
             updateData,
             { new: true }
         );
 
+        notifyReminderChanged(reminder);
         return reminder;
     } catch (error) {
         console.error('Error updating reminder:', error);
@@ -322,7 +2070,7 @@ const getRecentSentReminders = async (userId, limit = 5) => {
 
         const reminders = await Reminder.find({
             user: userId,
-            status: 'sent',
+            status: 'delivered',
             scheduledFor: { $lte: new Date() } // Changed from $gte to $lte - look for reminders scheduled before now
         })
             .sort({ scheduledFor: -1 }) // Most recent first
@@ -335,12 +2083,98 @@ const getRecentSentReminders = async (userId, limit = 5) => {
     }
 };
 
+/**
+ * Get the reminder a user created most recently, e.g. for "save this as a template"
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} - Latest reminder that wasn't cancelled, or null
+ */
+const getLatestReminder = async (userId) => {
+    try {
+        const reminder = await Reminder.findOne({
+            user: userId,
+            status: { $ne: 'cancelled' }
+        }).sort({ createdAt: -1 });
+
+        return reminder;
+    } catch (error) {
+        console.error('Error fetching latest reminder:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get the checklist reminder a user was most recently sent, including one waiting to come
+ * back for its remaining items
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} - Reminder with a checklist, or null
+ */
+const getLatestChecklistReminder = async (userId) => {
+    try {
+        const reminder = await Reminder.findOne({
+            user: userId,
+            status: { $in: ['delivered', 'snoozed'] },
+            'checklist.0': { $exists: true }
+        }).sort({ deliveredAt: -1 });
+
+        return reminder;
+    } catch (error) {
+        console.error('Error fetching latest checklist reminder:', error);
+        throw error;
+    }
+};
+
+/**
+ * Get the pending deadline a user was most recently nudged about
+ * @param {String} userId - User ID
+ * @returns {Promise<Object|null>} - Deadline reminder, or null if none has been nudged
+ */
+const getLatestNudgedDeadline = async (userId) => {
+    try {
+        const reminder = await Reminder.findOne({
+            user: userId,
+            deadline: true,
+            status: 'pending',
+            lastAdvanceNoticeAt: { $ne: null }
+        }).sort({ lastAdvanceNoticeAt: -1 });
+
+        return reminder;
+    } catch (error) {
+        console.error('Error fetching latest nudged deadline:', error);
+        throw error;
+    }
+};
+
 // Add these methods to module.exports
 module.exports = {
     createReminder,
+    createDeadlineReminder,
     getUserReminders,
-    updateReminderStatus,
+    REMINDER_TRANSITIONS,
+    FINAL_STATUSES,
+    DUE_STATUSES,
+    DEFAULT_DEADLINE_NUDGES,
+    MAX_DEADLINE_NUDGE_MINUTES,
+    canTransition,
+    transitionReminder,
+    migrateLegacyStatuses,
     getDueReminders,
+    claimReminder,
+    renewReminderLease,
+    releaseReminderLease,
+    recoverStaleLeases,
+    deferReminder,
+    scheduleDeliveryRetry,
+    markDeliveryFailed,
+    getUpcomingReminders,
+    getScheduleWindow,
+    markAdvanceNoticesSent,
+    startEscalation,
+    getDueEscalations,
+    claimEscalationStep,
+    snoozeReminder,
+    checkOffItems,
+    getSnoozeLimit,
+    getReminderHistory,
     deleteReminder,
     getRemindersInRange,
     searchRemindersByContent,
@@ -348,5 +2182,27 @@ module.exports = {
     updateReminder,
     createRecurringReminder,
     processRecurrence,
-    getRecentSentReminders
+    fastForwardRecurrence,
+    isRecurringReminder,
+    getNextOccurrenceDate,
+    getOccurrenceProgress,
+    getCurrentStreak,
+    recordOccurrenceOutcome,
+    recordUnansweredOccurrences,
+    skipOccurrence,
+    updateOccurrence,
+    updateSeries,
+    cancelSeries,
+    pauseSeries,
+    resumeSeries,
+    resumeDueSeries,
+    searchSeries,
+    searchPausedSeries,
+    deferOccurrence,
+    releaseHeldReminders,
+    getRecentSentReminders,
+    getLatestReminder,
+    getLatestChecklistReminder,
+    getLatestNudgedDeadline,
+    reminderEvents
 };
\ No newline at end of file
@@ -0,0 +1,206 @@
+// src/services/reportService.js
+
+const { subDays } = require('date-fns');
+const { formatInTimeZone } = require('date-fns-tz');
+const User = require('../models/user');
+const reminderService = require('./reminderService');
+const whatsappService = require('./whatsappService');
+const userPreferenceService = require('./userPreferenceService');
+
+/**
+ * Service for the weekly accountability report
+ */
+class ReportService {
+    constructor() {
+        // If we miss the send time (e.g. downtime), still send the report within this window
+        this.lateWindowMinutes = 180;
+    }
+
+    /**
+     * Send weekly reports to users whose report day and time have arrived
+     */
+    async processWeeklyReports() {
+        try {
+            const users = await User.find({ 'preferences.weeklyReport.enabled': true });
+            const now = new Date();
+
+            for (const user of users) {
+                try {
+                    const settings = user.preferences.weeklyReport;
+                    const timeZone = user.timeZone || 'Asia/Kolkata';
+                    const today = formatInTimeZone(now, timeZone, 'yyyy-MM-dd');
+
+                    // ISO day of week is 1-7 (Monday-Sunday); we store 0-6 (Sunday-Saturday)
+                    const localDayOfWeek = parseInt(formatInTimeZone(now, timeZone, 'i')) % 7;
+
+                    if (settings.lastSentOn === today || localDayOfWeek !== settings.dayOfWeek) {
+                        continue;
+                    }
+
+                    // Nothing goes out while the user is on vacation
+                    if (userPreferenceService.getVacationStatus(user, now).active) {
+                        continue;
+                    }
+
+                    const sendMinutes = userPreferenceService.parseTimeOfDay(settings.time) ?? 19 * 60;
+                    const localMinutes = parseInt(formatInTimeZone(now, timeZone, 'H')) * 60 +
+                        parseInt(formatInTimeZone(now, timeZone, 'm'));
+                    const minutesPastSendTime = localMinutes - sendMinutes;
+
+                    if (minutesPastSendTime < 0 || minutesPastSendTime > this.lateWindowMinutes) {
+                        continue;
+                    }
+
+                    // Atomically mark this week's report as sent so only one worker sends it
+                    const claimed = await User.findOneAndUpdate(
+                        { _id: user._id, 'preferences.weeklyReport.lastSentOn': { $ne: today } },
+                        { 'preferences.weeklyReport.lastSentOn': today },
+                        { new: true }
+                    );
+
+                    if (!claimed) {
+                        continue;
+                    }
+
+                    await this.sendWeeklyReport(user, now);
+                } catch (error) {
+                    console.error(`Error sending weekly report to user ${user._id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Error processing weekly reports:', error);
+        }
+    }
+
+    /**
+     * Build and send the report for the 7 days up to a given time
+     * @param {Object} user - User document
+     * @param {Date} endDate - End of the reporting period
+     * @returns {Promise<Boolean>} - Whether a message was sent
+     */
+    async sendWeeklyReport(user, endDate = new Date()) {
+        const startDate = subDays(endDate, 7);
+        const reminders = await reminderService.getReminderHistory(user._id, startDate, endDate);
+
+        if (reminders.length === 0) {
+            console.log(`No reminders this week for ${user.phoneNumber}, skipping weekly report`);
+            return false;
+        }
+
+        const report = this.buildWeeklyReport(reminders);
+        await whatsappService.sendMessage(user.phoneNumber, this.formatWeeklyReport(report), {
+            userId: user._id,
+            kind: 'weekly_report'
+        });
+        console.log(`Sent weekly report to ${user.phoneNumber}`);
+
+        return true;
+    }
+
+    /**
+     * Summarise how a set of reminders turned out
+     * @param {Array} reminders - Reminders from the period, sorted by scheduled time
+     * @returns {Object} - Counts per outcome plus streaks for recurring reminders
+     */
+    buildWeeklyReport(reminders) {
+        const report = {
+            total: reminders.length,
+            acknowledged: 0,
+            snoozed: 0,
+            cancelled: 0,
+            unanswered: 0,
+            streaks: []
+        };
+
+        for (const reminder of reminders) {
+            report[this.getOutcome(reminder)]++;
+        }
+
+        // Group recurring reminders by content to follow each series through the week
+        const series = new Map();
+        for (const reminder of reminders) {
+            if (reminder.recurrence === 'none') {
+                continue;
+            }
+
+            const key = reminder.content.toLowerCase().trim();
+            if (!series.has(key)) {
+                series.set(key, { content: reminder.content, outcomes: [] });
+            }
+            series.get(key).outcomes.push(this.getOutcome(reminder));
+        }
+
+        for (const { content, outcomes } of series.values()) {
+            // Current streak = consecutive completions counting back from the latest occurrence
+            let streak = 0;
+            for (let i = outcomes.length - 1; i >= 0 && outcomes[i] === 'acknowledged'; i--) {
+                streak++;
+            }
+
+            report.streaks.push({
+                content,
+                streak,
+                completed: outcomes.filter(outcome => outcome === 'acknowledged').length,
+                occurrences: outcomes.length
+            });
+        }
+
+        return report;
+    }
+
+    /**
+     * Classify a reminder's final outcome
+     * @param {Object} reminder - Reminder document
+     * @returns {String} - 'acknowledged', 'snoozed', 'cancelled' or 'unanswered'
+     */
+    getOutcome(reminder) {
+        // A reminder that was snoozed and then done counts as done
+        if (reminder.status === 'completed') {
+            return 'acknowledged';
+        }
+
+        if (reminder.status === 'snoozed' || reminder.snoozedAt) {
+            return 'snoozed';
+        }
+
+        if (reminder.status === 'cancelled') {
+            return 'cancelled';
+        }
+
+        // Sent but never answered, or missed entirely
+        return 'unanswered';
+    }
+
+    /**
+     * Format the weekly report as a WhatsApp message
+     * @param {Object} report - Report from buildWeeklyReport
+     * @returns {String} - Formatted message
+     */
+    formatWeeklyReport(report) {
+        let message = `📊 *Your week in reminders*\n\n`;
+        message += `✅ Done: ${report.acknowledged}\n`;
+        message += `⏰ Snoozed: ${report.snoozed}\n`;
+        message += `🚫 Cancelled: ${report.cancelled}\n`;
+        message += `❔ No reply: ${report.unanswered}\n`;
+
+        const answered = report.acknowledged + report.snoozed + report.cancelled;
+        const responseRate = Math.round((answered / report.total) * 100);
+        message += `\nYou responded to ${responseRate}% of your ${report.total} reminder${report.total === 1 ? '' : 's'}.`;
+
+        if (report.streaks.length > 0) {
+            message += `\n\n*Recurring reminders*\n`;
+            report.streaks.forEach(({ content, streak, completed, occurrences }) => {
+                const streakText = streak > 1 ? ` - 🔥 ${streak} in a row` : '';
+                message += `• ${content}: ${completed}/${occurrences} done${streakText}\n`;
+            });
+        }
+
+        if (report.unanswered > 0) {
+            message += `\nTip: reply "done" when you finish a reminder so I can keep track.`;
+        }
+
+        return message.trim();
+    }
+}
+
+module.exports = new ReportService();
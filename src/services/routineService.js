@@ -0,0 +1,273 @@
+// src/services/routineService.js
+
+const Routine = require('../models/routine');
+const Reminder = require('../models/reminder');
+const reminderService = require('./reminderService');
+
+// Longest wait allowed between two steps (1 day)
+const MAX_STEP_DELAY_MINUTES = 24 * 60;
+
+// Most steps a routine may have
+const MAX_ROUTINE_STEPS = 20;
+
+/**
+ * Service for routines: named chains of reminders where each step is scheduled relative to
+ * the acknowledgement of the one before it
+ */
+class RoutineService {
+    /**
+     * @param {String} name - Routine name as the user wrote it
+     * @returns {String} - Name the routine is stored and looked up by
+     */
+    normalizeName(name) {
+        return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Normalise routine steps extracted by the LLM
+     * @param {Array} steps - [{ content, delayMinutes }]
+     * @returns {Array} - Steps with content, and whole-minute delays within the allowed range
+     */
+    normalizeSteps(steps) {
+        if (!Array.isArray(steps)) {
+            return [];
+        }
+
+        return steps
+            .filter(step => step && typeof step.content === 'string' && step.content.trim())
+            .slice(0, MAX_ROUTINE_STEPS)
+            .map(step => {
+                const delay = parseInt(step.delayMinutes);
+                return {
+                    content: step.content.trim(),
+                    delayMinutes: isNaN(delay) ? 0 : Math.min(Math.max(delay, 0), MAX_STEP_DELAY_MINUTES)
+                };
+            });
+    }
+
+    /**
+     * Save a routine, replacing the steps of an existing routine with the same name
+     * @param {String} userId - User ID
+     * @param {String} name - Routine name
+     * @param {Array} steps - [{ content, delayMinutes }]
+     * @returns {Promise<Object>} - Saved routine
+     */
+    async saveRoutine(userId, name, steps) {
+        try {
+            const normalizedName = this.normalizeName(name);
+            const normalizedSteps = this.normalizeSteps(steps);
+
+            if (!normalizedName) {
+                throw new Error('Routine name is required');
+            }
+
+            if (normalizedSteps.length === 0) {
+                throw new Error('Routine needs at least one step');
+            }
+
+            const routine = await Routine.findOneAndUpdate(
+                { user: userId, name: normalizedName },
+                { $set: { displayName: String(name).trim(), steps: normalizedSteps } },
+                { new: true, upsert: true }
+            );
+
+            return routine;
+        } catch (error) {
+            console.error('Error saving routine:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a user's routine by name, falling back to a partial match ("morning" for "morning routine")
+     * @param {String} userId - User ID
+     * @param {String} name - Routine name
+     * @returns {Promise<Object|null>} - Routine, or null if none matches
+     */
+    async findRoutine(userId, name) {
+        try {
+            const normalizedName = this.normalizeName(name);
+
+            if (!normalizedName) {
+                return null;
+            }
+
+            const routine = await Routine.findOne({ user: userId, name: normalizedName });
+
+            if (routine) {
+                return routine;
+            }
+
+            const escaped = normalizedName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return await Routine.findOne({ user: userId, name: { $regex: escaped } })
+                .sort({ lastStartedAt: -1 });
+        } catch (error) {
+            console.error('Error finding routine:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all of a user's routines
+     * @param {String} userId - User ID
+     * @returns {Promise<Array>} - Routines sorted by name
+     */
+    async listRoutines(userId) {
+        try {
+            return await Routine.find({ user: userId }).sort({ name: 1 });
+        } catch (error) {
+            console.error('Error listing routines:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a routine and cancel its step in progress, if any
+     * @param {Object} routine - Routine document
+     */
+    async deleteRoutine(routine) {
+        try {
+            await this.cancelRun(routine, 'routine_deleted');
+            await Routine.deleteOne({ _id: routine._id });
+        } catch (error) {
+            console.error('Error deleting routine:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel the open step of a routine
+     * @param {Object} routine - Routine document
+     * @param {String} reason - Reason recorded in the reminder's status history
+     * @returns {Promise<Number>} - Number of reminders cancelled
+     */
+    async cancelRun(routine, reason) {
+        try {
+            const openSteps = await Reminder.find({
+                routine: routine._id,
+                status: { $nin: reminderService.FINAL_STATUSES }
+            }).select('_id');
+
+            let cancelled = 0;
+            for (const step of openSteps) {
+                if (await reminderService.transitionReminder(step._id, 'cancelled', { reason })) {
+                    cancelled++;
+                }
+            }
+
+            return cancelled;
+        } catch (error) {
+            console.error('Error cancelling routine run:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start a routine from its first step. A run already in progress is cancelled first.
+     * @param {Object} user - User document
+     * @param {Object} routine - Routine document
+     * @returns {Promise<Object>} - Reminder for the first step
+     */
+    async startRoutine(user, routine) {
+        try {
+            await this.cancelRun(routine, 'routine_restarted');
+
+            const reminder = await this.scheduleStep(user, routine, 0);
+
+            await Routine.updateOne({ _id: routine._id }, { $set: { lastStartedAt: new Date() } });
+
+            return reminder;
+        } catch (error) {
+            console.error('Error starting routine:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule the next step of a routine after one of its steps was acknowledged
+     * @param {Object} reminder - Acknowledged step
+     * @returns {Promise<Object|null>} - { routine, reminder } for the next step, or null if the
+     *   reminder isn't part of a routine or was its last step
+     */
+    async continueRoutine(reminder) {
+        try {
+            if (!reminder.routine) {
+                return null;
+            }
+
+            const routine = await Routine.findById(reminder.routine._id || reminder.routine);
+            const nextStep = (reminder.routineStep || 0) + 1;
+
+            // The routine was deleted or shortened since this step was scheduled
+            if (!routine || nextStep >= routine.steps.length) {
+                return null;
+            }
+
+            const user = reminder.user && reminder.user._id ? reminder.user : { _id: reminder.user };
+            const next = await this.scheduleStep(user, routine, nextStep, reminder.notificationMethod);
+
+            return { routine, reminder: next };
+        } catch (error) {
+            console.error('Error continuing routine:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create the reminder for one step of a routine, its delay from now
+     * @param {Object} user - User document (or at least { _id })
+     * @param {Object} routine - Routine document
+     * @param {Number} index - Step index
+     * @param {String} notificationMethod - Method to use when the user document isn't loaded
+     * @returns {Promise<Object>} - Created reminder
+     */
+    async scheduleStep(user, routine, index, notificationMethod = 'whatsapp') {
+        const step = routine.steps[index];
+
+        return reminderService.createReminder({
+            user: user._id,
+            content: step.content,
+            scheduledFor: new Date(Date.now() + step.delayMinutes * 60 * 1000),
+            recurrence: 'none',
+            notificationMethod: user.preferredNotificationMethod || notificationMethod,
+            routine: routine._id,
+            routineStep: index
+        });
+    }
+
+    /**
+     * Describe a routine's steps for a chat message
+     * @param {Object} routine - Routine document
+     * @returns {String} - e.g. "*Morning routine*\n1. meds\n2. breakfast (10 minutes later)"
+     */
+    describeRoutine(routine) {
+        const lines = routine.steps.map((step, index) => {
+            let wait = '';
+            if (step.delayMinutes > 0) {
+                wait = index === 0
+                    ? ` (${this.formatDelay(step.delayMinutes)} after you start)`
+                    : ` (${this.formatDelay(step.delayMinutes)} later)`;
+            }
+            return `${index + 1}. ${step.content}${wait}`;
+        });
+
+        return `*${routine.displayName}*\n${lines.join('\n')}`;
+    }
+
+    /**
+     * @param {Number} minutes - Delay in minutes
+     * @returns {String} - e.g. "10 minutes", "1 hour 30 minutes"
+     */
+    formatDelay(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        const parts = [];
+
+        if (hours > 0) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+        if (rest > 0 || parts.length === 0) parts.push(`${rest} minute${rest === 1 ? '' : 's'}`);
+
+        return parts.join(' ');
+    }
+}
+
+module.exports = new RoutineService();
@@ -0,0 +1,212 @@
+// src/services/schedulerService.js
+
+const reminderService = require('./reminderService');
+
+/**
+ * In-process timer queue that fires reminders at their exact scheduled time
+ * MongoDB stays the source of truth: timers are only armed for pending reminders in the
+ * near future, kept current through reminderService change events, and rebuilt by a
+ * periodic reconciliation. Dispatch itself still goes through the lease-based claim, so
+ * several processes can run their own scheduler without double-sending.
+ */
+class SchedulerService {
+    constructor() {
+        // Only reminders due within this window get a timer; later ones are armed by reconciliation
+        this.horizonMs = (parseInt(process.env.SCHEDULER_HORIZON_SECONDS) || 600) * 1000;
+        this.reconcileIntervalMs = (parseInt(process.env.SCHEDULER_RECONCILE_SECONDS) || 60) * 1000;
+        // Random delay added to each timer so reminders set for the same moment don't fire in one burst
+        const maxJitterMs = parseInt(process.env.SCHEDULER_MAX_JITTER_MS);
+        this.maxJitterMs = maxJitterMs >= 0 ? maxJitterMs : 1000;
+        this.maxPerSecond = parseInt(process.env.SCHEDULER_MAX_PER_SECOND) || 10;
+        // Reminders this late are still armed; anything older is left to the catch-up sweep
+        this.pastDueWindowMs = 60 * 1000;
+
+        this.timers = new Map(); // reminderId -> { timeout, scheduledFor, armedAt }
+        this.readyQueue = [];
+        this.recentDispatches = [];
+        this.drainTimer = null;
+        this.reconcileTimer = null;
+        this.handler = null;
+
+        this.onReminderChanged = (reminder) => this.schedule(reminder);
+        this.onReminderRemoved = (reminderId) => this.unschedule(reminderId);
+    }
+
+    /**
+     * Start firing reminders
+     * @param {Function} handler - Called with the reminder ID when a reminder is due
+     */
+    start(handler) {
+        if (this.handler) {
+            console.warn('Scheduler already started');
+            return;
+        }
+
+        this.handler = handler;
+
+        reminderService.reminderEvents.on('changed', this.onReminderChanged);
+        reminderService.reminderEvents.on('removed', this.onReminderRemoved);
+
+        this.reconcile();
+        this.reconcileTimer = setInterval(() => this.reconcile(), this.reconcileIntervalMs);
+
+        console.log(`Scheduler started (horizon ${this.horizonMs / 1000}s, up to ${this.maxPerSecond} reminders/second)`);
+    }
+
+    /**
+     * Stop the scheduler and clear all timers
+     */
+    stop() {
+        reminderService.reminderEvents.off('changed', this.onReminderChanged);
+        reminderService.reminderEvents.off('removed', this.onReminderRemoved);
+
+        clearInterval(this.reconcileTimer);
+        clearTimeout(this.drainTimer);
+
+        for (const { timeout } of this.timers.values()) {
+            clearTimeout(timeout);
+        }
+
+        this.timers.clear();
+        this.readyQueue = [];
+        this.drainTimer = null;
+        this.reconcileTimer = null;
+        this.handler = null;
+    }
+
+    /**
+     * Rebuild timers from the database
+     * Picks up reminders that entered the horizon and drops timers for reminders that were
+     * changed without going through reminderService.
+     */
+    async reconcile() {
+        try {
+            const startedAt = Date.now();
+            const reminders = await reminderService.getScheduleWindow(
+                new Date(startedAt - this.pastDueWindowMs),
+                new Date(startedAt + this.horizonMs)
+            );
+
+            const pendingIds = new Set();
+            for (const reminder of reminders) {
+                pendingIds.add(reminder._id.toString());
+                this.schedule(reminder);
+            }
+
+            // Timers armed after the query started come from change events and are newer than it
+            for (const [reminderId, timer] of this.timers) {
+                if (!pendingIds.has(reminderId) && timer.armedAt < startedAt) {
+                    this.unschedule(reminderId);
+                }
+            }
+        } catch (error) {
+            console.error('Error reconciling scheduler:', error);
+        }
+    }
+
+    /**
+     * Arm, move or drop the timer for a reminder based on its current state
+     * @param {Object} reminder - Reminder document (needs _id, status and scheduledFor)
+     */
+    schedule(reminder) {
+        if (!this.handler || !reminder || !reminder._id) {
+            return;
+        }
+
+        const reminderId = reminder._id.toString();
+        const scheduledFor = new Date(reminder.scheduledFor).getTime();
+        const now = Date.now();
+
+        if (!reminderService.DUE_STATUSES.includes(reminder.status) || scheduledFor > now + this.horizonMs ||
+            scheduledFor < now - this.pastDueWindowMs) {
+            this.unschedule(reminderId);
+            return;
+        }
+
+        const existing = this.timers.get(reminderId);
+        if (existing) {
+            if (existing.scheduledFor === scheduledFor) {
+                return;
+            }
+            clearTimeout(existing.timeout);
+        }
+
+        const jitterMs = Math.floor(Math.random() * this.maxJitterMs);
+        const delayMs = Math.max(0, scheduledFor - now) + jitterMs;
+
+        const timeout = setTimeout(() => {
+            this.timers.delete(reminderId);
+            this.enqueue(reminderId);
+        }, delayMs);
+
+        this.timers.set(reminderId, { timeout, scheduledFor, armedAt: now });
+    }
+
+    /**
+     * Drop the timer for a reminder, if any
+     * @param {String} reminderId - Reminder ID
+     */
+    unschedule(reminderId) {
+        const timer = this.timers.get(reminderId);
+
+        if (timer) {
+            clearTimeout(timer.timeout);
+            this.timers.delete(reminderId);
+        }
+    }
+
+    /**
+     * Queue a due reminder for dispatch
+     * @param {String} reminderId - Reminder ID
+     */
+    enqueue(reminderId) {
+        if (!this.readyQueue.includes(reminderId)) {
+            this.readyQueue.push(reminderId);
+        }
+
+        this.drain();
+    }
+
+    /**
+     * Hand queued reminders to the handler, at most maxPerSecond per rolling second
+     */
+    drain() {
+        if (this.drainTimer) {
+            return;
+        }
+
+        while (this.readyQueue.length > 0 && this.handler) {
+            const now = Date.now();
+            this.recentDispatches = this.recentDispatches.filter(time => now - time < 1000);
+
+            if (this.recentDispatches.length >= this.maxPerSecond) {
+                const waitMs = 1000 - (now - this.recentDispatches[0]);
+                this.drainTimer = setTimeout(() => {
+                    this.drainTimer = null;
+                    this.drain();
+                }, waitMs);
+                return;
+            }
+
+            const reminderId = this.readyQueue.shift();
+            this.recentDispatches.push(now);
+
+            Promise.resolve()
+                .then(() => this.handler(reminderId))
+                .catch(error => console.error(`Error firing scheduled reminder ${reminderId}:`, error));
+        }
+    }
+
+    /**
+     * Get the current state of the timer queue
+     * @returns {Object} - { armed, queued }
+     */
+    getStats() {
+        return {
+            armed: this.timers.size,
+            queued: this.readyQueue.length
+        };
+    }
+}
+
+module.exports = new SchedulerService();
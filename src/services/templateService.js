@@ -0,0 +1,292 @@
+// src/services/templateService.js
+
+const { formatInTimeZone } = require('date-fns-tz');
+const User = require('../models/user');
+const dateParserService = require('./dateParserService');
+const recurrenceParserService = require('./recurrenceParserService');
+const userPreferenceService = require('./userPreferenceService');
+
+// Placeholder in template content that the template's parameter replaces, e.g. "{item}"
+const PLACEHOLDER_PATTERN = /\{[^{}]*\}/g;
+
+// Occurrences stepped through when rolling a recurring template's first date forward to now
+const MAX_OCCURRENCES_TO_ROLL = 1000;
+
+const NOTIFICATION_METHODS = ['whatsapp', 'voice', 'both'];
+
+const SIMPLE_RECURRENCE_FREQUENCIES = {
+    daily: 'day',
+    weekly: 'week',
+    monthly: 'month'
+};
+
+/**
+ * Service for reminder templates: named reminder settings stored on the user
+ * A template holds the same fields as a parsed reminder request, so using one is a matter of
+ * turning it back into such a request and handing it to nlpService's createReminderFromResponse.
+ */
+class TemplateService {
+    /**
+     * @param {String} name - Template name as the user wrote it
+     * @returns {String} - Name the template is stored and looked up by
+     */
+    normalizeName(name) {
+        return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/\s+template$/, '');
+    }
+
+    /**
+     * Find one of a user's templates by name, falling back to a partial match
+     * @param {Object} user - User document
+     * @param {String} name - Template name
+     * @returns {Object|null} - Template, or null if none matches
+     */
+    findTemplate(user, name) {
+        const normalizedName = this.normalizeName(name);
+        const templates = user.reminderTemplates || [];
+
+        if (!normalizedName) {
+            return null;
+        }
+
+        return templates.find(template => template.name === normalizedName) ||
+            templates.find(template => template.name.includes(normalizedName) || normalizedName.includes(template.name)) ||
+            null;
+    }
+
+    /**
+     * Build template fields from the reminder part of an NLP response
+     * @param {Object} reminder - Reminder fields as parsed by the LLM
+     * @returns {Object} - Template fields
+     */
+    buildTemplateFromResponse(reminder) {
+        if (!reminder || !reminder.content) {
+            throw new Error('Template content is required');
+        }
+
+        const value = field => (reminder[field] && reminder[field] !== 'null' ? reminder[field] : null);
+        const recurrence = value('recurrence') || 'none';
+
+        return {
+            content: reminder.content,
+            date: recurrence !== 'none' ? value('date') : null,
+            time: value('time'),
+            timeReference: value('timeReference'),
+            recurrence,
+            recurrencePattern: recurrence === 'custom' ? value('recurrencePattern') : null,
+            notificationMethod: NOTIFICATION_METHODS.includes(reminder.notificationMethod) ? reminder.notificationMethod : null,
+            escalationSteps: value('escalation') ? userPreferenceService.normalizeEscalationSteps(reminder.escalation) : undefined,
+            advanceNoticeMinutes: Array.isArray(reminder.advanceNotice) ? reminder.advanceNotice : undefined,
+            urgent: reminder.urgent === true
+        };
+    }
+
+    /**
+     * Build template fields from an existing reminder
+     * @param {Object} reminder - Reminder document
+     * @param {String} timeZone - User's time zone, for the template's local date and time
+     * @returns {Object} - Template fields
+     */
+    buildTemplateFromReminder(reminder, timeZone = 'Asia/Kolkata') {
+        const isRecurring = reminder.recurrence && reminder.recurrence !== 'none';
+        const slot = reminder.originalScheduledFor || reminder.scheduledFor;
+        const start = isRecurring && reminder.recurrenceStart ? reminder.recurrenceStart : slot;
+        const pattern = reminder.recurrencePattern && reminder.recurrencePattern.toObject
+            ? reminder.recurrencePattern.toObject()
+            : reminder.recurrencePattern;
+
+        return {
+            content: reminder.content,
+            date: isRecurring ? formatInTimeZone(start, timeZone, 'yyyy-MM-dd') : null,
+            time: formatInTimeZone(slot, timeZone, 'HH:mm'),
+            timeReference: null,
+            recurrence: isRecurring ? 'custom' : 'none',
+            recurrencePattern: isRecurring ? pattern : null,
+            notificationMethod: reminder.notificationMethod || null,
+            escalationSteps: Array.isArray(reminder.escalationSteps)
+                ? reminder.escalationSteps.map(({ action, waitMinutes }) => ({ action, waitMinutes }))
+                : undefined,
+            advanceNoticeMinutes: Array.isArray(reminder.advanceNoticeMinutes) ? [...reminder.advanceNoticeMinutes] : undefined,
+            urgent: reminder.urgent === true
+        };
+    }
+
+    /**
+     * Save a template on the user, replacing one with the same name
+     * @param {String} userId - User ID
+     * @param {String} name - Template name
+     * @param {Object} fields - Template fields (see buildTemplateFromResponse)
+     * @returns {Promise<Object>} - Saved template
+     */
+    async saveTemplate(userId, name, fields) {
+        try {
+            const normalizedName = this.normalizeName(name);
+
+            if (!normalizedName) {
+                throw new Error('Template name is required');
+            }
+
+            const user = await User.findById(userId);
+
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            user.reminderTemplates = user.reminderTemplates.filter(template => template.name !== normalizedName);
+            user.reminderTemplates.push({
+                ...fields,
+                name: normalizedName,
+                displayName: String(name).trim().replace(/\s+template$/i, '')
+            });
+
+            await user.save();
+
+            return user.reminderTemplates[user.reminderTemplates.length - 1];
+        } catch (error) {
+            console.error('Error saving reminder template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete one of a user's templates
+     * @param {String} userId - User ID
+     * @param {String} name - Stored (normalized) template name
+     */
+    async deleteTemplate(userId, name) {
+        try {
+            await User.updateOne({ _id: userId }, { $pull: { reminderTemplates: { name } } });
+        } catch (error) {
+            console.error('Error deleting reminder template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fill a template's content with its parameter
+     * @param {String} content - Template content, possibly with a placeholder
+     * @param {String|null} parameter - Value for the placeholder, e.g. "electricity"
+     * @returns {String} - Content for the reminder
+     */
+    fillContent(content, parameter) {
+        if (!parameter) {
+            return content.replace(PLACEHOLDER_PATTERN, '').replace(/\s+/g, ' ').trim();
+        }
+
+        if (content.match(PLACEHOLDER_PATTERN)) {
+            return content.replace(PLACEHOLDER_PATTERN, parameter);
+        }
+
+        return `${content}: ${parameter}`;
+    }
+
+    /**
+     * Turn a template back into a reminder request for createReminderFromResponse
+     * A recurring template's first date is moved forward to its next occurrence from now.
+     * @param {Object} user - User document
+     * @param {Object} template - Template
+     * @param {Object} options - { parameter, date, time, timeReference } given when using the template
+     * @returns {Promise<Object>} - Reminder request in the shape of an NLP 'reminder' response
+     */
+    async buildReminderResponse(user, template, options = {}) {
+        const value = field => (options[field] && options[field] !== 'null' ? options[field] : null);
+        const fields = typeof template.toObject === 'function' ? template.toObject() : template;
+
+        const response = {
+            type: 'reminder',
+            content: this.fillContent(fields.content, value('parameter')),
+            date: fields.date,
+            time: fields.time,
+            timeReference: fields.timeReference,
+            recurrence: fields.recurrence || 'none',
+            // Copied, since createReminderFromResponse may change the pattern it's given
+            recurrencePattern: fields.recurrencePattern ? JSON.parse(JSON.stringify(fields.recurrencePattern)) : null,
+            notificationMethod: fields.notificationMethod,
+            urgent: fields.urgent === true,
+            advanceNotice: fields.advanceNoticeMinutes !== undefined ? fields.advanceNoticeMinutes : null,
+            escalation: fields.escalationSteps !== undefined ? fields.escalationSteps : null
+        };
+
+        if (value('date') || value('time') || value('timeReference')) {
+            response.date = value('date');
+            response.time = value('time');
+            response.timeReference = value('timeReference');
+            return response;
+        }
+
+        // Only the date moves; the time stays as saved so it's parsed the same way as before
+        if (response.recurrence !== 'none' && response.date) {
+            const next = await this.getNextStart(user, response);
+            response.date = next ? formatInTimeZone(next, user.timeZone || 'Asia/Kolkata', 'yyyy-MM-dd') : null;
+        }
+
+        return response;
+    }
+
+    /**
+     * Get the next occurrence of a recurring template's rule from now
+     * @param {Object} user - User document
+     * @param {Object} response - Reminder request built from the template
+     * @returns {Promise<Date|null>} - Next occurrence, or null if the rule has none left
+     */
+    async getNextStart(user, response) {
+        try {
+            const timeZone = user.timeZone || 'Asia/Kolkata';
+            const start = await dateParserService.parseDateTime({
+                date: response.date,
+                time: response.time,
+                timeReference: response.timeReference
+            }, user._id, timeZone);
+
+            const pattern = response.recurrencePattern || {
+                frequency: SIMPLE_RECURRENCE_FREQUENCIES[response.recurrence],
+                interval: 1
+            };
+            const normalizedPattern = recurrenceParserService.normalizeRecurrencePattern(pattern, response.recurrence);
+            const now = new Date();
+
+            let next = start;
+            for (let i = 0; next && next <= now && i < MAX_OCCURRENCES_TO_ROLL; i++) {
+                next = recurrenceParserService.calculateNextOccurrence(next, normalizedPattern, null, start, timeZone);
+            }
+
+            return next && next > now ? next : null;
+        } catch (error) {
+            console.error('Error working out the next start of a template:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Describe a template for a chat message
+     * @param {Object} template - Template
+     * @returns {String} - e.g. "*bill payment*: pay {item} bill - 09:00, repeats, call + WhatsApp"
+     */
+    describeTemplate(template) {
+        const details = [];
+
+        details.push(template.time || template.timeReference || 'no set time');
+
+        if (template.recurrence && template.recurrence !== 'none') {
+            const pattern = template.recurrencePattern ||
+                { frequency: SIMPLE_RECURRENCE_FREQUENCIES[template.recurrence], interval: 1 };
+            try {
+                details.push(recurrenceParserService.formatRecurrenceForDisplay(pattern, null, null));
+            } catch (error) {
+                details.push('repeats');
+            }
+        }
+
+        const methods = { whatsapp: 'WhatsApp', voice: 'call', both: 'call + WhatsApp' };
+        if (template.notificationMethod) {
+            details.push(methods[template.notificationMethod]);
+        }
+
+        if (Array.isArray(template.escalationSteps) && template.escalationSteps.length > 0) {
+            details.push(`escalates: ${template.escalationSteps.map(step => step.action.replace('_', ' ')).join(' → ')}`);
+        }
+
+        return `*${template.displayName || template.name}*: ${template.content} - ${details.join(', ')}`;
+    }
+}
+
+module.exports = new TemplateService();
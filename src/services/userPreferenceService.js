@@ -1,6 +1,10 @@
 // Create a new file: src/services/userPreferenceService.js
 
-const User = require('../models/USER.JS');
+const { addDays, format, parseISO } = require('date-fns');
+const { formatInTimeZone, fromZonedTime } = require('date-fns-tz');
+const User = require('../models/user');
+const Series = require('../models/series');
+const holidayCalendarService = require('./holidayCalendarService');
 const whatsappService = require('./whatsappService');
 
 /**
@@ -112,6 +116,59 @@ class UserPreferenceService {
         return user;
     }
 
+    /**
+     * Pick the holiday calendar that decides business days
+     * Active recurring reminders switch to it from their next occurrence on.
+     * @param {String} userId - User ID
+     * @param {String|null} calendar - Calendar code or name (e.g. 'IN' or 'India'), or null for weekends only
+     * @returns {Object} - Updated user
+     */
+    async setHolidayCalendar(userId, calendar) {
+        let code = null;
+
+        if (calendar) {
+            const wanted = calendar.toString().trim().toLowerCase();
+            const match = holidayCalendarService.getAvailableCalendars().find(available =>
+                available.code.toLowerCase() === wanted || available.name.toLowerCase() === wanted
+            );
+
+            if (!match) {
+                throw new Error('Invalid holiday calendar');
+            }
+
+            code = match.code;
+        }
+
+        const user = await User.findByIdAndUpdate(
+            userId,
+            { 'preferences.holidayCalendar': code },
+            { new: true }
+        );
+
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        await Series.updateMany({ user: userId, status: { $in: ['active', 'paused'] } }, { holidayCalendar: code });
+
+        return user;
+    }
+
+    /**
+     * Describe the holiday calendar setting
+     * @param {Object} user - User document
+     * @returns {String} - Description
+     */
+    describeHolidayCalendar(user) {
+        const calendar = holidayCalendarService.getCalendar(user.preferences && user.preferences.holidayCalendar);
+
+        if (!calendar) {
+            return 'Reminders set for working days only skip weekends; no holiday calendar is selected.';
+        }
+
+        return `Reminders set for working days skip weekends and ${calendar.name} holidays.`;
+    }
+
     /**
      * Set notification preferences
      * @param {String} userId - User ID
@@ -141,6 +198,450 @@ class UserPreferenceService {
         return user;
     }
 
+    /**
+     * Parse an "HH:MM" time of day into minutes after midnight
+     * @param {String} timeString - Time in 24-hour HH:MM format
+     * @returns {Number|null} - Minutes after midnight, or null if invalid
+     */
+    parseTimeOfDay(timeString) {
+        const match = typeof timeString === 'string' && timeString.trim().match(/^([01]?[0-9]|2[0-3]):([0-5][0-9])$/);
+
+        if (!match) {
+            return null;
+        }
+
+        return parseInt(match[1]) * 60 + parseInt(match[2]);
+    }
+
+    /**
+     * Check whether a moment falls inside the user's quiet hours
+     * The window is evaluated on the user's wall clock and may span midnight (e.g. 22:00-07:00).
+     * @param {Object} user - User document
+     * @param {Date} date - Moment to check (defaults to now)
+     * @returns {Object} - { active, endsAt, policy } where endsAt is the UTC end of the current window
+     */
+    getQuietHoursStatus(user, date = new Date()) {
+        const settings = (user.preferences && user.preferences.notifications) || {};
+
+        if (settings.quietHoursEnabled === false) {
+            return { active: false };
+        }
+
+        const startMinutes = this.parseTimeOfDay(settings.quietHoursStart || '22:00');
+        const endMinutes = this.parseTimeOfDay(settings.quietHoursEnd || '07:00');
+
+        if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) {
+            return { active: false };
+        }
+
+        const timeZone = user.timeZone || 'Asia/Kolkata';
+        const localMinutes = parseInt(formatInTimeZone(date, timeZone, 'H')) * 60 +
+            parseInt(formatInTimeZone(date, timeZone, 'm'));
+
+        const spansMidnight = startMinutes > endMinutes;
+        const active = spansMidnight
+            ? localMinutes >= startMinutes || localMinutes < endMinutes
+            : localMinutes >= startMinutes && localMinutes < endMinutes;
+
+        if (!active) {
+            return { active: false };
+        }
+
+        // The window ends tomorrow if it spans midnight and we're still before midnight
+        let endDay = formatInTimeZone(date, timeZone, 'yyyy-MM-dd');
+        if (spansMidnight && localMinutes >= startMinutes) {
+            endDay = format(addDays(parseISO(endDay), 1), 'yyyy-MM-dd');
+        }
+
+        const endTime = `${String(Math.floor(endMinutes / 60)).padStart(2, '0')}:${String(endMinutes % 60).padStart(2, '0')}`;
+
+        return {
+            active: true,
+            endsAt: fromZonedTime(`${endDay}T${endTime}:00`, timeZone),
+            policy: settings.quietHoursPolicy || 'downgrade'
+        };
+    }
+
+    /**
+     * Update a user's quiet hours
+     * @param {String} userId - User ID
+     * @param {Object} quietHours - { start, end, enabled, policy }, any subset
+     * @returns {Object} - Updated user
+     */
+    async setQuietHours(userId, quietHours) {
+        const updates = {};
+
+        if (quietHours.start !== undefined) {
+            if (this.parseTimeOfDay(quietHours.start) === null) {
+                throw new Error('Invalid quiet hours start time');
+            }
+            updates.quietHoursStart = quietHours.start.trim().padStart(5, '0');
+        }
+
+        if (quietHours.end !== undefined) {
+            if (this.parseTimeOfDay(quietHours.end) === null) {
+                throw new Error('Invalid quiet hours end time');
+            }
+            updates.quietHoursEnd = quietHours.end.trim().padStart(5, '0');
+        }
+
+        if (quietHours.policy !== undefined) {
+            if (!['defer', 'downgrade'].includes(quietHours.policy)) {
+                throw new Error('Invalid quiet hours policy');
+            }
+            updates.quietHoursPolicy = quietHours.policy;
+        }
+
+        if (quietHours.enabled !== undefined) {
+            updates.quietHoursEnabled = Boolean(quietHours.enabled);
+        } else if (updates.quietHoursStart || updates.quietHoursEnd) {
+            // Setting a window implies the user wants it on
+            updates.quietHoursEnabled = true;
+        }
+
+        return this.setNotificationPreferences(userId, updates);
+    }
+
+    /**
+     * Describe a user's quiet hours settings for a chat message
+     * @param {Object} user - User document
+     * @returns {String} - Human-readable description
+     */
+    describeQuietHours(user) {
+        const settings = (user.preferences && user.preferences.notifications) || {};
+
+        if (settings.quietHoursEnabled === false) {
+            return 'Quiet hours are turned off.';
+        }
+
+        const policyDescription = settings.quietHoursPolicy === 'defer'
+            ? "reminders that would call you will wait until quiet hours end"
+            : "reminders will come as WhatsApp messages instead of calls";
+
+        return `Your quiet hours are ${settings.quietHoursStart || '22:00'} to ${settings.quietHoursEnd || '07:00'} (${user.timeZone || 'Asia/Kolkata'}). During this time ${policyDescription}, unless a reminder is marked urgent.`;
+    }
+
+    /**
+     * Describe how quiet hours will change a reminder, for its confirmation message
+     * Only calls are affected; WhatsApp-only and urgent reminders go out as scheduled.
+     * @param {Object} user - User document
+     * @param {Object} reminder - Reminder with scheduledFor, notificationMethod and urgent
+     * @returns {String|null} - Note for the user, or null if quiet hours don't apply
+     */
+    describeQuietHoursClash(user, reminder) {
+        if (reminder.urgent || reminder.notificationMethod === 'whatsapp') {
+            return null;
+        }
+
+        const quietHours = this.getQuietHoursStatus(user, reminder.scheduledFor);
+
+        if (!quietHours.active) {
+            return null;
+        }
+
+        const timeZone = user.timeZone || 'Asia/Kolkata';
+        const effect = quietHours.policy === 'defer'
+            ? `so it will wait until ${formatInTimeZone(quietHours.endsAt, timeZone, 'h:mm a')}`
+            : "so you'll get a WhatsApp message instead of a call";
+
+        return `🌙 This falls in your quiet hours, ${effect}. Say it's urgent if you want the call anyway.`;
+    }
+
+    /**
+     * Check whether a user is on vacation at a given moment
+     * @param {Object} user - User document
+     * @param {Date} date - Moment to check (default now)
+     * @returns {Object} - { active, startsAt, endsAt }; startsAt/endsAt are set whenever a
+     *   vacation is planned or under way
+     */
+    getVacationStatus(user, date = new Date()) {
+        const vacation = user.preferences && user.preferences.vacation;
+
+        if (!vacation || !vacation.start || !vacation.end || vacation.end <= date) {
+            return { active: false };
+        }
+
+        return {
+            active: vacation.start <= date,
+            startsAt: vacation.start,
+            endsAt: vacation.end
+        };
+    }
+
+    /**
+     * Put a user on vacation between two local dates, both days included
+     * @param {String} userId - User ID
+     * @param {Object} vacation - { startDate, endDate } as yyyy-MM-dd in the user's time zone
+     * @returns {Object} - Updated user
+     */
+    async setVacation(userId, vacation) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const { startDate, endDate } = vacation;
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '')) {
+            throw new Error('Invalid vacation dates');
+        }
+
+        // The vacation runs until the end of its last day
+        const timeZone = user.timeZone || 'Asia/Kolkata';
+        const start = fromZonedTime(`${startDate}T00:00:00`, timeZone);
+        const end = fromZonedTime(`${format(addDays(parseISO(endDate), 1), 'yyyy-MM-dd')}T00:00:00`, timeZone);
+
+        if (isNaN(start.valueOf()) || isNaN(end.valueOf()) || end <= start || end <= new Date()) {
+            throw new Error('Invalid vacation dates');
+        }
+
+        return User.findByIdAndUpdate(
+            userId,
+            { 'preferences.vacation.start': start, 'preferences.vacation.end': end },
+            { new: true }
+        );
+    }
+
+    /**
+     * End or call off a user's vacation
+     * @param {String} userId - User ID
+     * @returns {Object} - Updated user
+     */
+    async clearVacation(userId) {
+        const user = await User.findByIdAndUpdate(
+            userId,
+            { 'preferences.vacation.start': null, 'preferences.vacation.end': null },
+            { new: true }
+        );
+
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        return user;
+    }
+
+    /**
+     * Describe a user's vacation for a chat message
+     * @param {Object} user - User document
+     * @returns {String} - Human-readable description
+     */
+    describeVacation(user) {
+        const vacation = this.getVacationStatus(user);
+
+        if (!vacation.endsAt) {
+            return "You're not on vacation. Say \"I'm on holiday from the 3rd to the 10th\" to hold your reminders while you're away.";
+        }
+
+        const timeZone = user.timeZone || 'Asia/Kolkata';
+        const firstDay = formatInTimeZone(vacation.startsAt, timeZone, 'EEEE, MMMM d');
+        // endsAt is midnight after the last day
+        const lastDay = formatInTimeZone(new Date(vacation.endsAt.getTime() - 1), timeZone, 'EEEE, MMMM d');
+
+        return `${vacation.active ? "You're on vacation" : "Your vacation is set"} from ${firstDay} to ${lastDay}. ` +
+            "I'll hold all non-urgent reminders until then: recurring reminders pick up again after that without a backlog, and one-off reminders due in the meantime come through when you're back.";
+    }
+
+    /**
+     * Update a user's daily agenda digest settings
+     * @param {String} userId - User ID
+     * @param {Object} agendaSettings - { enabled, time, sendWhenEmpty }, any subset
+     * @returns {Object} - Updated user
+     */
+    async setAgendaPreferences(userId, agendaSettings) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const agenda = user.preferences.agenda;
+
+        if (agendaSettings.time !== undefined && agendaSettings.time !== null) {
+            if (this.parseTimeOfDay(agendaSettings.time) === null) {
+                throw new Error('Invalid agenda time');
+            }
+            agenda.time = agendaSettings.time.trim().padStart(5, '0');
+        }
+
+        if (agendaSettings.sendWhenEmpty !== undefined) {
+            agenda.sendWhenEmpty = Boolean(agendaSettings.sendWhenEmpty);
+        }
+
+        // Asking for a time (or anything else) implies the user wants the digest on
+        agenda.enabled = agendaSettings.enabled !== false;
+
+        await user.save();
+        return user;
+    }
+
+    /**
+     * Describe a user's agenda digest settings for a chat message
+     * @param {Object} user - User document
+     * @returns {Promise<String>} - Human-readable description
+     */
+    async describeAgenda(user) {
+        const agenda = user.preferences.agenda;
+
+        if (!agenda || !agenda.enabled) {
+            return 'Your daily agenda is turned off. Say "send me my agenda at 7:30" to turn it on.';
+        }
+
+        // Required here to avoid a circular import with agendaService
+        const agendaService = require('./agendaService');
+        const { hour, minute } = await agendaService.getAgendaTime(user);
+        const emptyDays = agenda.sendWhenEmpty ? 'every day' : "on days you have reminders";
+
+        return `I'll send you your agenda at ${hour}:${minute.toString().padStart(2, '0')} ${emptyDays}.`;
+    }
+
+    /**
+     * Describe a user's weekly report settings for a chat message
+     * @param {Object} user - User document
+     * @returns {String} - Human-readable description
+     */
+    describeWeeklyReport(user) {
+        const settings = user.preferences.weeklyReport;
+
+        if (!settings || settings.enabled !== true) {
+            return 'Your weekly report is turned off.';
+        }
+
+        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+        return `I'll send you a summary of your week every ${dayNames[settings.dayOfWeek]} at ${settings.time}.`;
+    }
+
+    /**
+     * Describe how reminders missed during downtime are handled, for a chat message
+     * @param {Object} user - User document
+     * @returns {String} - Human-readable description
+     */
+    describeCatchUpPolicy(user) {
+        const settings = user.preferences.notifications;
+        const graceMinutes = settings.catchUpGraceMinutes;
+
+        switch (settings.catchUpPolicy) {
+            case 'deliver':
+                return "If I'm ever offline when a reminder is due, I'll still send it as soon as I'm back.";
+            case 'missed':
+                return `If I'm ever offline when a reminder is due, I'll still send it if I'm back within ${graceMinutes} minutes. Otherwise I'll quietly mark it as missed.`;
+            default:
+                return `If I'm ever offline when a reminder is due, I'll still send it if I'm back within ${graceMinutes} minutes. Otherwise I'll send you one summary of everything you missed.`;
+        }
+    }
+
+    /**
+     * Describe how often a reminder may be snoozed, for a chat message
+     * @param {Object} user - User document
+     * @returns {String} - Human-readable description
+     */
+    describeSnoozeLimit(user) {
+        const maxSnoozes = user.preferences.notifications.maxSnoozes;
+
+        if (!maxSnoozes) {
+            return 'You can snooze a reminder as many times as you like.';
+        }
+
+        return `You can snooze each reminder up to ${maxSnoozes} time${maxSnoozes === 1 ? '' : 's'}.`;
+    }
+
+    /**
+     * Build escalation steps from a simplified description
+     * @param {Object|Array} escalation - Either an array of actions / step objects, or
+     *   { steps: [...], waitMinutes } where waitMinutes applies to steps without their own wait
+     * @returns {Array<Object>} - Steps as { action, waitMinutes }
+     */
+    normalizeEscalationSteps(escalation) {
+        const validActions = ['whatsapp', 'voice', 'backup_contact'];
+        const rawSteps = Array.isArray(escalation) ? escalation : (escalation && escalation.steps) || [];
+        const defaultWait = parseInt(escalation && escalation.waitMinutes) || 15;
+
+        return rawSteps
+            .map(step => (typeof step === 'string' ? { action: step } : step))
+            .filter(step => step && validActions.includes(step.action))
+            .map(step => ({
+                action: step.action,
+                waitMinutes: parseInt(step.waitMinutes) > 0 ? parseInt(step.waitMinutes) : defaultWait
+            }));
+    }
+
+    /**
+     * Update a user's default escalation policy
+     * @param {String} userId - User ID
+     * @param {Object} escalation - { enabled, steps, waitMinutes, backupContact }, any subset
+     * @returns {Object} - Updated user
+     */
+    async setEscalationPolicy(userId, escalation) {
+        const user = await User.findById(userId);
+
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const policy = user.preferences.escalation;
+
+        if (escalation.steps !== undefined) {
+            const steps = this.normalizeEscalationSteps(escalation);
+            if (steps.length === 0) {
+                throw new Error('Invalid escalation steps');
+            }
+            policy.steps = steps;
+        } else if (escalation.waitMinutes !== undefined) {
+            // Only the wait changed; apply it to the existing steps
+            policy.steps = this.normalizeEscalationSteps({
+                steps: policy.steps.map(step => step.action),
+                waitMinutes: escalation.waitMinutes
+            });
+        }
+
+        if (escalation.backupContact && escalation.backupContact.phoneNumber) {
+            policy.backupContact = {
+                name: escalation.backupContact.name || null,
+                phoneNumber: escalation.backupContact.phoneNumber
+            };
+        }
+
+        // Keep the user's on/off choice unless this command sets it
+        if (escalation.enabled !== undefined) {
+            policy.enabled = escalation.enabled === true;
+        }
+
+        if (policy.enabled && policy.steps.some(step => step.action === 'backup_contact') &&
+            !(policy.backupContact && policy.backupContact.phoneNumber)) {
+            throw new Error('Backup contact required');
+        }
+
+        await user.save();
+        return user;
+    }
+
+    /**
+     * Describe a user's escalation policy for a chat message
+     * @param {Object} user - User document
+     * @returns {String} - Human-readable description
+     */
+    describeEscalationPolicy(user) {
+        const policy = user.preferences.escalation;
+
+        if (!policy || !policy.enabled) {
+            return 'Escalation is turned off. Unanswered reminders are only sent once.';
+        }
+
+        const actionNames = {
+            whatsapp: 'send the WhatsApp reminder again',
+            voice: 'call you',
+            backup_contact: `message ${(policy.backupContact && policy.backupContact.name) || 'your backup contact'}`
+        };
+
+        const stepDescriptions = policy.steps.map(step =>
+            `after ${step.waitMinutes} more minutes, ${actionNames[step.action]}`
+        );
+
+        return `If you don't reply "done" to a reminder, I'll ${stepDescriptions.join(', then ')}.`;
+    }
+
     /**
      * Handle preference setting commands
      * @param {Object} user - User document
@@ -210,10 +711,231 @@ class UserPreferenceService {
                     }
                     break;
 
+                case 'quiet_hours':
+                    if (action === 'set') {
+                        const quietHours = typeof value === 'object' && value !== null ? value : {};
+                        const updatedUser = await this.setQuietHours(user._id, quietHours);
+
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            `✅ ${this.describeQuietHours(updatedUser)}`
+                        );
+                    } else if (action === 'get') {
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            this.describeQuietHours(user)
+                        );
+                    }
+                    break;
+
+                case 'advance_notice':
+                    if (action === 'set') {
+                        const advanceNotice = typeof value === 'object' && value !== null ? value : { minutes: value };
+                        const updates = {};
+
+                        if (advanceNotice.minutes !== undefined) {
+                            const minutes = parseInt(advanceNotice.minutes);
+                            if (isNaN(minutes) || minutes <= 0) {
+                                throw new Error('Invalid advance notice');
+                            }
+                            updates.advanceNotice = minutes;
+                        }
+
+                        updates.advanceNoticeEnabled = advanceNotice.enabled !== false;
+
+                        const updatedUser = await this.setNotificationPreferences(user._id, updates);
+                        const settings = updatedUser.preferences.notifications;
+
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            settings.advanceNoticeEnabled
+                                ? `✅ I'll send you a heads-up ${settings.advanceNotice} minutes before each reminder.`
+                                : `✅ I'll stop sending heads-up messages before your reminders.`
+                        );
+                    } else if (action === 'get') {
+                        const settings = user.preferences.notifications;
+
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            settings.advanceNoticeEnabled
+                                ? `You get a heads-up ${settings.advanceNotice} minutes before each reminder.`
+                                : `Heads-up messages are turned off. Say "give me a heads-up 15 minutes before" to turn them on.`
+                        );
+                    }
+                    break;
+
+                case 'agenda':
+                    if (action === 'set') {
+                        const agendaSettings = typeof value === 'object' && value !== null ? value : {};
+                        const updatedUser = await this.setAgendaPreferences(user._id, agendaSettings);
+
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            `✅ ${await this.describeAgenda(updatedUser)}`
+                        );
+                    } else if (action === 'get') {
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            await this.describeAgenda(user)
+                        );
+                    }
+                    break;
+
+                case 'weekly_report':
+                    if (action === 'set') {
+                        const reportSettings = typeof value === 'object' && value !== null ? value : {};
+                        const updates = { 'preferences.weeklyReport.enabled': reportSettings.enabled !== false };
+
+                        if (reportSettings.dayOfWeek !== undefined && reportSettings.dayOfWeek !== null) {
+                            const dayOfWeek = parseInt(reportSettings.dayOfWeek);
+                            if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+                                throw new Error('Invalid weekly report day');
+                            }
+                            updates['preferences.weeklyReport.dayOfWeek'] = dayOfWeek;
+                        }
+
+                        if (reportSettings.time !== undefined && reportSettings.time !== null) {
+                            if (this.parseTimeOfDay(reportSettings.time) === null) {
+                                throw new Error('Invalid weekly report time');
+                            }
+                            updates['preferences.weeklyReport.time'] = reportSettings.time.trim().padStart(5, '0');
+                        }
+
+                        const updatedUser = await User.findByIdAndUpdate(user._id, updates, { new: true });
+
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            `✅ ${this.describeWeeklyReport(updatedUser)}`
+                        );
+                    } else if (action === 'get') {
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            this.describeWeeklyReport(user)
+                        );
+                    }
+                    break;
+
+                case 'catch_up':
+                    if (action === 'set') {
+                        const catchUp = typeof value === 'object' && value !== null ? value : { policy: value };
+                        const updates = {};
+
+                        if (catchUp.policy !== undefined) {
+                            if (!['digest', 'missed', 'deliver'].includes(catchUp.policy)) {
+                                throw new Error('Invalid catch-up policy');
+                            }
+                            updates.catchUpPolicy = catchUp.policy;
+                        }
+
+                        if (catchUp.graceMinutes !== undefined) {
+                            const graceMinutes = parseInt(catchUp.graceMinutes);
+                            if (isNaN(graceMinutes) || graceMinutes < 0) {
+                                throw new Error('Invalid catch-up grace period');
+                            }
+                            updates.catchUpGraceMinutes = graceMinutes;
+                        }
+
+                        const updatedUser = await this.setNotificationPreferences(user._id, updates);
+
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            `✅ ${this.describeCatchUpPolicy(updatedUser)}`
+                        );
+                    } else if (action === 'get') {
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            this.describeCatchUpPolicy(user)
+                        );
+                    }
+                    break;
+
+                case 'snooze_limit':
+                    if (action === 'set') {
+                        const snoozeLimit = typeof value === 'object' && value !== null ? value : { maxSnoozes: value };
+                        let maxSnoozes = null;
+
+                        if (snoozeLimit.maxSnoozes !== null && snoozeLimit.maxSnoozes !== undefined) {
+                            maxSnoozes = parseInt(snoozeLimit.maxSnoozes);
+                            if (isNaN(maxSnoozes) || maxSnoozes <= 0) {
+                                throw new Error('Invalid snooze limit');
+                            }
+                        }
+
+                        const updatedUser = await this.setNotificationPreferences(user._id, { maxSnoozes });
+
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            `✅ ${this.describeSnoozeLimit(updatedUser)}`
+                        );
+                    } else if (action === 'get') {
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            this.describeSnoozeLimit(user)
+                        );
+                    }
+                    break;
+
+                case 'escalation':
+                    if (action === 'set') {
+                        const escalation = typeof value === 'object' && value !== null ? value : {};
+
+                        try {
+                            const updatedUser = await this.setEscalationPolicy(user._id, escalation);
+                            await whatsappService.sendMessage(
+                                user.phoneNumber,
+                                `✅ ${this.describeEscalationPolicy(updatedUser)}`
+                            );
+                        } catch (error) {
+                            if (error.message !== 'Backup contact required') {
+                                throw error;
+                            }
+
+                            await whatsappService.sendMessage(
+                                user.phoneNumber,
+                                'Who should I contact if you miss a reminder? Please share their name and phone number, e.g. "my backup contact is Priya +919876543210".'
+                            );
+                        }
+                    } else if (action === 'get') {
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            this.describeEscalationPolicy(user)
+                        );
+                    }
+                    break;
+
+                case 'holiday_calendar':
+                    if (action === 'set') {
+                        const calendar = typeof value === 'object' && value !== null ? value.calendar : value;
+
+                        try {
+                            const updatedUser = await this.setHolidayCalendar(user._id, calendar);
+                            await whatsappService.sendMessage(
+                                user.phoneNumber,
+                                `✅ ${this.describeHolidayCalendar(updatedUser)}`
+                            );
+                        } catch (error) {
+                            if (error.message !== 'Invalid holiday calendar') {
+                                throw error;
+                            }
+
+                            const available = holidayCalendarService.getAvailableCalendars().map(({ name }) => name);
+                            await whatsappService.sendMessage(
+                                user.phoneNumber,
+                                `I don't have that holiday calendar yet. Available calendars: ${available.join(', ')}.`
+                            );
+                        }
+                    } else if (action === 'get') {
+                        await whatsappService.sendMessage(
+                            user.phoneNumber,
+                            this.describeHolidayCalendar(user)
+                        );
+                    }
+                    break;
+
                 default:
                     await whatsappService.sendMessage(
                         user.phoneNumber,
-                        "I'm not sure what preference you're trying to set. You can set your timezone, time preferences, or notification method."
+                        "I'm not sure what preference you're trying to set. You can set your timezone, time preferences, notification method, quiet hours, advance notice, escalation, catch-up after downtime, holiday calendar, your daily agenda, or your weekly report."
                     );
             }
 
@@ -5,6 +5,8 @@ const { format } = require('date-fns');
 const reminderService = require('./reminderService');
 const audioStorageService = require('./audioStorageService');
 const streamingService = require('./streamingService');
+const deliveryLogService = require('./deliveryLogService');
+const rateLimiterService = require('./rateLimiterService');
 
 /**
  * Service for handling voice-based notifications using Twilio and ElevenLabs
@@ -154,9 +156,11 @@ class VoiceService {
     /**
      * Make a voice call for a reminder
      * @param {Object} reminder - The reminder object with populated user
+     * @param {Object} options - Optional settings
+     * @param {Boolean} options.escalation - Call is part of an escalation chain, which handles its own retries
      * @returns {Promise<Object>} - Twilio call object
      */
-    async makeReminderCall(reminder) {
+    async makeReminderCall(reminder, options = {}) {
         try {
             // Verify Twilio client is initialized
             if (!this.twilioClient) {
@@ -178,18 +182,28 @@ class VoiceService {
             // Note: Can't modify Twilio client directly, so we'll use standard approach with increased timeout awareness
             console.log('Making Twilio API call (this may take up to 60 seconds for long audio)');
 
-            // Make the call
-            const call = await this.twilioClient.calls.create({
+            // Make the call once the call rate, concurrent call and per-user limits allow it
+            const call = await rateLimiterService.schedule('voice', user.phoneNumber, () => this.twilioClient.calls.create({
                 url: twimlUrl,
                 to: user.phoneNumber,
                 from: process.env.TWILIO_PHONE_NUMBER,
                 method: 'GET', // Explicitly use GET
-                statusCallback: `${process.env.APP_URL}/api/voice/status-callback?reminderId=${reminder._id}`,
+                statusCallback: `${process.env.APP_URL}/api/voice/status-callback?reminderId=${reminder._id}${options.escalation ? '&escalation=true' : ''}`,
                 statusCallbackMethod: 'POST'
-            });
+            }));
 
             console.log(`Successfully initiated voice call to ${user.phoneNumber}, Call SID: ${call.sid}`);
 
+            await deliveryLogService.logOutboundMessage({
+                channel: 'voice',
+                to: user.phoneNumber,
+                providerMessageId: call.sid,
+                payload: twimlUrl,
+                reminderId: reminder._id,
+                userId: user._id,
+                kind: options.escalation ? 'escalation' : 'reminder'
+            });
+
             return call;
         } catch (error) {
             console.error('Error making reminder call:', error.message);
@@ -320,7 +334,8 @@ class VoiceService {
         const delayPatterns = [
             'delay', 'later', 'remind me later', 'postpone',
             'reschedule', 'snooze', 'not now',
-            'after', 'in a while', 'busy now'
+            'after', 'in a while', 'busy now',
+            'tomorrow', 'tonight'
         ];
 
         return delayPatterns.some(pattern => text.includes(pattern));
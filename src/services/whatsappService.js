@@ -1,32 +1,74 @@
 // src/services/whatsappService.js
 
 const axios = require('axios');
+const deliveryLogService = require('./deliveryLogService');
+const rateLimiterService = require('./rateLimiterService');
+
+/**
+ * Post to the Whapi.cloud API through the shared outbound rate limiter
+ * Backs off the whole channel when Whapi answers 429.
+ * @param {String} path - API path, e.g. '/messages/text'
+ * @param {String} to - Recipient phone number, used for the per-user cap
+ * @param {Object} body - Request body
+ * @returns {Promise} - Axios response
+ */
+const postToWhapi = (path, to, body) => {
+    return rateLimiterService.schedule('whatsapp', to, async () => {
+        try {
+            return await axios.post(
+                `https://gate.whapi.cloud${path}`,
+                body,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${process.env.WHAPI_TOKEN}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+        } catch (error) {
+            if (error.response && error.response.status === 429) {
+                const retryAfterSeconds = parseInt(error.response.headers && error.response.headers['retry-after']) || 30;
+                rateLimiterService.pause('whatsapp', retryAfterSeconds * 1000);
+            }
+            throw error;
+        }
+    });
+};
 
 /**
  * Send a WhatsApp message using Whapi.cloud API
  * @param {String} to - Phone number to send message to
  * @param {String} text - Message text to send
+ * @param {Object} options - Delivery log context
+ * @param {String} options.reminderId - Reminder the message is about, if any
+ * @param {String} options.userId - User the message is for, if known
+ * @param {String} options.kind - What the message is for (default 'message')
  * @returns {Promise} - Response from Whapi API
  */
-const sendMessage = async (to, text) => {
+const sendMessage = async (to, text, options = {}) => {
+    const logContext = {
+        channel: 'whatsapp',
+        to,
+        payload: text,
+        reminderId: options.reminderId,
+        userId: options.userId,
+        kind: options.kind
+    };
+
     try {
-        const response = await axios.post(
-            'https://gate.whapi.cloud/messages/text',
-            {
-                to,
-                body: text
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHAPI_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const response = await postToWhapi('/messages/text', to, {
+            to,
+            body: text
+        });
+
+        // Whapi returns the ID we later receive in status events
+        const providerMessageId = (response.data.message && response.data.message.id) || response.data.id;
+        await deliveryLogService.logOutboundMessage({ ...logContext, providerMessageId });
 
         return response.data;
     } catch (error) {
         console.error('Error sending WhatsApp message:', error);
+        await deliveryLogService.logOutboundMessage({ ...logContext, status: 'failed', error: error.message });
         throw error;
     }
 };
@@ -40,23 +82,14 @@ const sendMessage = async (to, text) => {
  */
 const sendTemplateMessage = async (to, templateName, components) => {
     try {
-        const response = await axios.post(
-            'https://gate.whapi.cloud/messages/template',
-            {
-                to,
-                template: {
-                    name: templateName,
-                    language: { code: 'en' },
-                    components
-                }
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${process.env.WHAPI_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
+        const response = await postToWhapi('/messages/template', to, {
+            to,
+            template: {
+                name: templateName,
+                language: { code: 'en' },
+                components
             }
-        );
+        });
 
         return response.data;
     } catch (error) {